@@ -0,0 +1,27 @@
+// compactar_geocode.js — compacta geocode_cache.jsonl (um registro vivo por endereço)
+//
+//   node compactar_geocode.js [--stats]
+//
+// Pode rodar com o servidor e o warm_geocode.js no ar: enquanto a trava existe
+// eles seguram os lotes em memória, e o que já tinham acrescentado vai junto
+// para o arquivo novo.
+
+const { parseArgs } = require('util');
+const geocode = require('./lib/geocode');
+
+const { values: args } = parseArgs({
+  options: {
+    stats: { type: 'boolean', default: false }
+  }
+});
+
+try {
+  console.log('Antes:', geocode.geocodeCacheStats());
+  if (!args.stats) {
+    const r = geocode.compactGeocodeCache();
+    console.log(`Compactado: ${r.linhas_antes} -> ${r.linhas_depois} linhas (${r.registros} registros)`);
+  }
+} catch (err) {
+  console.error('Falha na compactação:', err.message);
+  process.exit(1);
+}
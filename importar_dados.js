@@ -0,0 +1,61 @@
+// importar_dados.js — importa planilhas de PDVs/produtos para os CSVs do servidor
+// (substitui combinar_pdvs.py, filtrar_pdv_produtos.py, excluir_produtos_pdv.py e geocodificar_pdvs.py)
+//
+//   node importar_dados.js --pdvs novos_pdvs.csv [--produtos produtos.csv] [--pdv-produtos vinculos.csv]
+//                          [--modo mesclar|substituir] [--excluir 03000,03001] [--json] [--aplicar]
+//
+// Sem --aplicar é só simulação: mostra o diff e os erros por linha sem gravar nada.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const repository = require('./lib/repository');
+const { runImport } = require('./lib/importer');
+
+const { values: args } = parseArgs({
+  options: {
+    pdvs: { type: 'string' },
+    produtos: { type: 'string' },
+    'pdv-produtos': { type: 'string' },
+    modo: { type: 'string', default: 'mesclar' },
+    excluir: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    aplicar: { type: 'boolean', default: false }
+  }
+});
+
+function printReport(report) {
+  console.log(report.dry_run ? '== Simulação (nada foi gravado) ==' : '== Importação aplicada ==');
+  for (const [nome, r] of Object.entries(report.resumo)) console.log(`${nome}:`, r);
+  for (const [nome, d] of Object.entries(report.diff)) {
+    const partes = Object.entries(d).map(([k, v]) => `${k}=${v.total}`);
+    console.log(`diff ${nome}: ${partes.join(' ')}`);
+  }
+  for (const e of report.erros) {
+    console.log(`  [erro] ${e.arquivo}:${e.linha}${e.id ? ` (id ${e.id})` : ''} —`,
+      e.erros.map(x => `${x.campo}: ${x.mensagem}`).join('; '));
+  }
+  for (const a of report.avisos) console.log(`  [aviso] ${a.arquivo}:${a.linha} — ${a.mensagem}`);
+}
+
+(async () => {
+  const read = (file) => (file ? fs.readFileSync(file, 'utf-8') : undefined);
+  await repository.load();
+  try {
+    const report = await runImport({
+      pdvs: read(args.pdvs),
+      produtos: read(args.produtos),
+      pdv_produtos: read(args['pdv-produtos']),
+      excluir: args.excluir ? args.excluir.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+      modo: args.modo,
+      dryRun: !args.aplicar
+    });
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+    if (!report.dry_run && report.resumo.geocodificar) {
+      console.log(`Geocodificando ${report.resumo.geocodificar} endereços novos em segundo plano...`);
+    }
+  } catch (e) {
+    console.error('Falha na importação:', e.erro || e.message);
+    process.exitCode = 1;
+  }
+})();
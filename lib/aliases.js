@@ -0,0 +1,85 @@
+// lib/aliases.js — registro de aliases de produto -> id canônico
+//
+// Fontes:
+//   - produtos_aliases.csv (alias;produto_id;tipo): códigos antigos do ERP, EANs…
+//   - slug do produto_url (https://paviloche.com.br/produtos/<slug>/), derivado na carga
+// O id canônico é sempre o de produtos.csv; alias que colide com um id canônico é ignorado.
+
+const { norm } = require('./util');
+
+const ALIAS_TYPES = ['erp', 'ean', 'slug'];
+
+/** Último segmento do caminho da URL ("mini-premium-pistache"), ou null. */
+function slugFromUrl(url) {
+  try {
+    const parts = new URL(String(url)).pathname.split('/').filter(Boolean);
+    return parts.length ? decodeURIComponent(parts[parts.length - 1]).toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Chave de busca: URL vira slug; texto sem dígitos puros fica minúsculo. */
+function aliasKey(value) {
+  const s = norm(value);
+  if (/^https?:\/\//i.test(s)) return slugFromUrl(s);
+  return /^\d+$/.test(s) ? s : s.toLowerCase();
+}
+
+/**
+ * @param {{ products: Array<{ id: string, produto_url?: string|null }>, rows?: Array<{ alias: string, produto_id: string, tipo?: string }> }} input
+ */
+function createAliasRegistry({ products, rows = [] }) {
+  const canonical = new Set(products.map(p => p.id));
+  /** chave -> { produto_id, alias, tipo } */
+  const byKey = new Map();
+  /** produto_id -> [{ alias, tipo }] */
+  const byProduct = new Map();
+  const conflitos = [];
+
+  function add(alias, produtoId, tipo) {
+    const key = aliasKey(alias);
+    if (!key || !produtoId) return;
+    if (canonical.has(key)) {
+      if (key !== produtoId) conflitos.push({ alias, produto_id: produtoId, motivo: 'alias é id de outro produto' });
+      return;
+    }
+    const prev = byKey.get(key);
+    if (prev) {
+      // slug repetido no site (mesma página para dois produtos) só não resolve para o segundo
+      if (prev.produto_id !== produtoId && tipo !== 'slug') conflitos.push({ alias, produto_id: produtoId, motivo: `já aponta para ${prev.produto_id}` });
+      return;
+    }
+    const entry = { alias: norm(alias), produto_id: produtoId, tipo };
+    byKey.set(key, entry);
+    if (!byProduct.has(produtoId)) byProduct.set(produtoId, []);
+    byProduct.get(produtoId).push({ alias: entry.alias, tipo });
+  }
+
+  for (const r of rows) {
+    const tipo = ALIAS_TYPES.includes(norm(r.tipo).toLowerCase()) ? norm(r.tipo).toLowerCase() : 'erp';
+    add(r.alias, norm(r.produto_id), tipo);
+  }
+  for (const p of products) {
+    const slug = p.produto_url ? slugFromUrl(p.produto_url) : null;
+    if (slug) add(slug, p.id, 'slug');
+  }
+
+  return {
+    /** id canônico para um id/alias/slug/URL; null se ninguém conhece. */
+    resolve(value) {
+      const key = aliasKey(value);
+      if (!key) return null;
+      if (canonical.has(key)) return key;
+      return byKey.get(key)?.produto_id ?? null;
+    },
+    aliasesOf(produtoId) { return byProduct.get(produtoId) || []; },
+    /** Linhas da tabela (sem os slugs, que são derivados) — o que o store grava. */
+    rows() {
+      return [...byKey.values()].filter(e => e.tipo !== 'slug').map(e => ({ ...e }));
+    },
+    conflitos
+  };
+}
+
+module.exports = { ALIAS_TYPES, slugFromUrl, aliasKey, createAliasRegistry };
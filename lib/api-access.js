@@ -0,0 +1,76 @@
+// lib/api-access.js — chave de API de parceiros e limite de requisições da API pública
+//
+//   API_KEYS=loja-parceira:9f2c…:300,app:7ab1…   nome:chave[:req_por_minuto], chave em X-Api-Key
+//   API_KEY_REQUIRED=1                           sem chave válida: 401 (padrão: anônimo passa, limitado por IP)
+//   RATE_LIMIT_PER_MIN=120                       anônimo, por IP (0 = sem limite)
+//   API_KEY_RATE_LIMIT_PER_MIN=600               por chave sem limite próprio
+// Chave informada e desconhecida é sempre 401: erro de configuração do parceiro
+// não vira tráfego anônimo. Os headers RateLimit-Limit/RateLimit-Remaining vão
+// em toda resposta limitada; o 429 traz Retry-After.
+
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError } = require('./errors');
+const { createClientLimiter } = require('./rate-limit');
+const { logger } = require('./logger');
+
+function digest(s) { return crypto.createHash('sha256').update(String(s)).digest('hex'); }
+
+/**
+ * "nome:chave[:limite],..." -> [{ nome, hash, limite }]. Entrada malformada é
+ * avisada e ignorada (a chave em si nunca vai para o log).
+ */
+function parseApiKeys(text = '') {
+  const keys = [];
+  for (const entry of text.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [nome, chave, limite] = entry.split(':').map(s => s.trim());
+    const perMinute = limite === undefined || limite === '' ? null : Number(limite);
+    if (!nome || !chave || (perMinute !== null && !(Number.isInteger(perMinute) && perMinute >= 0))) {
+      logger.warn('Chave de API ignorada: use nome:chave[:req_por_minuto].', { nome: nome || null });
+      continue;
+    }
+    keys.push({ nome, hash: digest(chave), limite: perMinute });
+  }
+  return keys;
+}
+
+/**
+ * Middleware da API pública: identifica o cliente (req.cliente = { nome } com
+ * chave) e aplica o limite dele.
+ * @param {{ keys?: object[], required?: boolean, anonymousPerMin?: number, keyPerMin?: number,
+ *           limiter?: object }} [opts]
+ */
+function createApiAccess({
+  keys = parseApiKeys(config.API_KEYS), required = config.API_KEY_REQUIRED,
+  anonymousPerMin = config.RATE_LIMIT_PER_MIN, keyPerMin = config.API_KEY_RATE_LIMIT_PER_MIN,
+  limiter = createClientLimiter()
+} = {}) {
+  const byHash = new Map(keys.map(k => [k.hash, k]));
+
+  return (req, res, next) => {
+    const given = String(req.get('x-api-key') || '').trim();
+    let client = `ip:${req.ip}`;
+    let perMinute = anonymousPerMin;
+    if (given) {
+      const key = byHash.get(digest(given));
+      if (!key) return next(new HttpError(401, 'Chave de API inválida.', undefined, 'chave_invalida'));
+      req.cliente = { nome: key.nome };
+      client = `chave:${key.nome}`;
+      perMinute = key.limite ?? keyPerMin;
+    } else if (required) {
+      return next(new HttpError(401, 'Informe a chave de API no header X-Api-Key.', undefined, 'chave_ausente'));
+    }
+
+    if (!perMinute) return next();
+    const r = limiter.take(client, perMinute);
+    res.set('RateLimit-Limit', String(perMinute));
+    res.set('RateLimit-Remaining', String(r.remaining));
+    if (!r.ok) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil(r.retryAfterMs / 1000))));
+      return next(new HttpError(429, 'Limite de requisições excedido; tente de novo em instantes.'));
+    }
+    next();
+  };
+}
+
+module.exports = { parseApiKeys, createApiAccess };
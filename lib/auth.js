@@ -0,0 +1,40 @@
+// lib/auth.js — token da API de administração (ADMIN_TOKEN) e de /metrics (METRICS_TOKEN)
+
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError } = require('./errors');
+
+function digest(s) { return crypto.createHash('sha256').update(String(s)).digest(); }
+
+/** Aceita `Authorization: Bearer <token>` ou `X-Admin-Token: <token>`. */
+function readToken(req) {
+  const auth = String(req.get('authorization') || '');
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : String(req.get('x-admin-token') || '').trim();
+}
+
+// compara digests de tamanho fixo: timingSafeEqual exige buffers do mesmo tamanho
+function sameToken(given, expected) {
+  return Boolean(given) && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function unauthorized(res, next) {
+  res.set('WWW-Authenticate', 'Bearer');
+  next(new HttpError(401, 'Não autorizado.'));
+}
+
+function requireAdmin(req, res, next) {
+  if (!config.ADMIN_TOKEN) {
+    return next(new HttpError(503, 'API de administração desabilitada (defina ADMIN_TOKEN).'));
+  }
+  if (!sameToken(readToken(req), config.ADMIN_TOKEN)) return unauthorized(res, next);
+  next();
+}
+
+/** Sem METRICS_TOKEN /metrics fica aberto (rede interna); com ele, pede o token. */
+function requireMetricsToken(req, res, next) {
+  if (config.METRICS_TOKEN && !sameToken(readToken(req), config.METRICS_TOKEN)) return unauthorized(res, next);
+  next();
+}
+
+module.exports = { requireAdmin, requireMetricsToken };
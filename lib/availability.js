@@ -0,0 +1,90 @@
+// lib/availability.js — disponibilidade do produto no PDV (colunas extras do vínculo)
+//
+// pdv_produtos_filtrado_final.csv: pdv_id;produto_id;status;confirmado_em;fonte
+//   status        disponivel | ruptura | descontinuado (vazio = disponivel)
+//   confirmado_em AAAA-MM-DD da última confirmação (vazio = vínculo antigo, sem data)
+//   fonte         sell_out | visita | consumidor | cadastro
+// Vínculo confirmado há mais de config.AVAILABILITY_MAX_AGE_MS está desatualizado;
+// vínculo sem data nunca fica (é o legado da planilha estática).
+
+const { norm, foldAccents } = require('./util');
+
+const AVAILABILITY_STATUSES = ['disponivel', 'ruptura', 'descontinuado'];
+const AVAILABILITY_SOURCES = ['sell_out', 'visita', 'consumidor', 'cadastro'];
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const dateFormats = new Map();
+
+/** Data (AAAA-MM-DD) de `date` no fuso `timeZone`. */
+function localDate(date, timeZone) {
+  let fmt = dateFormats.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    dateFormats.set(timeZone, fmt);
+  }
+  return fmt.format(date);
+}
+
+/** "2026-10-19" | "19/10/2026" -> "2026-10-19"; null se não for uma data válida. */
+function parseDate(v) {
+  const s = norm(v);
+  const br = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(s);
+  const iso = br ? `${br[3]}-${br[2]}-${br[1]}` : s.slice(0, 10);
+  const m = DATE_RE.exec(iso);
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? iso : null;
+}
+
+function parseStatus(v) {
+  const s = foldAccents(norm(v)).toLowerCase();
+  return AVAILABILITY_STATUSES.includes(s) ? s : null;
+}
+
+function parseSource(v) {
+  const s = foldAccents(norm(v)).toLowerCase().replace(/[\s-]+/g, '_');
+  return AVAILABILITY_SOURCES.includes(s) ? s : null;
+}
+
+/** Colunas cruas do vínculo -> { status, confirmado_em, fonte }; valor inválido vira o padrão. */
+function normalizeAvailability(row) {
+  return {
+    status: parseStatus(row.status) ?? 'disponivel',
+    confirmado_em: parseDate(row.confirmado_em),
+    fonte: parseSource(row.fonte)
+  };
+}
+
+/** Confirmação mais velha que `maxAgeMs` em `now`? */
+function isStale(av, now, maxAgeMs) {
+  if (!av?.confirmado_em) return false;
+  return now.getTime() - Date.parse(`${av.confirmado_em}T00:00:00Z`) > maxAgeMs;
+}
+
+/** Aparece na busca por proximidade: disponível e confirmado há pouco (ou sem data). */
+function isAvailable(av, now, maxAgeMs) {
+  return (av?.status ?? 'disponivel') === 'disponivel' && !isStale(av, now, maxAgeMs);
+}
+
+/** Formato da API. */
+function describeAvailability(av, now, maxAgeMs) {
+  return {
+    status: av?.status ?? 'disponivel',
+    confirmado_em: av?.confirmado_em ?? null,
+    fonte: av?.fonte ?? null,
+    desatualizado: isStale(av, now, maxAgeMs)
+  };
+}
+
+module.exports = {
+  AVAILABILITY_STATUSES,
+  AVAILABILITY_SOURCES,
+  localDate,
+  parseDate,
+  parseStatus,
+  parseSource,
+  normalizeAvailability,
+  isStale,
+  isAvailable,
+  describeAvailability
+};
@@ -0,0 +1,148 @@
+// lib/cep.js — CEP do usuário -> coordenadas, sem depender da rede
+//
+// Ordem de resolução:
+//   1. base local de CEPs (ceps.csv, opcional)              -> nivel 'exato'
+//   2. LRU de consultas remotas já feitas                    -> nivel 'exato'
+//   3. cadeia de geocodificação (AwesomeAPI), com prazo      -> nivel 'exato'
+//   4. centroide do prefixo (cep_centroides.csv, no repo)    -> nivel 'prefixo'
+// A rede é só uma melhoria: passou do prazo, a resposta sai pelo prefixo e a
+// consulta continua em segundo plano, deixando o resultado no LRU para a próxima.
+
+const fs = require('fs');
+const config = require('./config');
+const geocode = require('./geocode');
+const { createLru } = require('./lru');
+const { logger } = require('./logger');
+const { onlyDigits } = require('./util');
+const { createCepCentroidProvider } = require('./geocoding/providers/cep-centroid');
+
+const RESOLUTION_LEVELS = ['exato', 'prefixo'];
+const LOCAL_SOURCE = 'base_local';
+const PREFIX_SOURCE = 'centroide';
+
+const centroids = createCepCentroidProvider();
+const remoteCache = createLru({ max: config.CEP_CACHE_SIZE, ttlMs: config.CEP_CACHE_TTL_MS });
+const inflight = new Map(); // cep -> Promise (a mesma consulta remota não sai duas vezes)
+
+// ======================== Base local ========================
+let database = null;
+
+/** ceps.csv (cep;latitude;longitude;cidade;estado) -> Map; arquivo ausente = base vazia. */
+function loadDatabase(file = config.CEP_DATABASE_FILE) {
+  database = new Map();
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return database;
+  }
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+  const header = (lines.shift() || '').split(';').map(h => h.trim().toLowerCase());
+  let invalid = 0;
+  for (const line of lines) {
+    const cols = line.split(';');
+    const row = Object.fromEntries(header.map((h, i) => [h, (cols[i] ?? '').trim()]));
+    const cep = onlyDigits(row.cep);
+    const lat = Number(String(row.latitude).replace(',', '.'));
+    const lon = Number(String(row.longitude).replace(',', '.'));
+    if (cep.length !== 8 || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      invalid++;
+      continue;
+    }
+    database.set(cep, { lat, lon, cidade: row.cidade || null, estado: row.estado || null });
+  }
+  if (invalid) logger.warn('Linhas inválidas ignoradas.', { arquivo: file, linhas: invalid });
+  return database;
+}
+
+function getDatabase() { return database || loadDatabase(); }
+
+// ======================== Consulta remota ========================
+/** Consulta a cadeia e guarda no LRU; só precisão 'cep' conta (centroide já temos aqui). */
+function lookupRemote(cep) {
+  if (inflight.has(cep)) return inflight.get(cep);
+  const p = (async () => {
+    try {
+      const hit = await geocode.getGeocoder().geocode({ cep });
+      const out = hit?.precisao === 'cep'
+        ? { lat: hit.lat, lon: hit.lon, cidade: hit.cidade || null, estado: hit.estado || null, fonte: hit.provider }
+        : null;
+      // CEP que a rede não achou (ou rede fora) não é consultado de novo por um tempo
+      remoteCache.set(cep, out, out ? config.CEP_CACHE_TTL_MS : config.CEP_NEGATIVE_TTL_MS);
+      return out;
+    } catch (err) {
+      logger.warn('Consulta remota de CEP falhou.', { cep: cep.slice(0, 5), erro: err.message });
+      remoteCache.set(cep, null, config.CEP_NEGATIVE_TTL_MS);
+      return null;
+    } finally {
+      inflight.delete(cep);
+    }
+  })();
+  inflight.set(cep, p);
+  return p;
+}
+
+/** Resultado da promessa, ou `undefined` se não sair em `ms`. */
+function withDeadline(promise, ms) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+// ======================== Resolução ========================
+/**
+ * @param {string} cep com ou sem máscara
+ * @param {{ remote?: boolean, timeoutMs?: number }} [opts]
+ * @returns {Promise<null | { cep: string, lat: number, lon: number, cidade: string|null, estado: string|null,
+ *   nivel: 'exato'|'prefixo', precisao: 'cep'|'cep5'|'cep3'|'uf', fonte: string }>}
+ *   null se o CEP não tiver 8 dígitos ou nem o prefixo for conhecido
+ */
+async function resolveCep(cep, { remote = config.CEP_REMOTE, timeoutMs = config.CEP_TIMEOUT_MS } = {}) {
+  const digits = onlyDigits(cep);
+  if (digits.length !== 8) return null;
+  const prefix = centroids.lookup(digits);
+  const exact = (hit, fonte) => ({
+    cep: digits,
+    lat: hit.lat,
+    lon: hit.lon,
+    cidade: hit.cidade || prefix?.cidade || null,
+    estado: hit.estado || prefix?.estado || null,
+    nivel: 'exato',
+    precisao: 'cep',
+    fonte
+  });
+
+  const local = getDatabase().get(digits);
+  if (local) return exact(local, LOCAL_SOURCE);
+
+  if (remote) {
+    let hit = remoteCache.get(digits);
+    if (hit === undefined) hit = await withDeadline(lookupRemote(digits), timeoutMs);
+    if (hit) return exact(hit, hit.fonte);
+  }
+
+  if (!prefix) return null;
+  return {
+    cep: digits,
+    lat: prefix.lat,
+    lon: prefix.lon,
+    cidade: prefix.cidade,
+    estado: prefix.estado,
+    nivel: 'prefixo',
+    precisao: prefix.precisao,
+    fonte: PREFIX_SOURCE
+  };
+}
+
+function cepStats() {
+  return {
+    base_local: getDatabase().size,
+    cache_remoto: remoteCache.stats(),
+    consultas_em_andamento: inflight.size
+  };
+}
+
+module.exports = { RESOLUTION_LEVELS, loadDatabase, resolveCep, cepStats };
@@ -0,0 +1,66 @@
+// lib/config.js — caminhos de arquivos e variáveis de ambiente
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/** Número do ambiente onde 0 é um valor válido (ex.: 0 = desligado). */
+function envNumber(name, fallback) {
+  const v = process.env[name];
+  return v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : fallback;
+}
+
+/** TRUST_PROXY do Express: true, número de saltos ou lista de sub-redes ('loopback, 10.0.0.0/8'). */
+function trustProxy(v = '') {
+  if (v === '' || v === 'false' || v === '0') return false;
+  if (v === 'true') return true;
+  return Number.isInteger(Number(v)) ? Number(v) : v;
+}
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : ROOT_DIR;
+
+module.exports = {
+  PORT: process.env.PORT || 4000,
+  DATA_DIR,
+  PRODUCTS_FILE: path.join(DATA_DIR, 'produtos.csv'),                    // id;nome;volume;em_destaque;imagem_url;produto_url;linha;sabor;categoria;ativo
+  PDVS_FILE: path.join(DATA_DIR, 'pdvs_final.csv'),                       // id;nome;rua;bairro;cidade;cep;estado
+  PDV_PROD_FILE: path.join(DATA_DIR, 'pdv_produtos_filtrado_final.csv'),  // pdv_id;produto_id;status;confirmado_em;fonte
+  PRODUCT_ALIASES_FILE: path.join(DATA_DIR, 'produtos_aliases.csv'),     // alias;produto_id;tipo (erp|ean)
+  PDV_PINS_FILE: path.join(DATA_DIR, 'pdvs_coordenadas_manuais.csv'),    // pdv_id;latitude;longitude;motivo;atualizado_em
+  PDV_ATTRS_FILE: path.join(DATA_DIR, 'pdvs_atributos.csv'),              // pdv_id;horario;telefone;rede;tipo;freezer (opcional)
+  PDV_TIMEZONE: process.env.PDV_TIMEZONE || 'America/Sao_Paulo',         // fuso do horário de funcionamento (aberto_agora)
+  AVAILABILITY_MAX_AGE_MS: (Number(process.env.DISPONIBILIDADE_VALIDADE_DIAS) || 60) * 24 * 3600 * 1000, // confirmação mais velha = desatualizada
+  GEOCODE_CACHE_FILE: path.join(DATA_DIR, 'geocode_cache.jsonl'),        // log JSONL; geocode_cache.json antigo é migrado
+  GEOCODE_FAILURE_TTL_MS: (Number(process.env.GEOCODE_FAILURE_TTL_HOURS) || 24) * 3600 * 1000,
+  SEARCH_LOG_FILE: path.join(DATA_DIR, 'buscas.jsonl'),                 // registro das buscas (lib/search-log.js)
+  SEARCH_LOG: process.env.SEARCH_LOG !== '0',                            // 0 = não registra buscas
+  SEARCH_GEOHASH_PRECISION: Number(process.env.SEARCH_GEOHASH_PRECISION) || 5, // 5 ≈ células de 4,9 km
+  EXCLUDED_PRODUCTS_FILE: path.join(DATA_DIR, 'produtos_excluidos.csv'),  // produto_id — nunca entram via importação
+  CEP_CENTROIDS_FILE: path.join(ROOT_DIR, 'cep_centroides.csv'),        // prefixo;cidade;estado;latitude;longitude
+  CEP_DATABASE_FILE: path.join(DATA_DIR, 'ceps.csv'),                    // cep;latitude;longitude;cidade;estado (opcional)
+  CEP_REMOTE: process.env.CEP_REMOTE !== '0',                            // 0 = só base local e prefixo, sem rede
+  CEP_TIMEOUT_MS: Number(process.env.CEP_TIMEOUT_MS) || 1500,            // prazo da consulta remota na requisição
+  CEP_CACHE_SIZE: Number(process.env.CEP_CACHE_SIZE) || 5000,
+  CEP_CACHE_TTL_MS: (Number(process.env.CEP_CACHE_TTL_HOURS) || 7 * 24) * 3600 * 1000,
+  CEP_NEGATIVE_TTL_MS: (Number(process.env.CEP_NEGATIVE_TTL_MINUTES) || 10) * 60 * 1000,
+  OPENCAGE_KEY: process.env.OPENCAGE_KEY || '',
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || 'http://localhost:3000,http://localhost:5173')
+    .split(',').map(s => s.trim()).filter(Boolean),                     // * = qualquer origem
+  TRUST_PROXY: trustProxy(process.env.TRUST_PROXY),                     // atrás de proxy: o IP do cliente vem do X-Forwarded-For
+  PUBLIC_URL: (process.env.PUBLIC_URL || '').replace(/\/+$/, ''),        // base dos links canônicos e do sitemap (vazio = host da requisição)
+  WIDGET_FRAME_ANCESTORS: process.env.WIDGET_FRAME_ANCESTORS || '*',    // quem pode pôr o widget num iframe (CSP frame-ancestors)
+  API_KEYS: process.env.API_KEYS || '',                                  // nome:chave[:req_por_minuto],... (lib/api-access.js)
+  API_KEY_REQUIRED: process.env.API_KEY_REQUIRED === '1',               // 1 = API pública só com X-Api-Key
+  RATE_LIMIT_PER_MIN: envNumber('RATE_LIMIT_PER_MIN', 120),              // por IP, sem chave; 0 = sem limite
+  API_KEY_RATE_LIMIT_PER_MIN: envNumber('API_KEY_RATE_LIMIT_PER_MIN', 600), // por chave que não traz o próprio limite
+  METRICS_TOKEN: process.env.METRICS_TOKEN || '',                        // definido: /metrics pede Authorization: Bearer
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',                            // debug|info|warn|error
+  LOG_FORMAT: process.env.LOG_FORMAT === 'texto' ? 'texto' : 'json',
+  GEOCODER_TIMEOUT_MS: Number(process.env.GEOCODER_TIMEOUT_MS) || 5000,
+  ROUTING_TIMEOUT_MS: Number(process.env.ROUTING_TIMEOUT_MS) || 1500,       // prazo do roteador (ROUTER=osrm|valhalla) na requisição
+  ROUTING_CANDIDATES: Number(process.env.ROUTING_CANDIDATES) || 20,         // quantos mais próximos em linha reta são reordenados por rota
+  ROUTING_CACHE_SIZE: Number(process.env.ROUTING_CACHE_SIZE) || 20000,      // pares origem/destino
+  ROUTING_CACHE_TTL_MS: (Number(process.env.ROUTING_CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+  WATCH_DATA: process.env.WATCH_DATA !== '0',                            // recarga a quente ao mudar os arquivos
+  RELOAD_DEBOUNCE_MS: Number(process.env.RELOAD_DEBOUNCE_MS) || 1000
+};
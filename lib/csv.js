@@ -0,0 +1,114 @@
+// lib/csv.js — leitura/escrita de CSV com cabeçalhos normalizados
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { markOwnWrite } = require('./watch');
+
+const CSV_SEP = ';';
+
+/**
+ * Normaliza um cabeçalho: remove BOM, espaços nas pontas e deixa minúsculo.
+ * Ex.: '\uFEFFid' -> 'id', 'bairro ' -> 'bairro', ' volume ' -> 'volume'.
+ */
+function normalizeHeader(header) {
+  return String(header ?? '').replace(/^\uFEFF/, '').trim().toLowerCase();
+}
+
+/**
+ * Lê um CSV inteiro para memória.
+ * Cabeçalhos vêm normalizados (normalizeHeader) e valores com trim.
+ * Colunas excedentes (linhas com ';' sem aspas) chegam como `_7`, `_8`…
+ * @returns {Promise<Array<Record<string,string>>>}
+ */
+function readCsv(filePath, { separator = CSV_SEP } = {}) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(csv({ separator, mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('data', (raw) => {
+        const row = {};
+        for (const [k, v] of Object.entries(raw)) row[k] = String(v ?? '').trim();
+        rows.push(row);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/** ';' ou ',' — o que aparecer mais no cabeçalho (fora de aspas). */
+function detectSeparator(text) {
+  const header = String(text).replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const count = (ch) => header.split(ch).length - 1;
+  return count(',') > count(';') ? ',' : CSV_SEP;
+}
+
+/**
+ * Como readCsv, mas a partir de texto já em memória (upload/importação).
+ * Sem `separator`, detecta pelo cabeçalho.
+ */
+function parseCsvText(text, { separator = detectSeparator(text) } = {}) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([String(text).replace(/^\uFEFF/, '')])
+      .pipe(csv({ separator, mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('data', (raw) => {
+        const row = {};
+        for (const [k, v] of Object.entries(raw)) row[k] = String(v ?? '').trim();
+        rows.push(row);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+function escapeCell(value, separator) {
+  const s = value == null ? '' : String(value);
+  return /["\r\n]/.test(s) || s.includes(separator) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Serializa linhas (objetos) nas colunas pedidas, com aspas onde precisar. */
+function toCsv(columns, rows, { separator = CSV_SEP } = {}) {
+  const lines = [columns.join(separator)];
+  for (const row of rows) lines.push(columns.map(c => escapeCell(row[c], separator)).join(separator));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escrita atômica: grava cada arquivo num temporário no mesmo diretório e só
+ * depois de todos gravados faz os renames. Quem lê vê a versão antiga inteira
+ * ou a nova inteira, nunca metade.
+ * @param {Array<{ file: string, content: string }>} entries
+ */
+function writeFilesAtomic(entries) {
+  const staged = [];
+  try {
+    for (const { file, content } of entries) {
+      const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+      staged.push({ file, tmp });
+      fs.writeFileSync(tmp, content, 'utf-8');
+    }
+    for (const { file, tmp } of staged) fs.renameSync(tmp, file);
+    markOwnWrite(staged.map(s => s.file));
+  } catch (err) {
+    for (const { tmp } of staged) fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+function writeFileAtomic(file, content) {
+  writeFilesAtomic([{ file, content }]);
+}
+
+module.exports = {
+  CSV_SEP,
+  normalizeHeader,
+  readCsv,
+  detectSeparator,
+  parseCsvText,
+  toCsv,
+  writeFilesAtomic,
+  writeFileAtomic
+};
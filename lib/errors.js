@@ -0,0 +1,84 @@
+// lib/errors.js — erro com status HTTP e o envelope único de erro da API
+//
+// Todo erro sai como { codigo, mensagem, detalhes? }. Rotas sem versão (legado,
+// /admin) mantêm também o campo `erro` antigo, igual a `mensagem`.
+
+const { logger } = require('./logger');
+
+// código padrão por status; quem lança pode passar um mais específico
+const DEFAULT_CODES = {
+  400: 'parametro_invalido',
+  401: 'nao_autorizado',
+  403: 'proibido',
+  404: 'nao_encontrado',
+  409: 'conflito',
+  413: 'corpo_muito_grande',
+  422: 'nao_processavel',
+  429: 'limite_excedido',
+  500: 'erro_interno',
+  503: 'indisponivel'
+};
+
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} erro      mensagem para o cliente
+   * @param {any}   [detalhes] ex.: lista de campos inválidos
+   * @param {string} [codigo]  identificador estável (padrão: pelo status)
+   */
+  constructor(status, erro, detalhes, codigo) {
+    super(erro);
+    this.name = 'HttpError';
+    this.status = status;
+    this.erro = erro;
+    this.detalhes = detalhes;
+    this.codigo = codigo || DEFAULT_CODES[status] || 'erro';
+  }
+}
+
+/** Corpo de erro; `legacy` acrescenta o campo `erro` das rotas antigas. */
+function errorBody(err, { legacy = false } = {}) {
+  const body = { codigo: err.codigo, mensagem: err.erro };
+  if (err.detalhes !== undefined) body.detalhes = err.detalhes;
+  if (legacy) body.erro = err.erro;
+  return body;
+}
+
+/**
+ * Envolve um handler async: o que ele lançar (ou rejeitar) segue para o
+ * errorHandler, como acontece com handlers síncronos no Express 4.
+ */
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => fn(req, res, next))
+      .catch(next);
+  };
+}
+
+/** Rota inexistente: 404 no envelope padrão. */
+function notFoundHandler(req, res, next) {
+  next(new HttpError(404, 'Rota não encontrada.', undefined, 'rota_nao_encontrada'));
+}
+
+/**
+ * Middleware final. HttpError vira resposta com o status dele; erros do
+ * body-parser (JSON inválido, corpo grande) mantêm o status 4xx; o resto vira
+ * 500 sem vazar a mensagem interna.
+ */
+function errorHandler(err, req, res, next) {
+  let e = err;
+  if (!(e instanceof HttpError)) {
+    if (err.type === 'entity.parse.failed') e = new HttpError(400, 'JSON inválido no corpo da requisição.', undefined, 'json_invalido');
+    else if (err.status >= 400 && err.status < 500 && err.expose) e = new HttpError(err.status, err.message);
+    else {
+      logger.error('Erro não tratado.', { id: req.id, metodo: req.method, caminho: req.originalUrl.split('?')[0], erro: err });
+      e = new HttpError(500, 'Erro interno.');
+    }
+  }
+  if (res.headersSent) return req.socket.destroy();
+  const legacy = !/^\/v\d+(\/|$)/.test(req.originalUrl);
+  res.status(e.status).json(errorBody(e, { legacy }));
+}
+
+module.exports = { DEFAULT_CODES, HttpError, errorBody, asyncHandler, notFoundHandler, errorHandler };
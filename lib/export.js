@@ -0,0 +1,113 @@
+// lib/export.js — PDVs em GeoJSON, KML e CSV para QGIS / Google My Maps
+//
+// Todos os formatos levam os mesmos atributos: cadastro do PDV (com rede, tipo,
+// telefone, freezer e horário, quando informados), produtos que
+// vende (ids e nomes) e a procedência da coordenada (provedor, precisão,
+// confiança, se foi fixada à mão). PDV sem coordenada sai sem geometria.
+
+const { toCsv } = require('./csv');
+const { hasCoords } = require('./geo');
+const { MANUAL_PROVIDER } = require('./geocode');
+const { formatOpeningHours } = require('./opening-hours');
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const EXPORT_COLUMNS = [
+  'id', 'nome', 'rua', 'bairro', 'cidade', 'estado', 'cep', 'endereco',
+  'rede', 'tipo', 'telefone', 'freezer', 'horario', 'latitude', 'longitude',
+  'produtos', 'produtos_nomes', 'geocode_provider', 'geocode_precisao', 'geocode_confianca', 'coordenada_manual'
+];
+
+// separador das listas dentro de uma célula (o CSV já usa ';')
+const LIST_SEP = '|';
+
+/** Registro plano de exportação de um PDV. */
+function exportRecord(pdv, ds) {
+  const produtos = ds.productIdsByPdv.get(pdv.id) || [];
+  return {
+    id: pdv.id,
+    nome: pdv.nome,
+    rua: pdv.rua,
+    bairro: pdv.bairro,
+    cidade: pdv.cidade,
+    estado: pdv.estado,
+    cep: pdv.cep,
+    endereco: pdv.endereco,
+    rede: pdv.rede,
+    tipo: pdv.tipo,
+    telefone: pdv.telefone,
+    freezer: pdv.freezer,
+    horario: formatOpeningHours(pdv.horario) || null,
+    latitude: hasCoords(pdv) ? pdv.latitude : null,
+    longitude: hasCoords(pdv) ? pdv.longitude : null,
+    produtos,
+    produtos_nomes: produtos.map(id => ds.productById.get(id)?.nome ?? id),
+    geocode_provider: pdv.geocode?.provider ?? null,
+    geocode_precisao: pdv.geocode?.precisao ?? null,
+    geocode_confianca: pdv.geocode?.confianca ?? null,
+    coordenada_manual: pdv.geocode?.provider === MANUAL_PROVIDER
+  };
+}
+
+function toGeoJson(records) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: records.map(({ latitude, longitude, ...properties }) => ({
+      type: 'Feature',
+      id: properties.id,
+      geometry: latitude == null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+      properties
+    }))
+  });
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  }[ch]));
+}
+
+/** KML 2.2: um Placemark por PDV, atributos em ExtendedData (viram colunas no My Maps). */
+function toKml(records, { nome = 'PDVs' } = {}) {
+  const placemarks = records.map((r) => {
+    const data = EXPORT_COLUMNS
+      .filter(c => !['nome', 'latitude', 'longitude'].includes(c))
+      .map((c) => {
+        const v = Array.isArray(r[c]) ? r[c].join(LIST_SEP) : r[c];
+        return `<Data name="${c}"><value>${escapeXml(v)}</value></Data>`;
+      })
+      .join('');
+    const point = r.latitude == null ? '' : `<Point><coordinates>${r.longitude},${r.latitude}</coordinates></Point>`;
+    return `<Placemark id="pdv-${escapeXml(r.id)}"><name>${escapeXml(r.nome)}</name>` +
+      `<description>${escapeXml(r.endereco)}</description><ExtendedData>${data}</ExtendedData>${point}</Placemark>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeXml(nome)}</name>\n${placemarks.join('\n')}\n</Document></kml>\n`;
+}
+
+function toCsvExport(records) {
+  return toCsv(EXPORT_COLUMNS, records.map(r => ({
+    ...r,
+    produtos: r.produtos.join(LIST_SEP),
+    produtos_nomes: r.produtos_nomes.join(LIST_SEP)
+  })));
+}
+
+const SERIALIZERS = { geojson: toGeoJson, kml: toKml, csv: toCsvExport };
+
+/**
+ * @param {object[]} pdvs
+ * @param {'geojson'|'kml'|'csv'} formato
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+function exportPdvs(pdvs, formato, ds, opts) {
+  const records = pdvs.map(pdv => exportRecord(pdv, ds));
+  return { body: SERIALIZERS[formato](records, opts), ...EXPORT_FORMATS[formato] };
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS, exportRecord, toGeoJson, toKml, exportPdvs };
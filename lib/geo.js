@@ -0,0 +1,127 @@
+// lib/geo.js — distância em linha reta (haversine), limites das UFs e geohash
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(d) { return (d * Math.PI) / 180; }
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat/2)**2 +
+    Math.cos(toRad(lat1))*Math.cos(toRad(lat2))*Math.sin(dLon/2)**2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_KM * c;
+}
+
+function hasCoords(p) {
+  return Number.isFinite(p?.latitude) && Number.isFinite(p?.longitude);
+}
+
+// Retângulo envolvente aproximado de cada UF: [minLat, maxLat, minLon, maxLon]
+// (só o continente; ilhas oceânicas como Fernando de Noronha ficam de fora)
+const UF_BBOX = {
+  AC: [-11.15, -7.11, -73.99, -66.62],
+  AL: [-10.50, -8.81, -38.24, -35.15],
+  AP: [-1.24, 4.44, -54.88, -49.88],
+  AM: [-9.82, 2.25, -73.80, -56.10],
+  BA: [-18.35, -8.53, -46.62, -37.34],
+  CE: [-7.86, -2.78, -41.42, -37.25],
+  DF: [-16.05, -15.50, -48.29, -47.31],
+  ES: [-21.30, -17.89, -41.88, -39.67],
+  GO: [-19.50, -12.39, -53.25, -45.91],
+  MA: [-10.26, -1.04, -48.76, -41.80],
+  MT: [-18.04, -7.35, -61.63, -50.22],
+  MS: [-24.07, -17.17, -58.17, -50.92],
+  MG: [-22.92, -14.23, -51.05, -39.86],
+  PA: [-9.84, 2.59, -58.90, -46.06],
+  PB: [-8.30, -6.03, -38.77, -34.79],
+  PR: [-26.72, -22.52, -54.62, -48.02],
+  PE: [-9.48, -7.28, -41.36, -34.81],
+  PI: [-10.93, -2.74, -45.99, -40.37],
+  RJ: [-23.37, -20.76, -44.89, -40.96],
+  RN: [-6.98, -4.83, -38.58, -34.97],
+  RS: [-33.75, -27.08, -57.65, -49.69],
+  RO: [-13.69, -7.97, -66.81, -59.77],
+  RR: [-1.58, 5.27, -64.83, -58.89],
+  SC: [-29.35, -25.96, -53.84, -48.36],
+  SP: [-25.31, -19.78, -53.11, -44.16],
+  SE: [-11.57, -9.51, -38.25, -36.39],
+  TO: [-13.47, -5.17, -50.74, -45.70]
+};
+const BRAZIL_BBOX = [-33.75, 5.27, -73.99, -34.79];
+
+function insideBox(lat, lon, [minLat, maxLat, minLon, maxLon], marginDeg = 0) {
+  return lat >= minLat - marginDeg && lat <= maxLat + marginDeg &&
+    lon >= minLon - marginDeg && lon <= maxLon + marginDeg;
+}
+
+/** Ponto dentro do retângulo da UF (com folga)? null se a UF não é conhecida. */
+function insideUf(lat, lon, uf, marginDeg = 0.1) {
+  const box = UF_BBOX[String(uf ?? '').toUpperCase()];
+  return box ? insideBox(lat, lon, box, marginDeg) : null;
+}
+
+/**
+ * ?bbox=minLon,minLat,maxLon,maxLat (a ordem do GeoJSON/QGIS) -> [minLat, maxLat, minLon, maxLon].
+ * Devolve null se não forem 4 números num retângulo válido.
+ */
+function parseBbox(value) {
+  const parts = String(value ?? '').split(',').map(v => Number(v.trim()));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLat > maxLat || minLon > maxLon || minLat < -90 || maxLat > 90 || minLon < -180 || maxLon > 180) return null;
+  return [minLat, maxLat, minLon, maxLon];
+}
+
+// ======================== Geohash ========================
+// Célula retangular de precisão fixa: 5 caracteres ≈ 4,9 km × 4,9 km, 4 ≈ 39 km × 20 km.
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/** (lat, lon) -> geohash com `precision` caracteres. */
+function encodeGeohash(lat, lon, precision = 5) {
+  const lat2 = [-90, 90];
+  const lon2 = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let ch = 0;
+  let even = true; // bits pares são longitude
+  while (hash.length < precision) {
+    const range = even ? lon2 : lat2;
+    const v = even ? lon : lat;
+    const mid = (range[0] + range[1]) / 2;
+    ch <<= 1;
+    if (v >= mid) { ch |= 1; range[0] = mid; } else range[1] = mid;
+    even = !even;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+/** Geohash -> centro da célula { lat, lon }; null se tiver caractere inválido. */
+function decodeGeohash(hash) {
+  const lat2 = [-90, 90];
+  const lon2 = [-180, 180];
+  let even = true;
+  for (const c of String(hash ?? '').toLowerCase()) {
+    const ch = GEOHASH_ALPHABET.indexOf(c);
+    if (ch < 0) return null;
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lon2 : lat2;
+      const mid = (range[0] + range[1]) / 2;
+      if ((ch >> bit) & 1) range[0] = mid; else range[1] = mid;
+      even = !even;
+    }
+  }
+  if (!hash) return null;
+  return { lat: (lat2[0] + lat2[1]) / 2, lon: (lon2[0] + lon2[1]) / 2 };
+}
+
+module.exports = {
+  EARTH_RADIUS_KM, UF_BBOX, BRAZIL_BBOX, toRad, haversineKm, hasCoords, insideBox, insideUf, parseBbox,
+  encodeGeohash, decodeGeohash
+};
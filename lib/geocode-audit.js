@@ -0,0 +1,127 @@
+// lib/geocode-audit.js — auditoria das coordenadas dos PDVs
+//
+// Para cada PDV geocodificado por provedor (centroide de CEP e coordenada
+// manual ficam de fora), confere:
+//   fora_da_uf       ponto fora do retângulo da UF do cadastro
+//   longe_do_cep     distância até o centroide do prefixo do CEP acima do limite
+//   longe_da_cidade  distância até a mediana dos outros PDVs da mesma cidade
+//   empilhado        vários endereços diferentes caindo no mesmo ponto
+// O resultado orienta o operador a fixar coordenadas (PUT /admin/pdvs/:id/coordenadas).
+
+const geocode = require('./geocode');
+const { haversineKm, hasCoords, insideUf } = require('./geo');
+
+const DEFAULTS = {
+  maxCepKm: { cep5: 15, cep3: 60 },  // por precisão do centroide; 'uf' não entra (fora_da_uf já cobre)
+  maxCityKm: 30,
+  minCityPeers: 3,                   // menos PDVs que isso na cidade: sem referência confiável
+  minStack: 5,                       // endereços diferentes no mesmo ponto
+  stackDecimals: 5                   // ~1 m
+};
+
+const ALERT_TYPES = ['fora_da_uf', 'longe_do_cep', 'longe_da_cidade', 'empilhado'];
+const SEVERITY = { fora_da_uf: 3, longe_da_cidade: 2, longe_do_cep: 1, empilhado: 1 };
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const round = (n) => +n.toFixed(1);
+
+/**
+ * @param {object[]} pdvs PDVs normalizados do dataset
+ * @param {Partial<typeof DEFAULTS>} [opts]
+ * @returns {{ resumo: object, pdvs: object[], empilhamentos: object[] }}
+ */
+function auditPdvs(pdvs, opts = {}) {
+  const o = { ...DEFAULTS, ...opts, maxCepKm: { ...DEFAULTS.maxCepKm, ...opts.maxCepKm } };
+  const resumo = { pdvs: pdvs.length, auditados: 0, aproximados_por_cep: 0, manuais: 0, sem_coordenada: 0, com_alerta: 0, por_tipo: {} };
+  for (const t of ALERT_TYPES) resumo.por_tipo[t] = 0;
+
+  const audited = [];
+  for (const pdv of pdvs) {
+    if (!hasCoords(pdv)) resumo.sem_coordenada++;
+    else if (pdv.geocode?.provider === geocode.MANUAL_PROVIDER) resumo.manuais++;
+    else if (geocode.isApproximate(pdv)) resumo.aproximados_por_cep++;
+    else audited.push(pdv);
+  }
+  resumo.auditados = audited.length;
+
+  // referência por cidade: mediana (resiste a poucos pontos errados)
+  const byCity = new Map();
+  for (const pdv of audited) {
+    const key = `${pdv.cidade.toUpperCase()}|${pdv.estado.toUpperCase()}`;
+    if (!byCity.has(key)) byCity.set(key, []);
+    byCity.get(key).push(pdv);
+  }
+  const cityCenter = new Map();
+  for (const [key, list] of byCity) {
+    if (list.length < o.minCityPeers) continue;
+    cityCenter.set(key, { lat: median(list.map(p => p.latitude)), lon: median(list.map(p => p.longitude)) });
+  }
+
+  // empilhamentos: mesmo ponto, endereços diferentes
+  const byPoint = new Map();
+  for (const pdv of audited) {
+    const key = `${pdv.latitude.toFixed(o.stackDecimals)},${pdv.longitude.toFixed(o.stackDecimals)}`;
+    if (!byPoint.has(key)) byPoint.set(key, []);
+    byPoint.get(key).push(pdv);
+  }
+  const stacked = new Map(); // pdv_id -> pilha
+  const empilhamentos = [];
+  for (const list of byPoint.values()) {
+    const addresses = new Set(list.map(p => p.endereco));
+    if (addresses.size < o.minStack) continue;
+    const pilha = {
+      latitude: list[0].latitude, longitude: list[0].longitude,
+      enderecos: addresses.size, pdv_ids: list.map(p => p.id)
+    };
+    empilhamentos.push(pilha);
+    for (const p of list) stacked.set(p.id, pilha);
+  }
+  empilhamentos.sort((a, b) => b.enderecos - a.enderecos);
+
+  const flagged = [];
+  for (const pdv of audited) {
+    const alertas = [];
+    if (insideUf(pdv.latitude, pdv.longitude, pdv.estado) === false) {
+      alertas.push({ tipo: 'fora_da_uf', detalhe: `fora dos limites de ${pdv.estado}` });
+    }
+    const centroid = geocode.approximateFromCep(pdv.cep);
+    const maxCep = centroid && o.maxCepKm[centroid.precisao];
+    if (maxCep) {
+      const d = haversineKm(pdv.latitude, pdv.longitude, centroid.lat, centroid.lon);
+      if (d > maxCep) {
+        alertas.push({ tipo: 'longe_do_cep', detalhe: `a ${round(d)} km do centroide do CEP (${centroid.precisao})`, distancia_km: round(d) });
+      }
+    }
+    const center = cityCenter.get(`${pdv.cidade.toUpperCase()}|${pdv.estado.toUpperCase()}`);
+    if (center) {
+      const d = haversineKm(pdv.latitude, pdv.longitude, center.lat, center.lon);
+      if (d > o.maxCityKm) {
+        alertas.push({ tipo: 'longe_da_cidade', detalhe: `a ${round(d)} km dos outros PDVs de ${pdv.cidade}`, distancia_km: round(d) });
+      }
+    }
+    const pilha = stacked.get(pdv.id);
+    if (pilha) alertas.push({ tipo: 'empilhado', detalhe: `${pilha.enderecos} endereços no mesmo ponto` });
+    if (!alertas.length) continue;
+
+    for (const a of alertas) resumo.por_tipo[a.tipo]++;
+    flagged.push({
+      pdv_id: pdv.id, nome: pdv.nome, endereco: pdv.endereco, cidade: pdv.cidade, estado: pdv.estado, cep: pdv.cep,
+      latitude: pdv.latitude, longitude: pdv.longitude,
+      provider: pdv.geocode?.provider ?? null, precisao: pdv.geocode?.precisao ?? null, confianca: pdv.geocode?.confianca ?? null,
+      gravidade: Math.max(...alertas.map(a => SEVERITY[a.tipo])),
+      alertas
+    });
+  }
+  resumo.com_alerta = flagged.length;
+
+  const maxDistance = (f) => Math.max(0, ...f.alertas.map(a => a.distancia_km || 0));
+  flagged.sort((a, b) => b.gravidade - a.gravidade || maxDistance(b) - maxDistance(a) || a.pdv_id.localeCompare(b.pdv_id));
+  return { resumo, pdvs: flagged, empilhamentos };
+}
+
+module.exports = { ALERT_TYPES, DEFAULTS, auditPdvs };
@@ -0,0 +1,184 @@
+// lib/geocode-job.js — job de pré-aquecimento/regeocodificação do cache (warm_geocode.js)
+//
+// - seleciona endereços por cidade/UF, só os sem coordenada (--only-missing) ou
+//   também os com cache mais velho que N dias (--older-than);
+// - cadência fica por conta da cadeia (balde de fichas + retries por provedor);
+// - checkpoint periódico: endereços já feitos, falhas e baixa confiança; com
+//   `resume` o job continua de onde parou, com os mesmos filtros;
+// - relatório final lista falhas e resultados de baixa confiança.
+
+const fs = require('fs');
+const geocode = require('./geocode');
+const { foldAccents } = require('./util');
+const { writeFileAtomic } = require('./csv');
+
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_EVERY = 25;          // endereços
+const CHECKPOINT_INTERVAL_MS = 10000;
+const DEFAULT_MIN_CONFIDENCE = 5;     // escala 1..10 do OpenCage
+const DAY_MS = 24 * 3600 * 1000;
+
+/** "30d", "12h", "90" (dias) -> ms; null se inválido. */
+function parseAge(value) {
+  const m = /^(\d+(?:\.\d+)?)\s*([dh]?)$/i.exec(String(value ?? '').trim());
+  if (!m) return null;
+  return Number(m[1]) * (m[2].toLowerCase() === 'h' ? 3600 * 1000 : DAY_MS);
+}
+
+/** "joinville,Itajaí" -> Set de nomes sem acento/caixa. */
+function nameSet(list) {
+  const out = new Set((list || []).flatMap(v => String(v).split(',')).map(v => foldAccents(v).trim().toUpperCase()).filter(Boolean));
+  return out.size ? out : null;
+}
+
+/**
+ * Endereços a geocodificar (um PDV representante por endereço).
+ * @param {object[]} pdvs
+ * @param {{ cidade?: string[], estado?: string[], onlyMissing?: boolean, olderThanMs?: number|null }} filtros
+ * @param {number} startedAt referência do --older-than (início do job, mantido no resume)
+ * @returns {Array<{ pdv: object, ids: string[], force: boolean }>}
+ */
+function selectTargets(pdvs, filtros, startedAt) {
+  const cidades = nameSet(filtros.cidade);
+  const estados = nameSet(filtros.estado);
+  const byAddress = new Map();
+  for (const pdv of pdvs) {
+    if (!pdv.endereco || pdv.geocode?.provider === geocode.MANUAL_PROVIDER) continue;
+    if (cidades && !cidades.has(foldAccents(pdv.cidade).toUpperCase())) continue;
+    if (estados && !estados.has(foldAccents(pdv.estado).toUpperCase())) continue;
+    const known = byAddress.get(pdv.endereco);
+    if (known) {
+      known.ids.push(pdv.id);
+      continue;
+    }
+    let force = false;
+    if (!geocode.isApproximate(pdv)) {
+      if (filtros.onlyMissing || !filtros.olderThanMs) continue;
+      const ts = geocode.getCachedCoords(pdv.endereco)?.ts;
+      if (ts && startedAt - ts < filtros.olderThanMs) continue;
+      force = true;
+    }
+    byAddress.set(pdv.endereco, { pdv, ids: [pdv.id], force });
+  }
+  return [...byAddress.values()];
+}
+
+function readCheckpoint(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  const cp = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (cp.versao !== CHECKPOINT_VERSION) throw new Error(`Checkpoint em formato desconhecido: ${file}`);
+  return cp;
+}
+
+/**
+ * Roda o job.
+ * @param {{
+ *   pdvs: object[],
+ *   filtros?: { cidade?: string[], estado?: string[], onlyMissing?: boolean, olderThanMs?: number|null },
+ *   concurrency?: number,
+ *   minConfidence?: number,
+ *   limit?: number,
+ *   checkpointFile?: string,
+ *   resume?: boolean,
+ *   shouldStop?: () => boolean,
+ *   onProgress?: (p: object) => void
+ * }} opts
+ * @returns {Promise<object>} relatório ({ concluido, motivo_parada, resumo, falhas, baixa_confianca })
+ */
+async function runGeocodeJob({
+  pdvs, filtros = {}, concurrency = 3, minConfidence = DEFAULT_MIN_CONFIDENCE, limit,
+  checkpointFile, resume = false, shouldStop = () => false, onProgress = () => {}
+}) {
+  const previous = resume ? readCheckpoint(checkpointFile) : null;
+  const state = previous || {
+    versao: CHECKPOINT_VERSION,
+    iniciado_em: Date.now(),
+    filtros,
+    feitos: [],
+    resumo: { ok: 0, baixa_confianca: 0, falhas: 0 },
+    falhas: [],
+    baixa_confianca: []
+  };
+  const done = new Set(state.feitos);
+  let queue = selectTargets(pdvs, state.filtros, state.iniciado_em).filter(t => !done.has(t.pdv.endereco));
+  if (limit) queue = queue.slice(0, limit);
+  const total = queue.length;
+
+  let lastSave = Date.now();
+  let sinceSave = 0;
+  const saveCheckpoint = () => {
+    if (!checkpointFile) return;
+    geocode.saveGeocodeCache(); // o checkpoint nunca fica à frente do cache
+    state.feitos = [...done];
+    writeFileAtomic(checkpointFile, JSON.stringify(state));
+    lastSave = Date.now();
+    sinceSave = 0;
+  };
+
+  let processed = 0;
+  let stopReason = null;
+  const geocoder = geocode.getGeocoder();
+
+  async function handle({ pdv, ids, force }) {
+    const item = { endereco: pdv.endereco, pdv_ids: ids };
+    const recentFailure = !force && geocode.failedRecently(pdv.endereco);
+    let geo = null;
+    let erro = null;
+    try {
+      geo = await geocode.geocodePdv(pdv, { force });
+    } catch (err) {
+      erro = err.message;
+    }
+    // cota acabou no meio: o endereço não conta como feito e fica para o --retomar
+    if (geocoder.remoteAvailable && !geocoder.remoteAvailable()) return;
+    if (recentFailure) erro = 'falhou há pouco (cache de falhas)';
+    if (!geo || geocode.isApproximate({ geocode: geo })) {
+      state.resumo.falhas++;
+      state.falhas.push({ ...item, motivo: erro || (geo ? 'só o centroide do CEP' : 'nenhum provedor resolveu') });
+    } else if (geo.precisao !== 'endereco' || (geo.confianca != null && geo.confianca < minConfidence)) {
+      state.resumo.baixa_confianca++;
+      state.baixa_confianca.push({ ...item, provider: geo.provider, precisao: geo.precisao, confianca: geo.confianca });
+    } else {
+      state.resumo.ok++;
+    }
+    done.add(pdv.endereco);
+    processed++;
+    sinceSave++;
+    onProgress({ processados: processed, total, ...state.resumo });
+    if (sinceSave >= CHECKPOINT_EVERY || Date.now() - lastSave >= CHECKPOINT_INTERVAL_MS) saveCheckpoint();
+  }
+
+  const worker = async () => {
+    while (queue.length) {
+      if (shouldStop()) { stopReason = stopReason || 'interrompido'; return; }
+      if (geocoder.remoteAvailable && !geocoder.remoteAvailable()) {
+        stopReason = `cota esgotada (${geocoder.exhausted().join(', ')})`;
+        return;
+      }
+      await handle(queue.shift());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const concluido = !stopReason;
+  if (concluido && checkpointFile) {
+    geocode.saveGeocodeCache();
+    fs.rmSync(checkpointFile, { force: true });
+  } else {
+    saveCheckpoint();
+  }
+  return {
+    concluido,
+    motivo_parada: stopReason,
+    iniciado_em: new Date(state.iniciado_em).toISOString(),
+    filtros: state.filtros,
+    ja_feitos_antes: previous ? previous.feitos.length : 0,
+    selecionados: total,
+    processados: processed,
+    resumo: state.resumo,
+    falhas: state.falhas,
+    baixa_confianca: state.baixa_confianca
+  };
+}
+
+module.exports = { DEFAULT_MIN_CONFIDENCE, parseAge, selectTargets, runGeocodeJob };
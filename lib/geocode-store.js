@@ -0,0 +1,284 @@
+// lib/geocode-store.js — cache de geocodificação em log JSONL só de acréscimo
+//
+// Uma linha por registro; vale a última linha de cada chave (endereço normalizado):
+//   { k, lat, lon, provider, precisao, confianca, ts }  acerto
+//   { k, falha: true, ts }                             nenhum provedor resolveu — vale por failureTtlMs
+//   { k, removido: true, ts }                          endereço esquecido
+//
+// Servidor e warm_geocode.js escrevem no mesmo arquivo: cada lote vai numa única
+// chamada de append (O_APPEND), e cada processo lê o que os outros acrescentaram a
+// partir do último offset conhecido (sync). compact() reescreve só os registros
+// vivos, de forma atômica e sob um arquivo de trava; enquanto a trava de outro
+// processo existe, os lotes esperam em memória.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./csv');
+const { markOwnWrite } = require('./watch');
+const { logger } = require('./logger');
+
+const DEFAULT_FLUSH_MS = 500;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/** Conteúdo de um arquivo já aberto a partir de `start`. */
+function readFd(fd, start) {
+  const size = fs.fstatSync(fd).size;
+  if (size <= start) return '';
+  const buf = Buffer.alloc(size - start);
+  const n = fs.readSync(fd, buf, 0, buf.length, start);
+  return buf.subarray(0, n).toString('utf-8');
+}
+
+/** Todo o conteúdo do arquivo a partir de `start` (ou '' se não existir). */
+function readFrom(file, start) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch {
+    return '';
+  }
+  try {
+    return readFd(fd, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Só as linhas completas de `text`. */
+function wholeLines(text) {
+  return text.slice(0, text.lastIndexOf('\n') + 1);
+}
+
+// lote pendente não se perde quando o processo termina normalmente (um listener para todos)
+const openStores = new Set();
+process.on('exit', () => {
+  for (const s of openStores) {
+    try { s.flush({ force: true }); } catch { /* saindo: nada a fazer */ }
+  }
+});
+
+/**
+ * @param {{ file: string, legacyFile?: string, failureTtlMs: number, flushMs?: number, now?: () => number }} opts
+ */
+function createGeocodeStore({ file, legacyFile, failureTtlMs, flushMs = DEFAULT_FLUSH_MS, now = Date.now }) {
+  const lock = `${file}.lock`;
+  let compacting = false;  // a trava é nossa
+  let entries = new Map(); // k -> registro
+  let offset = 0;          // bytes já lidos do arquivo
+  let ino = null;          // compactação troca o inode: aí é preciso reler do zero
+  let lines = 0;           // linhas no arquivo (para saber quando compactar)
+  let invalid = 0;
+  let pending = [];
+  let timer = null;
+
+  function apply(rec) {
+    if (!rec || typeof rec.k !== 'string') return;
+    if (rec.removido) entries.delete(rec.k);
+    else entries.set(rec.k, rec);
+  }
+
+  /** Aplica as linhas completas a partir do offset; linha pela metade fica para o próximo sync. */
+  function consume(text) {
+    const end = text.lastIndexOf('\n');
+    if (end < 0) return;
+    for (const line of text.slice(0, end).split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        invalid++;
+      }
+    }
+    offset += Buffer.byteLength(text.slice(0, end + 1));
+  }
+
+  /** geocode_cache.json antigo ({ endereço: { lat, lon, … } }) vira o primeiro conteúdo do log. */
+  function migrateLegacy(cacheKey, { strict }) {
+    if (!legacyFile || fs.existsSync(file) || !fs.existsSync(legacyFile)) return;
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(legacyFile, 'utf-8'));
+    } catch (err) {
+      if (strict) throw new Error(`${legacyFile} inválido: ${err.message}`);
+      logger.warn('Não foi possível migrar o cache antigo.', { arquivo: legacyFile, erro: err.message });
+      return;
+    }
+    const ts = Math.round(fs.statSync(legacyFile).mtimeMs);
+    const out = Object.entries(raw).map(([addr, e]) => JSON.stringify({
+      k: cacheKey(addr), lat: e.lat, lon: e.lon,
+      provider: e.provider || 'opencage', precisao: e.precisao || 'endereco',
+      confianca: e.confianca ?? null, ts
+    }));
+    writeFileAtomic(file, out.length ? out.join('\n') + '\n' : '');
+    logger.info('Cache de geocodificação migrado.', { enderecos: out.length, de: legacyFile, para: file });
+  }
+
+  /** Relê o arquivo inteiro. `cacheKey` normaliza as chaves do JSON legado. */
+  function load({ strict = false, cacheKey = (s) => s } = {}) {
+    migrateLegacy(cacheKey, { strict });
+    entries = new Map();
+    offset = 0;
+    lines = 0;
+    invalid = 0;
+    ino = fs.existsSync(file) ? fs.statSync(file).ino : null;
+    consume(readFrom(file, 0));
+    if (invalid) logger.warn('Linhas inválidas ignoradas.', { arquivo: file, linhas: invalid });
+  }
+
+  /** Traz o que outros processos acrescentaram desde a última leitura. */
+  function sync() {
+    let st;
+    try {
+      st = fs.statSync(file);
+    } catch {
+      return;
+    }
+    if (st.ino !== ino || st.size < offset) {
+      const mine = pending;
+      load();
+      for (const line of mine) apply(JSON.parse(line));
+      return;
+    }
+    if (st.size > offset) consume(readFrom(file, offset));
+  }
+
+  /** Outro processo está compactando (trava recente que não é nossa)? */
+  function lockedByOther() {
+    if (compacting) return false;
+    try {
+      return now() - fs.statSync(lock).mtimeMs <= STALE_LOCK_MS;
+    } catch {
+      return false;
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        logger.warn('Falha ao gravar o cache de geocodificação.', { erro: err.message });
+      }
+    }, flushMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Acrescenta o lote pendente ao arquivo. Com a trava de outro processo o lote
+   * espera o próximo ciclo (linha gravada no arquivo antigo antes da troca se
+   * perderia); `force` grava mesmo assim (saída do processo).
+   */
+  function flush({ force = false } = {}) {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return;
+    if (!force && lockedByOther()) {
+      schedule();
+      return;
+    }
+    const chunk = pending.join('\n') + '\n';
+    pending = [];
+    fs.appendFileSync(file, chunk, 'utf-8');
+    markOwnWrite([file]);
+    // o offset não anda aqui: outro processo pode ter escrito antes; o próximo
+    // sync relê as nossas linhas junto (reaplicar é idempotente, na ordem do arquivo)
+    if (ino === null) ino = fs.statSync(file).ino;
+  }
+
+  function append(rec) {
+    const full = { ...rec, ts: now() };
+    apply(full);
+    pending.push(JSON.stringify(full));
+    schedule();
+  }
+
+  function isFreshFailure(rec) {
+    return rec.falha && now() - rec.ts < failureTtlMs;
+  }
+
+  /**
+   * Reescreve o arquivo só com os registros vivos (sem histórico, sem falhas
+   * vencidas). Os outros processos param de gravar ao ver a trava; o que um
+   * deles acrescentou antes disso — até a troca do arquivo — é copiado para o novo.
+   */
+  function compact() {
+    try {
+      if (fs.existsSync(lock) && now() - fs.statSync(lock).mtimeMs > STALE_LOCK_MS) fs.rmSync(lock, { force: true });
+      fs.closeSync(fs.openSync(lock, 'wx'));
+    } catch {
+      throw new Error(`Compactação já em andamento (${lock}).`);
+    }
+    compacting = true;
+    let old = null;
+    try {
+      flush();
+      sync();
+      const before = lines;
+      const live = [...entries.values()].filter(rec => !rec.falha || isFreshFailure(rec));
+      let content = live.map(rec => JSON.stringify(rec)).join('\n') + (live.length ? '\n' : '');
+      try {
+        old = fs.openSync(file, 'r');
+      } catch { /* ainda não existe */ }
+      let copied = offset;
+      if (old !== null) {
+        const late = wholeLines(readFd(old, offset));
+        content += late;
+        copied += Buffer.byteLength(late);
+      }
+      writeFileAtomic(file, content);
+      // acréscimo que caiu no arquivo antigo enquanto o novo era escrito
+      const tail = old === null ? '' : wholeLines(readFd(old, copied));
+      if (tail) fs.appendFileSync(file, tail, 'utf-8');
+      load();
+      return { linhas_antes: before, linhas_depois: lines, registros: entries.size };
+    } finally {
+      if (old !== null) fs.closeSync(old);
+      compacting = false;
+      fs.rmSync(lock, { force: true });
+    }
+  }
+
+  const self = {
+    file,
+    load,
+    sync,
+    flush,
+    compact,
+    /** Acerto para a chave (ou null). */
+    get(k) {
+      const rec = entries.get(k);
+      return rec && !rec.falha ? rec : null;
+    },
+    /** A chave falhou há menos de failureTtlMs? */
+    failedRecently(k) {
+      const rec = entries.get(k);
+      return !!rec && isFreshFailure(rec);
+    },
+    put(k, { lat, lon, provider, precisao, confianca = null }) {
+      append({ k, lat, lon, provider, precisao, confianca });
+    },
+    putFailure(k) {
+      append({ k, falha: true });
+    },
+    remove(k) {
+      if (!entries.has(k)) return false;
+      append({ k, removido: true });
+      return true;
+    },
+    stats() {
+      let falhas = 0;
+      for (const rec of entries.values()) if (rec.falha) falhas++;
+      return { arquivo: file, linhas: lines, enderecos: entries.size - falhas, falhas, pendentes: pending.length };
+    },
+    /** Grava o pendente e larga o store (troca de arquivo). */
+    close() {
+      flush({ force: true });
+      openStores.delete(self);
+    }
+  };
+  openStores.add(self);
+  return self;
+}
+
+module.exports = { createGeocodeStore };
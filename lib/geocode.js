@@ -0,0 +1,193 @@
+// lib/geocode.js — geocodificação de PDVs com cache em geocode_cache.jsonl
+//
+// A rede fica por conta da cadeia de provedores (lib/geocoding). Aqui ficam o
+// cache por endereço e a aproximação offline pelo CEP usada na carga. O CEP
+// digitado pelo usuário é resolvido em lib/cep.js.
+
+const path = require('path');
+const config = require('./config');
+const { normText, onlyDigits } = require('./util');
+const { createGeocodeStore } = require('./geocode-store');
+const { geocoderFromEnv } = require('./geocoding');
+const { createCepCentroidProvider } = require('./geocoding/providers/cep-centroid');
+const { geocodeCache } = require('./metrics');
+const { logger } = require('./logger');
+
+let geocoder = geocoderFromEnv();
+const cepCentroids = createCepCentroidProvider();
+
+/** Troca a cadeia de provedores (testes, CLI). */
+function setGeocoder(g) { geocoder = g; }
+function getGeocoder() { return geocoder; }
+
+// Coordenada fixada à mão por um operador (pdvs_coordenadas_manuais.csv): vale sobre qualquer provedor
+const MANUAL_PROVIDER = 'manual';
+
+// Só resultados vindos de provedor entram no cache; centroide é recalculado na carga.
+const CACHEABLE_PRECISION = new Set(['endereco', 'cep']);
+
+// ======================== Cache ========================
+// geocode_cache.jsonl (lib/geocode-store.js): acertos com provedor/precisão/data
+// e falhas com validade, para não bater no provedor de novo a cada carga.
+let store = null;
+
+/** Chave do cache: endereço com espaços colapsados (CSVs antigos têm "RUA  X"). */
+function cacheKey(address) { return normText(address); }
+
+function getStore() { return store || loadGeocodeCache(); }
+
+/**
+ * Abre (ou atualiza) o cache do disco. O mesmo arquivo só lê o que foi
+ * acrescentado desde a última vez; `strict` faz um JSON legado ilegível ser erro.
+ */
+function loadGeocodeCache(file = config.GEOCODE_CACHE_FILE, { strict = false } = {}) {
+  if (store?.file === file) {
+    store.sync();
+    return store;
+  }
+  store?.close();
+  store = createGeocodeStore({
+    file,
+    legacyFile: path.join(path.dirname(file), 'geocode_cache.json'),
+    failureTtlMs: config.GEOCODE_FAILURE_TTL_MS
+  });
+  store.load({ strict, cacheKey });
+  return store;
+}
+
+/** Grava já o lote pendente (normalmente sai sozinho em até meio segundo). */
+function saveGeocodeCache() {
+  try {
+    getStore().flush();
+  } catch (err) {
+    logger.warn('Falha ao salvar o cache de geocodificação.', { erro: err.message });
+  }
+}
+
+/** Reescreve o log só com os registros vivos. */
+function compactGeocodeCache() { return getStore().compact(); }
+
+function geocodeCacheStats() { return getStore().stats(); }
+
+/** Coordenadas já conhecidas para o endereço (sem rede). */
+function getCachedCoords(address) {
+  const hit = getStore().get(cacheKey(address));
+  if (!hit || !Number.isFinite(+hit.lat) || !Number.isFinite(+hit.lon)) return null;
+  return {
+    lat: +hit.lat,
+    lon: +hit.lon,
+    provider: hit.provider,
+    precisao: hit.precisao,
+    confianca: hit.confianca ?? null,
+    ts: hit.ts ?? null
+  };
+}
+
+/**
+ * Grava coordenadas conhecidas de fora (ex.: planilha importada já geocodificada).
+ * @param {Array<{ endereco: string, lat: number, lon: number, provider: string, precisao: string }>} entries
+ */
+function rememberCoords(entries) {
+  for (const { endereco, ...entry } of entries) getStore().put(cacheKey(endereco), entry);
+}
+
+/** Nenhum provedor resolveu o endereço recentemente (dentro da validade da falha)? */
+function failedRecently(address) {
+  return getStore().failedRecently(cacheKey(address));
+}
+
+/** Esquece o endereço (PDV mudou de endereço ou foi removido). */
+function forgetAddress(address) {
+  return getStore().remove(cacheKey(address));
+}
+
+// ======================== Endereço ========================
+/** Monta o endereço usado como chave do cache. */
+function buildAddress(row) {
+  // CSV: id;nome;rua;bairro;cidade;cep;estado
+  const rua = normText(row.rua);
+  const bairro = normText(row.bairro);
+  const cidade = normText(row.cidade);
+  const uf = normText(row.estado).toUpperCase();
+  const cep = onlyDigits(row.cep, 8);
+
+  const parts = [];
+  if (rua) parts.push(rua);
+  if (bairro) parts.push(bairro);
+  if (cidade) parts.push(cidade);
+  if (uf) parts.push(`${uf}, Brasil`); else parts.push('Brasil');
+  if (cep) parts.push(cep);
+  return parts.join(', ');
+}
+
+// ======================== Geocodificação ========================
+/** Centroide do prefixo do CEP (offline, síncrono). */
+function approximateFromCep(cep) {
+  const hit = cepCentroids.lookup(cep);
+  return hit ? { ...hit, provider: cepCentroids.name } : null;
+}
+
+/** A coordenada atual do PDV é só uma aproximação local (ou nem existe)? */
+function isApproximate(pdv) {
+  return !pdv.geocode || pdv.geocode.provider === cepCentroids.name;
+}
+
+const inflightGeocoding = new Map(); // address -> Promise<resultado>
+
+/**
+ * Geocodifica um PDV ({ endereco, cep, cidade, estado }) pela cadeia de provedores.
+ * Se o endereço não resolver, a própria cadeia cai para o CEP.
+ * `force` ignora o cache (regeocodificação); se falhar, o registro antigo fica.
+ */
+async function geocodePdv(pdv, { force = false } = {}) {
+  const addr = cacheKey(pdv.endereco);
+  if (!addr) return approximateFromCep(pdv.cep);
+  const cache = getStore();
+  cache.sync(); // outro processo (warm_geocode.js) pode ter resolvido agora há pouco
+  if (!force) {
+    const cached = getCachedCoords(addr);
+    // só esta consulta conta em /metrics: carga do dataset, importador e auditoria também leem o cache
+    geocodeCache.inc({ resultado: cached ? 'acerto' : 'falta' });
+    if (cached) return cached;
+    if (cache.failedRecently(addr)) return approximateFromCep(pdv.cep);
+  }
+  if (inflightGeocoding.has(addr)) return inflightGeocoding.get(addr);
+  const p = (async () => {
+    try {
+      const hit = await geocoder.geocode({
+        endereco: addr, cep: pdv.cep, cidade: pdv.cidade, estado: pdv.estado
+      });
+      const out = hit && {
+        lat: hit.lat, lon: hit.lon, provider: hit.provider,
+        precisao: hit.precisao, confianca: hit.confianca ?? null
+      };
+      // só o centroide (ou nada) = provedores de rede não acharam: não tenta de novo até vencer
+      if (out && CACHEABLE_PRECISION.has(out.precisao)) cache.put(addr, out);
+      // sem cota não é falha do endereço: não marca, para tentar de novo amanhã
+      else if (geocoder.remoteAvailable?.() !== false && (!force || !cache.get(addr))) cache.putFailure(addr);
+      return out;
+    } finally {
+      inflightGeocoding.delete(addr);
+    }
+  })();
+  inflightGeocoding.set(addr, p);
+  return p;
+}
+
+module.exports = {
+  MANUAL_PROVIDER,
+  setGeocoder,
+  getGeocoder,
+  loadGeocodeCache,
+  saveGeocodeCache,
+  compactGeocodeCache,
+  geocodeCacheStats,
+  getCachedCoords,
+  failedRecently,
+  rememberCoords,
+  forgetAddress,
+  buildAddress,
+  approximateFromCep,
+  isApproximate,
+  geocodePdv
+};
@@ -0,0 +1,58 @@
+// lib/geocoding/errors.js — erros que a cadeia de provedores sabe tratar
+//
+// RateLimitError: o provedor pediu para esperar (HTTP 429) ou a cota acabou (402).
+// ProviderError:  falha do lado do provedor (5xx) — vale tentar de novo.
+// Resposta 4xx comum (endereço inválido etc.) não é erro: o provedor devolve null.
+
+class RateLimitError extends Error {
+  /**
+   * @param {string} provider
+   * @param {{ retryAfterMs?: number|null, quota?: boolean }} [opts] quota: cota esgotada, não adianta insistir hoje
+   */
+  constructor(provider, { retryAfterMs = null, quota = false } = {}) {
+    super(quota ? `${provider}: cota esgotada` : `${provider}: limite de requisições (429)`);
+    this.name = 'RateLimitError';
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+    this.quota = quota;
+  }
+}
+
+class ProviderError extends Error {
+  constructor(provider, status) {
+    super(`${provider}: HTTP ${status}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/** Retry-After em segundos ou data HTTP -> ms (null se ausente/ilegível). */
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Confere a resposta HTTP de um provedor: lança nos casos de limite/erro do
+ * servidor e devolve `r.ok` para o resto.
+ */
+function checkResponse(r, provider) {
+  if (r.status === 429) {
+    throw new RateLimitError(provider, { retryAfterMs: parseRetryAfter(r.headers.get('retry-after')) });
+  }
+  if (r.status === 402) throw new RateLimitError(provider, { quota: true });
+  if (r.status >= 500) throw new ProviderError(provider, r.status);
+  return r.ok;
+}
+
+/** Vale tentar de novo? (limite temporário, 5xx, timeout ou falha de rede) */
+function isRetryable(err) {
+  if (err instanceof RateLimitError) return !err.quota;
+  return err instanceof ProviderError || err.name === 'AbortError' || err.name === 'TypeError';
+}
+
+module.exports = { RateLimitError, ProviderError, parseRetryAfter, checkResponse, isRetryable };
@@ -0,0 +1,163 @@
+// lib/geocoding/index.js — cadeia de provedores de geocodificação com fallback e timeout
+//
+// Provedor: { name, remote, enabled, fields, geocode(query, { signal }) }
+//   query    -> { endereco?, cep?, cidade?, estado? }
+//   fields   -> campos da query que o provedor usa; sem nenhum deles preenchido
+//               o provedor é pulado antes de gastar ficha do limite
+//   resposta -> { lat, lon, precisao, confianca } | null
+// OpenCage/Nominatim só olham `endereco`, AwesomeAPI e centroides só olham `cep`.
+
+const config = require('../config');
+const { sleep, createTokenBucket } = require('../rate-limit');
+const { RateLimitError, isRetryable } = require('./errors');
+const { upstreamCalls, upstreamResult } = require('../metrics');
+const { logger } = require('../logger');
+const { createOpenCageProvider } = require('./providers/opencage');
+const { createAwesomeApiProvider } = require('./providers/awesomeapi');
+const { createNominatimProvider } = require('./providers/nominatim');
+const { createCepCentroidProvider } = require('./providers/cep-centroid');
+const { createStubProvider } = require('./providers/stub');
+
+const PROVIDER_FACTORIES = {
+  opencage: createOpenCageProvider,
+  awesomeapi: createAwesomeApiProvider,
+  nominatim: createNominatimProvider,
+  'cep-centroid': createCepCentroidProvider,
+  stub: createStubProvider
+};
+
+const DEFAULT_CHAIN = ['opencage', 'awesomeapi', 'cep-centroid'];
+const TEST_CHAIN = ['stub'];
+
+// requisições por segundo: plano gratuito do OpenCage e política do Nominatim público
+const DEFAULT_RATES = { opencage: 1, nominatim: 1 };
+const DEFAULT_BACKOFF_MS = 1000;
+
+async function callWithTimeout(provider, query, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let err = null;
+  let hit;
+  try {
+    hit = await provider.geocode(query, { signal: controller.signal });
+    return hit;
+  } catch (e) {
+    err = e;
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    // só provedores de rede contam em /metrics (são os que custam cota)
+    if (provider.remote) upstreamCalls.inc({ servico: 'geocode', provedor: provider.name, resultado: upstreamResult(err, hit) });
+  }
+}
+
+/**
+ * Tenta os provedores em ordem; o primeiro que responder com coordenadas vence.
+ *
+ * Limites por provedor (`rates`, req/s) passam por um balde de fichas; se a fila
+ * do balde passar de `maxWaitMs` o provedor é pulado. Com `retries`, limite (429),
+ * 5xx, timeout e falha de rede são repetidos com espera exponencial (ou o
+ * Retry-After do provedor). Cota esgotada (402) tira o provedor da cadeia até
+ * o processo reiniciar.
+ * @param {{ providers: object[], timeoutMs?: number, timeouts?: Record<string, number>,
+ *           rates?: Record<string, number>, retries?: number, backoffMs?: number, maxWaitMs?: number }} opts
+ */
+function createGeocoder({
+  providers, timeoutMs = config.GEOCODER_TIMEOUT_MS, timeouts = {},
+  rates = {}, retries = 0, backoffMs = DEFAULT_BACKOFF_MS, maxWaitMs
+}) {
+  const buckets = new Map();
+  for (const [name, rate] of Object.entries(rates)) {
+    if (rate > 0) buckets.set(name, createTokenBucket({ ratePerSec: rate }));
+  }
+  const exhausted = new Set();
+
+  async function attempt(provider, query) {
+    const ms = timeouts[provider.name] ?? timeoutMs;
+    const bucket = buckets.get(provider.name);
+    for (let tentativa = 0; ; tentativa++) {
+      if (bucket && !(await bucket.take(maxWaitMs ?? ms))) return null; // fila longa demais: próximo provedor
+      try {
+        return await callWithTimeout(provider, query, ms);
+      } catch (err) {
+        if (err instanceof RateLimitError) {
+          if (err.quota) exhausted.add(provider.name);
+          else bucket?.pauseFor(err.retryAfterMs ?? backoffMs * 2 ** tentativa);
+        }
+        if (tentativa >= retries || !isRetryable(err)) throw err;
+        await sleep(err.retryAfterMs ?? backoffMs * 2 ** tentativa);
+      }
+    }
+  }
+
+  async function geocode(query) {
+    for (const provider of providers) {
+      if (!provider.enabled || exhausted.has(provider.name)) continue;
+      // CEP do usuário não espera na fila do OpenCage para nada
+      if (provider.fields && !provider.fields.some(f => query[f])) continue;
+      try {
+        const hit = await attempt(provider, query);
+        if (hit && Number.isFinite(hit.lat) && Number.isFinite(hit.lon)) {
+          return { ...hit, provider: provider.name };
+        }
+      } catch (err) {
+        const motivo = err.name === 'AbortError' ? `timeout de ${timeouts[provider.name] ?? timeoutMs} ms` : err.message;
+        logger.warn('Provedor de geocodificação falhou.', { provedor: provider.name, motivo });
+      }
+    }
+    return null;
+  }
+
+  return {
+    providers,
+    geocode,
+    /** Há algum provedor de rede habilitado? (sem isso não adianta tentar melhorar coordenadas) */
+    hasRemote: providers.some(p => p.remote && p.enabled),
+    /** Ainda há provedor de rede com cota? */
+    remoteAvailable() {
+      return providers.some(p => p.remote && p.enabled && !exhausted.has(p.name));
+    },
+    /** Provedores cuja cota acabou neste processo. */
+    exhausted() { return [...exhausted]; }
+  };
+}
+
+function createProvider(name, options) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) throw new Error(`Provedor de geocodificação desconhecido: ${name}`);
+  return factory(options);
+}
+
+/**
+ * Monta a cadeia a partir do ambiente:
+ *   GEOCODER_CHAIN=opencage,nominatim,cep-centroid  (padrão: opencage,awesomeapi,cep-centroid; em NODE_ENV=test: stub)
+ *   GEOCODER_TIMEOUT_MS=5000                         (padrão para todos)
+ *   GEOCODER_TIMEOUT_OPENCAGE_MS=3000                (por provedor; '-' vira '_')
+ *   GEOCODER_RATE_OPENCAGE=1                         (req/s por provedor; 0 desliga o limite)
+ * `overrides` vai direto para createGeocoder (ex.: retries do warm_geocode.js).
+ */
+function geocoderFromEnv(env = process.env, overrides = {}) {
+  const chain = env.GEOCODER_CHAIN
+    ? env.GEOCODER_CHAIN.split(',').map(s => s.trim()).filter(Boolean)
+    : (env.NODE_ENV === 'test' ? TEST_CHAIN : DEFAULT_CHAIN);
+  const timeouts = {};
+  const rates = {};
+  for (const name of chain) {
+    const suffix = name.toUpperCase().replace(/-/g, '_');
+    const v = Number(env[`GEOCODER_TIMEOUT_${suffix}_MS`]);
+    if (Number.isFinite(v) && v > 0) timeouts[name] = v;
+    const rate = env[`GEOCODER_RATE_${suffix}`];
+    if (rate !== undefined && rate !== '' && Number.isFinite(Number(rate))) rates[name] = Number(rate);
+    else if (DEFAULT_RATES[name]) rates[name] = DEFAULT_RATES[name];
+  }
+  return createGeocoder({ providers: chain.map(name => createProvider(name)), timeouts, rates, ...overrides });
+}
+
+module.exports = {
+  PROVIDER_FACTORIES,
+  DEFAULT_CHAIN,
+  DEFAULT_RATES,
+  createGeocoder,
+  createProvider,
+  geocoderFromEnv
+};
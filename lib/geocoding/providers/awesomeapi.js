@@ -0,0 +1,32 @@
+// providers/awesomeapi.js — CEP -> coordenadas via cep.awesomeapi.com.br (sem chave)
+
+const { checkResponse } = require('../errors');
+
+const BASE_URL = 'https://cep.awesomeapi.com.br/json';
+
+function createAwesomeApiProvider({ baseUrl = BASE_URL } = {}) {
+  return {
+    name: 'awesomeapi',
+    remote: true,
+    enabled: true,
+    fields: ['cep'],
+    async geocode({ cep }, { signal } = {}) {
+      const digits = String(cep ?? '').replace(/\D/g, '');
+      if (digits.length !== 8) return null;
+      const r = await fetch(`${baseUrl}/${digits}`, { signal });
+      if (!checkResponse(r, 'awesomeapi')) return null;
+      const j = await r.json();
+      if (!j.lat || !j.lng) return null;
+      return {
+        lat: +j.lat,
+        lon: +j.lng,
+        precisao: 'cep',
+        confianca: null,
+        cidade: j.city || null,
+        estado: j.state || null
+      };
+    }
+  };
+}
+
+module.exports = { createAwesomeApiProvider };
@@ -0,0 +1,60 @@
+// providers/cep-centroid.js — aproximação offline pelo prefixo do CEP
+//
+// cep_centroides.csv traz o centro da cidade para prefixos de 5 e 3 dígitos e
+// o centro do estado para prefixos de 2 dígitos. Vale o prefixo mais longo.
+
+const fs = require('fs');
+const config = require('../../config');
+const { logger } = require('../../logger');
+
+const PRECISION_BY_LENGTH = { 5: 'cep5', 3: 'cep3', 2: 'uf' };
+
+function parseTable(text) {
+  const table = new Map();
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+  const header = lines.shift().split(';').map(h => h.trim().toLowerCase());
+  for (const line of lines) {
+    const cols = line.split(';');
+    const row = Object.fromEntries(header.map((h, i) => [h, (cols[i] ?? '').trim()]));
+    const lat = Number(row.latitude), lon = Number(row.longitude);
+    if (!row.prefixo || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    table.set(row.prefixo, { lat, lon, cidade: row.cidade || null, estado: row.estado || null });
+  }
+  return table;
+}
+
+function createCepCentroidProvider({ file = config.CEP_CENTROIDS_FILE } = {}) {
+  let table = null;
+  function getTable() {
+    if (table) return table;
+    try {
+      table = parseTable(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      logger.warn('Não foi possível carregar a tabela de centroides de CEP.', { erro: err.message });
+      table = new Map();
+    }
+    return table;
+  }
+
+  /** Busca síncrona — usada na carga do dataset, sem rede. */
+  function lookup(cep) {
+    const digits = String(cep ?? '').replace(/\D/g, '');
+    if (digits.length !== 8) return null;
+    for (const len of [5, 3, 2]) {
+      const hit = getTable().get(digits.slice(0, len));
+      if (hit) return { ...hit, precisao: PRECISION_BY_LENGTH[len], confianca: null };
+    }
+    return null;
+  }
+
+  return {
+    name: 'cep-centroid',
+    remote: false,
+    enabled: true,
+    fields: ['cep'],
+    lookup,
+    async geocode({ cep }) { return lookup(cep); }
+  };
+}
+
+module.exports = { createCepCentroidProvider };
@@ -0,0 +1,38 @@
+// providers/nominatim.js — endereço via Nominatim (OpenStreetMap)
+//
+// A política de uso do servidor público pede User-Agent identificável e no
+// máximo 1 req/s; para volume, aponte NOMINATIM_URL para uma instância própria.
+
+const { checkResponse } = require('../errors');
+
+const BASE_URL = 'https://nominatim.openstreetmap.org';
+
+function createNominatimProvider({
+  baseUrl = process.env.NOMINATIM_URL || BASE_URL,
+  userAgent = process.env.NOMINATIM_USER_AGENT || 'localizador-backend/1.0'
+} = {}) {
+  return {
+    name: 'nominatim',
+    remote: true,
+    enabled: true,
+    fields: ['endereco'],
+    async geocode({ endereco }, { signal } = {}) {
+      if (!endereco) return null;
+      const url = `${baseUrl}/search?q=${encodeURIComponent(endereco)}` +
+        '&format=jsonv2&limit=1&countrycodes=br&accept-language=pt-BR';
+      const r = await fetch(url, { signal, headers: { 'User-Agent': userAgent } });
+      if (!checkResponse(r, 'nominatim')) return null;
+      const [first] = await r.json();
+      if (!first) return null;
+      return {
+        lat: +first.lat,
+        lon: +first.lon,
+        precisao: 'endereco',
+        // importance vem em 0..1; normaliza para a escala 1..10 do OpenCage
+        confianca: Number.isFinite(+first.importance) ? Math.max(1, Math.round(+first.importance * 10)) : null
+      };
+    }
+  };
+}
+
+module.exports = { createNominatimProvider };
@@ -0,0 +1,33 @@
+// providers/opencage.js — endereço completo via OpenCage (precisa de OPENCAGE_KEY)
+
+const config = require('../../config');
+const { checkResponse } = require('../errors');
+
+const BASE_URL = 'https://api.opencagedata.com/geocode/v1/json';
+
+function createOpenCageProvider({ key = config.OPENCAGE_KEY, baseUrl = BASE_URL } = {}) {
+  return {
+    name: 'opencage',
+    remote: true,
+    enabled: Boolean(key),
+    fields: ['endereco'],
+    async geocode({ endereco }, { signal } = {}) {
+      if (!key || !endereco) return null;
+      const url = `${baseUrl}?q=${encodeURIComponent(endereco)}&key=${key}` +
+        '&limit=1&no_annotations=1&language=pt-BR&countrycode=br';
+      const r = await fetch(url, { signal });
+      if (!checkResponse(r, 'opencage')) return null;
+      const j = await r.json();
+      const first = j?.results?.[0];
+      if (!first?.geometry) return null;
+      return {
+        lat: +first.geometry.lat,
+        lon: +first.geometry.lng,
+        precisao: 'endereco',
+        confianca: Number.isFinite(first.confidence) ? first.confidence : null
+      };
+    }
+  };
+}
+
+module.exports = { createOpenCageProvider };
@@ -0,0 +1,42 @@
+// providers/stub.js — geocodificador determinístico para testes (nenhuma rede)
+//
+// Endereços/CEPs em `fixtures` devolvem as coordenadas fixadas; o resto vira
+// um ponto estável dentro de `bbox`, derivado de um hash do texto.
+
+const DEFAULT_BBOX = [-49.2, -27.7, -48.5, -26.2]; // minLon,minLat,maxLon,maxLat (litoral norte de SC)
+
+function hash32(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function createStubProvider({ fixtures = {}, bbox = DEFAULT_BBOX, name = 'stub' } = {}) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  return {
+    name,
+    remote: false,
+    enabled: true,
+    fields: ['endereco', 'cep'],
+    async geocode({ endereco, cep }) {
+      const key = endereco || String(cep ?? '').replace(/\D/g, '');
+      if (!key) return null;
+      if (Object.prototype.hasOwnProperty.call(fixtures, key)) {
+        const fixed = fixtures[key];
+        return fixed ? { precisao: endereco ? 'endereco' : 'cep', confianca: 10, ...fixed } : null;
+      }
+      const h = hash32(key);
+      return {
+        lat: +(minLat + ((h & 0xffff) / 0xffff) * (maxLat - minLat)).toFixed(6),
+        lon: +(minLon + ((h >>> 16) / 0xffff) * (maxLon - minLon)).toFixed(6),
+        precisao: endereco ? 'endereco' : 'cep',
+        confianca: 10
+      };
+    }
+  };
+}
+
+module.exports = { createStubProvider };
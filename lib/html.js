@@ -0,0 +1,45 @@
+// lib/html.js — HTML montado no servidor, sem motor de template
+//
+// html`...` escapa toda interpolação; o que já é HTML (outro html`` ou raw())
+// entra como está, listas são juntadas e null/undefined/false somem:
+//   html`<li>${pdv.nome}</li>`              -> nome escapado
+//   html`<ul>${pdvs.map(p => html`<li>${p.nome}</li>`)}</ul>`
+
+const crypto = require('crypto');
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ENTITIES[c]);
+}
+
+/** Marca texto como HTML pronto (só para o que o próprio servidor gerou). */
+function raw(s) { return new SafeHtml(String(s)); }
+
+function fragment(v) {
+  if (v == null || v === false) return '';
+  if (v instanceof SafeHtml) return v.value;
+  if (Array.isArray(v)) return v.map(fragment).join('');
+  return escapeHtml(v);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, s, i) => out + s + (i < values.length ? fragment(values[i]) : ''), ''));
+}
+
+/** JSON para <script type="application/ld+json">: '<' escapado, nada fecha a tag. */
+function jsonScript(value) {
+  return raw(JSON.stringify(value).replace(/</g, '\\u003c'));
+}
+
+/** Nonce do Content-Security-Policy (um por resposta). */
+function cspNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+module.exports = { SafeHtml, escapeHtml, raw, html, jsonScript, cspNonce };
@@ -0,0 +1,289 @@
+// lib/importer.js — importação de planilhas de varejistas (substitui os scripts .py)
+//
+// Faz o que combinar_pdvs.py, filtrar_pdv_produtos.py, excluir_produtos_pdv.py e
+// geocodificar_pdvs.py faziam à mão:
+//   1. lê CSVs com ';' ou ',' (com ou sem BOM) e reconhece variações de cabeçalho;
+//   2. valida linha a linha (erros por linha no relatório, a linha é descartada);
+//   3. mescla com o dataset atual — PDV/produto importado vence o existente;
+//   4. tira vínculos de PDV inexistente e descarta produtos excluídos
+//      (produtos_excluidos.csv) do que está sendo importado;
+//   5. coordenadas vindas na planilha alimentam o cache; o resto é geocodificado
+//      em segundo plano depois da troca (repository.mutate).
+
+const fs = require('fs');
+const config = require('./config');
+const { parseCsvText, readCsv } = require('./csv');
+const { norm, foldAccents } = require('./util');
+const { validatePdv, validateProduct } = require('./validation');
+const { HttpError } = require('./errors');
+const repository = require('./repository');
+const geocode = require('./geocode');
+
+const MODES = ['mesclar', 'substituir'];
+const MAX_DIFF_ITEMS = 1000;
+
+// cabeçalhos aceitos (já sem acento/caixa) -> coluna canônica
+const PDV_ALIASES = {
+  id: ['id', 'codigo', 'cod_pdv', 'codigo_pdv', 'pdv_id', 'cod_cliente'],
+  nome: ['nome', 'loja', 'nome_fantasia', 'fantasia', 'razao_social'],
+  rua: ['rua', 'endereco', 'logradouro'],
+  bairro: ['bairro'],
+  cidade: ['cidade', 'municipio'],
+  cep: ['cep'],
+  estado: ['estado', 'uf'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng']
+};
+const PRODUCT_ALIASES = {
+  id: ['id', 'codigo', 'cod_produto', 'produto_id', 'sku'],
+  nome: ['nome', 'descricao', 'produto'],
+  volume: ['volume'],
+  em_destaque: ['em_destaque', 'destaque'],
+  imagem_url: ['imagem_url', 'imagem'],
+  produto_url: ['produto_url', 'url', 'link'],
+  linha: ['linha'],
+  sabor: ['sabor'],
+  categoria: ['categoria'],
+  ativo: ['ativo']
+};
+const MAPPING_ALIASES = {
+  pdv_id: ['pdv_id', 'id_pdv', 'cod_pdv', 'codigo_pdv'],
+  produto_id: ['produto_id', 'id_produto', 'cod_produto', 'codigo', 'sku']
+};
+
+function foldHeader(h) {
+  return foldAccents(h).replace(/\s+/g, '_');
+}
+
+/** Reescreve a linha com as colunas canônicas; colunas extras (_7…) são preservadas. */
+function canonicalRow(row, aliases) {
+  const folded = {};
+  for (const [k, v] of Object.entries(row)) folded[foldHeader(k)] = v;
+  const out = {};
+  for (const [col, names] of Object.entries(aliases)) {
+    const hit = names.find(n => folded[n] !== undefined && folded[n] !== '');
+    if (hit) out[col] = folded[hit];
+  }
+  for (const k of Object.keys(row)) if (/^_\d+$/.test(k)) out[k] = row[k];
+  return out;
+}
+
+async function loadExcludedProducts(file = config.EXCLUDED_PRODUCTS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return (await readCsv(file)).map(r => norm(r.produto_id ?? r.id)).filter(Boolean);
+}
+
+// ======================== Leitura + validação ========================
+/**
+ * @returns {Promise<{ rows: object[], lidos: number }>} linhas válidas (primeira ocorrência de cada id)
+ */
+async function parseEntities(text, { arquivo, aliases, validate, prepare = (r) => r }, report) {
+  const raw = await parseCsvText(text);
+  const rows = [];
+  const seen = new Map();
+  raw.forEach((r, i) => {
+    const linha = i + 2; // 1 = cabeçalho
+    const row = prepare(canonicalRow(r, aliases));
+    const { value, erros } = validate(row);
+    if (erros.length) {
+      report.erros.push({ arquivo, linha, id: row.id || null, erros });
+      return;
+    }
+    if (seen.has(value.id)) {
+      report.avisos.push({ arquivo, linha, id: value.id, mensagem: `id repetido (vale a linha ${seen.get(value.id)})` });
+      return;
+    }
+    seen.set(value.id, linha);
+    rows.push({ value, row });
+  });
+  return { rows, lidos: raw.length };
+}
+
+async function parseMapping(text, report) {
+  const raw = await parseCsvText(text);
+  const pairs = [];
+  raw.forEach((r, i) => {
+    const row = canonicalRow(r, MAPPING_ALIASES);
+    const pdv_id = norm(row.pdv_id).replace(/"/g, '');
+    const produto_id = norm(row.produto_id).replace(/"/g, '');
+    if (!pdv_id || !produto_id) {
+      report.erros.push({
+        arquivo: 'pdv_produtos', linha: i + 2, id: null,
+        erros: [{ campo: pdv_id ? 'produto_id' : 'pdv_id', mensagem: 'obrigatório' }]
+      });
+      return;
+    }
+    pairs.push({ pdv_id, produto_id });
+  });
+  return { pairs, lidos: raw.length };
+}
+
+// ======================== Diff ========================
+function capped(list) {
+  return list.length > MAX_DIFF_ITEMS
+    ? { itens: list.slice(0, MAX_DIFF_ITEMS), total: list.length, truncado: true }
+    : { itens: list, total: list.length, truncado: false };
+}
+
+function diffById(before, after, fields) {
+  const old = new Map(before.map(r => [r.id, r]));
+  const next = new Map(after.map(r => [r.id, r]));
+  const novos = [], alterados = [], removidos = [];
+  for (const [id, r] of next) {
+    const o = old.get(id);
+    if (!o) { novos.push(id); continue; }
+    const campos = fields.filter(f => String(o[f] ?? '') !== String(r[f] ?? ''));
+    if (campos.length) alterados.push({ id, campos });
+  }
+  for (const id of old.keys()) if (!next.has(id)) removidos.push(id);
+  return { novos: capped(novos), alterados: capped(alterados), removidos: capped(removidos) };
+}
+
+function diffPairs(before, after) {
+  const key = (r) => `${r.pdv_id}|${r.produto_id}`;
+  const old = new Set(before.map(key));
+  const next = new Set(after.map(key));
+  const split = (k) => { const [pdv_id, produto_id] = k.split('|'); return { pdv_id, produto_id }; };
+  return {
+    adicionados: capped([...next].filter(k => !old.has(k)).map(split)),
+    removidos: capped([...old].filter(k => !next.has(k)).map(split))
+  };
+}
+
+// ======================== Pipeline ========================
+/** Importado substitui o existente no mesmo lugar; novos vão para o fim. */
+function mergeById(existing, imported) {
+  const out = existing.map(r => imported.get(r.id) || r);
+  const have = new Set(existing.map(r => r.id));
+  for (const [id, r] of imported) if (!have.has(id)) out.push(r);
+  return out;
+}
+
+/**
+ * Monta as tabelas novas a partir das atuais + arquivos importados.
+ * Não grava nada; `apply` devolve também as coordenadas trazidas na planilha.
+ */
+async function planImport(current, input, report) {
+  const modo = input.modo || 'mesclar';
+  const tables = {
+    products: current.products.map(p => ({ ...p })),
+    pdvs: current.pdvs.map(p => ({ ...p })),
+    pdvProdutos: current.pdvProdutos.map(r => ({ ...r }))
+  };
+  const coords = [];
+  // excluir_produtos_pdv.py: só vale para o que está chegando — o que já está
+  // no ar não some por causa de uma importação parcial. A lista traz códigos
+  // antigos (01804): vale o código e o id canônico em que ele resolve
+  const resolve = input.resolveProductId || ((id) => id);
+  const excluded = new Set((input.excluir ?? await loadExcludedProducts()).flatMap(id => [id, resolve(id)]));
+
+  if (input.pdvs) {
+    const { rows, lidos } = await parseEntities(input.pdvs, {
+      arquivo: 'pdvs', aliases: PDV_ALIASES, validate: (r) => validatePdv(r),
+      prepare: repository.realignPdvRow
+    }, report);
+    report.resumo.pdvs = { lidos, validos: rows.length };
+    const imported = new Map(rows.map(({ value }) => [value.id, value]));
+    tables.pdvs = modo === 'substituir' ? [...imported.values()] : mergeById(tables.pdvs, imported);
+    for (const { value, row } of rows) {
+      const lat = Number(String(row.latitude ?? '').replace(',', '.'));
+      const lon = Number(String(row.longitude ?? '').replace(',', '.'));
+      if (row.latitude && row.longitude && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        coords.push({ endereco: geocode.buildAddress(value), lat, lon });
+      }
+    }
+  }
+
+  if (input.produtos) {
+    const { rows, lidos } = await parseEntities(input.produtos, {
+      arquivo: 'produtos', aliases: PRODUCT_ALIASES, validate: (r) => validateProduct(r)
+    }, report);
+    const kept = rows.filter(({ value }) => !excluded.has(value.id));
+    report.resumo.produtos = { lidos, validos: rows.length, excluidos: rows.length - kept.length };
+    const imported = new Map(kept.map(({ value }) => [value.id, value]));
+    tables.products = modo === 'substituir' ? [...imported.values()] : mergeById(tables.products, imported);
+  }
+
+  let lidosVinculos = 0, excluidos = 0;
+  if (input.pdv_produtos) {
+    const { pairs, lidos } = await parseMapping(input.pdv_produtos, report);
+    lidosVinculos = lidos;
+    const incoming = pairs
+      .map(r => ({ pdv_id: r.pdv_id, produto_id: resolve(r.produto_id) }))
+      .filter(r => !excluded.has(r.produto_id));
+    excluidos = pairs.length - incoming.length;
+    if (modo === 'substituir') {
+      // par que continua na planilha mantém a disponibilidade já confirmada
+      const known = new Map(tables.pdvProdutos.map(r => [repository.pairKey(r.pdv_id, r.produto_id), r]));
+      tables.pdvProdutos = incoming.map(r => known.get(repository.pairKey(r.pdv_id, r.produto_id)) || r);
+    } else {
+      tables.pdvProdutos = [...tables.pdvProdutos, ...incoming];
+    }
+  }
+
+  // filtrar_pdv_produtos.py: vínculo de PDV que não existe (mais) sai
+  const pdvIds = new Set(tables.pdvs.map(p => p.id));
+  const seen = new Set();
+  let semPdv = 0, duplicados = 0;
+  tables.pdvProdutos = tables.pdvProdutos.filter(r => {
+    if (!pdvIds.has(r.pdv_id)) { semPdv++; return false; }
+    const k = `${r.pdv_id}|${r.produto_id}`;
+    if (seen.has(k)) { duplicados++; return false; }
+    seen.add(k);
+    return true;
+  });
+  report.resumo.pdv_produtos = {
+    lidos: lidosVinculos, excluidos, removidos_sem_pdv: semPdv,
+    duplicados, total: tables.pdvProdutos.length
+  };
+
+  return { tables, coords };
+}
+
+/**
+ * Importa os arquivos. Em `dryRun` só devolve o relatório/diff; senão grava e
+ * troca o dataset ao vivo de uma vez (repository.mutate).
+ * @param {{ pdvs?: string, produtos?: string, pdv_produtos?: string, excluir?: string[], modo?: string, dryRun?: boolean }} input
+ */
+async function runImport(input) {
+  const modo = input.modo || 'mesclar';
+  if (!MODES.includes(modo)) throw new HttpError(400, `modo inválido: ${modo} (use ${MODES.join(' ou ')}).`);
+  if (!input.pdvs && !input.produtos && !input.pdv_produtos) {
+    throw new HttpError(400, 'Nada para importar: envie pdvs, produtos e/ou pdv_produtos.');
+  }
+
+  const report = { dry_run: Boolean(input.dryRun), modo, resumo: {}, diff: {}, erros: [], avisos: [] };
+
+  const build = async (before) => {
+    const current = repository.toTables(before);
+    const { tables, coords } = await planImport(current, {
+      ...input, modo, resolveProductId: (id) => repository.resolveProductId(id, before)
+    }, report);
+    report.diff = {
+      pdvs: diffById(current.pdvs, tables.pdvs, ['nome', 'rua', 'bairro', 'cidade', 'cep', 'estado']),
+      produtos: diffById(current.products, tables.products, ['nome', 'volume', 'em_destaque', 'imagem_url', 'produto_url', 'linha', 'sabor', 'categoria', 'ativo']),
+      pdv_produtos: diffPairs(current.pdvProdutos, tables.pdvProdutos)
+    };
+    const withCoords = new Set(coords.map(c => c.endereco));
+    report.resumo.geocodificar = tables.pdvs
+      .map(p => geocode.buildAddress(p))
+      .filter(a => !withCoords.has(a) && !geocode.getCachedCoords(a)).length;
+    return { tables, coords };
+  };
+
+  if (input.dryRun) {
+    await build(repository.get());
+    return report;
+  }
+
+  await repository.mutate(async (t, before) => {
+    const { tables, coords } = await build(before);
+    geocode.rememberCoords(coords.map(c => ({ ...c, provider: 'importacao', precisao: 'endereco' })));
+    t.products = tables.products;
+    t.pdvs = tables.pdvs;
+    t.pdvProdutos = tables.pdvProdutos;
+  });
+  return report;
+}
+
+module.exports = { MODES, PDV_ALIASES, PRODUCT_ALIASES, MAPPING_ALIASES, canonicalRow, planImport, runImport };
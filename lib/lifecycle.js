@@ -0,0 +1,40 @@
+// lib/lifecycle.js — carga inicial do processo e o estado exposto em /health/ready
+//
+// server.js abre a porta antes de carregar os dados (a plataforma de deploy
+// espera a porta); até bootstrap() terminar, /health/ready responde 503 e o
+// balanceador não manda tráfego. /health/live só diz que o processo responde.
+
+const config = require('./config');
+const repository = require('./repository');
+const { logger } = require('./logger');
+
+const state = {
+  pronto: false,
+  iniciado_em: new Date().toISOString(),
+  pronto_em: null,
+  erro: null
+};
+
+/**
+ * Carrega o dataset; PDVs sem coordenada em cache são geocodificados em segundo
+ * plano e, com `watch`, CSVs/cache trocados em disco entram sem reiniciar.
+ * @param {{ fillMissing?: boolean, watch?: boolean }} [opts]
+ */
+async function bootstrap({ fillMissing = true, watch = config.WATCH_DATA } = {}) {
+  try {
+    await repository.load();
+  } catch (err) {
+    state.erro = err.message;
+    throw err;
+  }
+  if (fillMissing) repository.fillMissingCoords().catch(e => logger.error('Falha geocodificando PDVs.', { erro: e }));
+  if (watch) repository.watch();
+  Object.assign(state, { pronto: true, pronto_em: new Date().toISOString(), erro: null });
+}
+
+/** { pronto, iniciado_em, pronto_em, erro } */
+function readiness() {
+  return { ...state };
+}
+
+module.exports = { bootstrap, readiness };
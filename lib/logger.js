@@ -0,0 +1,98 @@
+// lib/logger.js — logs estruturados (uma linha JSON por evento) e log de requisições
+//
+//   { "ts": "2026-10-19T12:00:00.000Z", "nivel": "info", "msg": "requisicao", "id": "…", ... }
+// LOG_FORMAT=texto troca o JSON por uma linha legível (terminal, scripts de linha
+// de comando); LOG_LEVEL=debug|info|warn|error corta o que fica abaixo.
+// Erro em qualquer campo vira { mensagem, stack }.
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+
+function serialize(value) {
+  if (value instanceof Error) return { mensagem: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  return value;
+}
+
+function formatText(rec) {
+  const { ts, nivel, msg, ...fields } = rec;
+  const rest = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${ts} ${nivel.toUpperCase()} ${msg}${rest}`;
+}
+
+/**
+ * @param {{ level?: string, format?: 'json'|'texto', write?: (line: string, nivel: string) => void,
+ *           fields?: object, now?: () => Date }} [opts] fields: campos fixos em toda linha
+ */
+function createLogger({ level = 'info', format = 'json', write, fields = {}, now = () => new Date() } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  // warn/error vão para stderr, o resto para stdout
+  const out = write || ((line, nivel) => (LEVELS[nivel] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n'));
+
+  function emit(nivel, msg, extra = {}) {
+    if (LEVELS[nivel] < min) return;
+    const rec = { ts: now().toISOString(), nivel, msg, ...fields };
+    for (const [k, v] of Object.entries(extra)) if (v !== undefined) rec[k] = serialize(v);
+    out(format === 'texto' ? formatText(rec) : JSON.stringify(rec), nivel);
+  }
+
+  return {
+    debug: (msg, extra) => emit('debug', msg, extra),
+    info: (msg, extra) => emit('info', msg, extra),
+    warn: (msg, extra) => emit('warn', msg, extra),
+    error: (msg, extra) => emit('error', msg, extra)
+  };
+}
+
+let log = createLogger({ level: config.LOG_LEVEL, format: config.LOG_FORMAT });
+
+/**
+ * Logger compartilhado. Os módulos guardam este objeto, não uma cópia do
+ * criado: setLogger troca o destino para todos (testes).
+ */
+const logger = {
+  debug: (...a) => log.debug(...a),
+  info: (...a) => log.info(...a),
+  warn: (...a) => log.warn(...a),
+  error: (...a) => log.error(...a)
+};
+
+/** Troca o logger compartilhado (testes). */
+function setLogger(l) { log = l; }
+
+/** X-Request-Id do cliente (ou do proxy) quando tem formato razoável; senão um UUID novo. */
+function requestIdOf(req) {
+  const given = String(req.get('x-request-id') || '');
+  return REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+}
+
+/**
+ * Middleware: dá um id à requisição (req.id, header X-Request-Id na resposta) e
+ * registra uma linha quando a resposta termina. Só o caminho vai para o log — a
+ * query leva coordenadas e CEP de quem buscou.
+ */
+function requestLogger(l = logger) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.id = requestIdOf(req);
+    res.set('X-Request-Id', req.id);
+    res.on('finish', () => {
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      const nivel = res.statusCode >= 500 ? 'error' : 'info';
+      l[nivel]('requisicao', {
+        id: req.id,
+        metodo: req.method,
+        caminho: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        ms: Math.round(ms * 10) / 10,
+        ip: req.ip,
+        cliente: req.cliente?.nome
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { LEVELS, createLogger, logger, setLogger, requestLogger };
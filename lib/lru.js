@@ -0,0 +1,43 @@
+// lib/lru.js — cache LRU em memória com validade por entrada
+//
+// Map guarda a ordem de inserção: reinserir no get põe a chave no fim, e a
+// primeira chave do Map é sempre a menos usada.
+
+/**
+ * @param {{ max: number, ttlMs?: number, now?: () => number }} opts
+ */
+function createLru({ max, ttlMs = Infinity, now = Date.now }) {
+  const entries = new Map(); // chave -> { value, expires }
+  let hits = 0;
+  let misses = 0;
+
+  function get(key) {
+    const e = entries.get(key);
+    if (!e || e.expires <= now()) {
+      if (e) entries.delete(key);
+      misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, e);
+    hits++;
+    return e.value;
+  }
+
+  /** `ttl` opcional sobrepõe o padrão (ex.: resultado negativo vale menos). */
+  function set(key, value, ttl = ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expires: now() + ttl });
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    get,
+    set,
+    delete(key) { return entries.delete(key); },
+    clear() { entries.clear(); },
+    stats() { return { tamanho: entries.size, maximo: max, acertos: hits, faltas: misses }; }
+  };
+}
+
+module.exports = { createLru };
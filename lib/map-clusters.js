@@ -0,0 +1,73 @@
+// lib/map-clusters.js — agrupamento de PDVs por viewport para o mapa
+//
+// Grade em pixels na projeção do mapa (Web Mercator, tiles de 256 px): com o
+// zoom afastado cada célula de CLUSTER_CELL_PX pixels vira um grupo com
+// contagem, centroide e retângulo dos membros; célula com um PDV só sai como PDV.
+// Perto o bastante (INDIVIDUAL_MIN_ZOOM) os PDVs vêm um a um, desde que caibam
+// em MAX_INDIVIDUAL_POINTS — senão continua agrupado.
+
+const TILE_PX = 256;
+const CLUSTER_CELL_PX = 64;
+const INDIVIDUAL_MIN_ZOOM = 14;
+const MAX_INDIVIDUAL_POINTS = 500;
+const MAX_ZOOM = 22;
+const MAX_MERCATOR_LAT = 85.0511;
+
+/** (lat, lon) -> pixel global no zoom dado. */
+function project(lat, lon, zoom) {
+  const scale = TILE_PX * 2 ** zoom;
+  const clamped = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return [
+    ((lon + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  ];
+}
+
+/**
+ * Agrupa os itens (com latitude/longitude) para o zoom pedido.
+ * @template T
+ * @param {T[]} items
+ * @param {number} zoom inteiro de 0 a MAX_ZOOM
+ * @returns {{ agrupado: boolean, clusters: object[], itens: T[] }}
+ *   clusters: { id, latitude, longitude, quantidade, bbox: [minLon, minLat, maxLon, maxLat] }
+ */
+function clusterPoints(items, zoom) {
+  if (zoom >= INDIVIDUAL_MIN_ZOOM && items.length <= MAX_INDIVIDUAL_POINTS) {
+    return { agrupado: false, clusters: [], itens: items };
+  }
+  const cells = new Map();
+  for (const item of items) {
+    const [x, y] = project(item.latitude, item.longitude, zoom);
+    const key = `${zoom}:${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    let cell = cells.get(key);
+    if (!cell) cells.set(key, (cell = []));
+    cell.push(item);
+  }
+  const clusters = [];
+  const itens = [];
+  for (const [id, members] of cells) {
+    if (members.length === 1) {
+      itens.push(members[0]);
+      continue;
+    }
+    let sumLat = 0, sumLon = 0;
+    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+    for (const { latitude, longitude } of members) {
+      sumLat += latitude; sumLon += longitude;
+      minLat = Math.min(minLat, latitude); maxLat = Math.max(maxLat, latitude);
+      minLon = Math.min(minLon, longitude); maxLon = Math.max(maxLon, longitude);
+    }
+    clusters.push({
+      id,
+      latitude: +(sumLat / members.length).toFixed(6),
+      longitude: +(sumLon / members.length).toFixed(6),
+      quantidade: members.length,
+      bbox: [minLon, minLat, maxLon, maxLat]
+    });
+  }
+  clusters.sort((a, b) => b.quantidade - a.quantidade);
+  return { agrupado: true, clusters, itens };
+}
+
+module.exports = { INDIVIDUAL_MIN_ZOOM, MAX_INDIVIDUAL_POINTS, MAX_ZOOM, project, clusterPoints };
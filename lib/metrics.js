@@ -0,0 +1,135 @@
+// lib/metrics.js — métricas no formato de texto do Prometheus (GET /metrics)
+//
+// Registro mínimo, sem dependência: contadores e histogramas com rótulos, e
+// medidas lidas na hora da coleta (tamanho de cache, dataset). Os módulos
+// incrementam as métricas deste arquivo; app.js só publica.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  }
+
+  /** Contador por combinação de rótulos. */
+  function counter(name, help) {
+    const values = new Map(); // rótulos (texto) -> valor
+    metrics.push(() => [...header(name, help, 'counter'), ...[...values].map(([l, v]) => `${name}${l} ${v}`)]);
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) || 0) + n);
+      },
+      get(labels = {}) { return values.get(labelText(labels)) || 0; }
+    };
+  }
+
+  /** Histograma cumulativo (_bucket/_sum/_count) por combinação de rótulos. */
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map(); // rótulos (objeto em JSON) -> { counts, sum, count }
+    metrics.push(() => {
+      const lines = header(name, help, 'histogram');
+      for (const [key, s] of series) {
+        const labels = JSON.parse(key);
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText({ ...labels, le })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${labelText(labels)} ${+s.sum.toFixed(6)}`);
+        lines.push(`${name}_count${labelText(labels)} ${s.count}`);
+      }
+      return lines;
+    });
+    return {
+      observe(labels, value) {
+        const key = JSON.stringify(labels);
+        let s = series.get(key);
+        if (!s) {
+          s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, s);
+        }
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  /**
+   * Medida lida na coleta. `read` devolve um número ou [{ labels, value }].
+   * @param {'gauge'|'counter'} [type] counter para totais mantidos por outro módulo (ex.: LRU)
+   */
+  function collect(name, help, read, type = 'gauge') {
+    metrics.push(() => {
+      const v = read();
+      const rows = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+      return [...header(name, help, type), ...rows.map(r => `${name}${labelText(r.labels)} ${Number(r.value) || 0}`)];
+    });
+  }
+
+  /** Texto para o Prometheus (text/plain; version=0.0.4). */
+  function render() {
+    return metrics.flatMap(m => m()).join('\n') + '\n';
+  }
+
+  return { counter, histogram, collect, render };
+}
+
+const registry = createRegistry();
+
+// ======================== Métricas da aplicação ========================
+const httpRequests = registry.counter('http_requests_total', 'Requisições HTTP atendidas, por método, rota e status.');
+const httpDuration = registry.histogram('http_request_duration_seconds', 'Tempo de resposta, por método e rota.');
+const geocodeCache = registry.counter('localizador_geocode_cache_total', 'Consultas ao cache antes de geocodificar um PDV (resultado=acerto|falta).');
+const upstreamCalls = registry.counter(
+  'localizador_upstream_requests_total',
+  'Chamadas a serviços externos (servico=geocode|rota), por provedor e resultado (ok|vazio|erro|timeout|limite).'
+);
+
+/** Modelo da rota que atendeu ('/v1/produtos/:id'), para não criar uma série por URL. */
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'sem_rota';
+}
+
+/** Middleware: conta e cronometra cada requisição quando a resposta termina. */
+function httpMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const rota = routeLabel(req);
+      httpRequests.inc({ metodo: req.method, rota, status: res.statusCode });
+      httpDuration.observe({ metodo: req.method, rota }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+  };
+}
+
+/** Resultado de uma chamada a provedor externo, para upstreamCalls. */
+function upstreamResult(err, hit) {
+  if (!err) return hit ? 'ok' : 'vazio';
+  if (err.name === 'AbortError') return 'timeout';
+  if (err.name === 'RateLimitError') return 'limite';
+  return 'erro';
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  createRegistry,
+  registry,
+  httpRequests,
+  httpDuration,
+  geocodeCache,
+  upstreamCalls,
+  routeLabel,
+  httpMetrics,
+  upstreamResult
+};
@@ -0,0 +1,111 @@
+// lib/openapi-validate.js — valida e converte os parâmetros de uma rota pelo documento OpenAPI
+//
+// Cobre o subconjunto que o lib/openapi.js usa: parâmetros de query/path com
+// type (string, number, integer, boolean, array em form sem explode), enum,
+// minimum/maximum/exclusiveMinimum, pattern, minLength/maxLength,
+// minItems/maxItems e default. Os valores convertidos ficam em req.parametros.
+
+const { HttpError } = require('./errors');
+const { parseBoolean } = require('./util');
+
+/** Segue um $ref local ('#/components/parameters/lat'). */
+function resolveRef(spec, obj) {
+  if (!obj?.$ref) return obj;
+  return obj.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+}
+
+/** '/produtos/:id' (Express) -> '/produtos/{id}' (OpenAPI) */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function findOperation(spec, expressPath, method) {
+  const op = spec.paths[toOpenApiPath(expressPath)]?.[method.toLowerCase()];
+  if (!op) throw new Error(`Rota sem operação no OpenAPI: ${method.toUpperCase()} ${expressPath}`);
+  return op;
+}
+
+function describeRange(schema) {
+  const { minimum: min, maximum: max, exclusiveMinimum } = schema;
+  if (exclusiveMinimum && max === undefined) return `deve ser maior que ${min}`;
+  if (min !== undefined && max !== undefined) return `deve estar entre ${min} e ${max}`;
+  return min !== undefined ? `deve ser no mínimo ${min}` : `deve ser no máximo ${max}`;
+}
+
+/**
+ * Um valor (sempre string na query) contra um schema escalar.
+ * @returns {{ value: any } | { erro: string }}
+ */
+function checkScalar(raw, schema, description) {
+  const s = String(raw).trim();
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const n = Number(s.replace(',', '.'));
+    if (s === '' || !Number.isFinite(n)) return { erro: schema.type === 'integer' ? 'deve ser um inteiro' : 'deve ser um número' };
+    if (schema.type === 'integer' && !Number.isInteger(n)) return { erro: 'deve ser um inteiro' };
+    const tooLow = schema.minimum !== undefined && (schema.exclusiveMinimum ? n <= schema.minimum : n < schema.minimum);
+    const tooHigh = schema.maximum !== undefined && n > schema.maximum;
+    if (tooLow || tooHigh) return { erro: describeRange(schema) };
+    return { value: n };
+  }
+  if (schema.type === 'boolean') {
+    const v = parseBoolean(s);
+    return v === null ? { erro: 'deve ser true ou false' } : { value: v };
+  }
+  if (schema.enum) {
+    // enum sem diferenciar caixa; sai o valor canônico ("sc" -> "SC", "KML" -> "kml")
+    const hit = schema.enum.find(e => String(e).toLowerCase() === s.toLowerCase());
+    return hit === undefined ? { erro: `use um de: ${schema.enum.join(', ')}` } : { value: hit };
+  }
+  if (schema.minLength && s.length < schema.minLength) return { erro: schema.minLength === 1 ? 'não pode ser vazio' : `mínimo de ${schema.minLength} caracteres` };
+  if (schema.maxLength && s.length > schema.maxLength) return { erro: `máximo de ${schema.maxLength} caracteres` };
+  if (schema.pattern && !new RegExp(schema.pattern).test(s)) return { erro: description ? `formato inválido (${description})` : 'formato inválido' };
+  return { value: s };
+}
+
+function checkParam(raw, param, schema) {
+  if (schema.type !== 'array') {
+    if (Array.isArray(raw)) return { erro: 'informe uma vez só' };
+    return checkScalar(raw, schema, param.description);
+  }
+  const items = [].concat(raw).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+  if (schema.minItems && items.length < schema.minItems) return { erro: `informe ao menos ${schema.minItems}` };
+  if (schema.maxItems && items.length > schema.maxItems) return { erro: `no máximo ${schema.maxItems} por busca` };
+  const value = [];
+  for (const item of items) {
+    const out = checkScalar(item, schema.items || { type: 'string' }, param.description);
+    if (out.erro) return { erro: `"${item}": ${out.erro}` };
+    value.push(out.value);
+  }
+  return { value };
+}
+
+/**
+ * Middleware que valida req.query/req.params pela operação do documento.
+ * Parâmetro vazio (?limite=) conta como ausente. Erros saem todos juntos:
+ * 400 parametro_invalido com detalhes [{ campo, mensagem }].
+ */
+function validateRequest(spec, operation) {
+  const params = (operation.parameters || []).map(p => resolveRef(spec, p));
+  return (req, res, next) => {
+    const parametros = {};
+    const erros = [];
+    for (const param of params) {
+      const source = param.in === 'path' ? req.params : req.query;
+      const raw = source[param.name];
+      const schema = resolveRef(spec, param.schema) || { type: 'string' };
+      if (raw === undefined || raw === '' || (Array.isArray(raw) && !raw.some(v => String(v).trim()))) {
+        if (param.required) erros.push({ campo: param.name, mensagem: 'obrigatório' });
+        else if (schema.default !== undefined) parametros[param.name] = schema.default;
+        continue;
+      }
+      const out = checkParam(raw, param, schema);
+      if (out.erro) erros.push({ campo: param.name, mensagem: out.erro });
+      else parametros[param.name] = out.value;
+    }
+    if (erros.length) return next(new HttpError(400, 'Parâmetros inválidos.', erros));
+    req.parametros = parametros;
+    next();
+  };
+}
+
+module.exports = { resolveRef, toOpenApiPath, findOperation, validateRequest };
@@ -0,0 +1,425 @@
+// lib/openapi.js — contrato da API pública /v1 (OpenAPI 3.0)
+//
+// O mesmo documento é publicado em /v1/openapi.json e valida os parâmetros de
+// cada rota (lib/openapi-validate.js): uma rota de routes/v1.js sem operação
+// aqui nem sobe.
+
+const { version } = require('../package.json');
+const { MAX_LIMIT } = require('./paging');
+const { UF_BBOX } = require('./geo');
+const { EXPORT_FORMATS } = require('./export');
+const { MAX_ZOOM } = require('./map-clusters');
+const { PRODUCT_MATCH_MODES, ANY_MODE_DEFAULT_RADIUS_KM } = require('./repository');
+const { PDV_TYPES } = require('./pdv-attributes');
+const { WEEK_ORDER } = require('./opening-hours');
+const { AVAILABILITY_STATUSES, AVAILABILITY_SOURCES } = require('./availability');
+const { PRODUCT_CATEGORIES } = require('./product-catalog');
+const { ROUTING_PROFILES } = require('./routing');
+
+const MAX_PRODUCTS_PER_SEARCH = 20;
+
+const PARAMS = {
+  id: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1, maxLength: 500 } },
+  productId: { name: 'productId', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 200 } },
+  productIdOpcional: { name: 'productId', in: 'query', schema: { type: 'string', minLength: 1, maxLength: 200 } },
+  cep: { name: 'cep', in: 'query', description: '8 dígitos, com ou sem hífen.', schema: { type: 'string', pattern: '^\\d{5}-?\\d{3}$' } },
+  lat: { name: 'lat', in: 'query', schema: { type: 'number', minimum: -90, maximum: 90 } },
+  lon: { name: 'lon', in: 'query', schema: { type: 'number', minimum: -180, maximum: 180 } },
+  bbox: {
+    name: 'bbox', in: 'query', description: 'minLon,minLat,maxLon,maxLat',
+    schema: { type: 'string', pattern: '^\\s*-?\\d+(\\.\\d+)?(\\s*,\\s*-?\\d+(\\.\\d+)?){3}\\s*$' }
+  },
+  raio_km: { name: 'raio_km', in: 'query', schema: { type: 'number', exclusiveMinimum: true, minimum: 0 } },
+  limite: { name: 'limite', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 20 } },
+  pagina: { name: 'pagina', in: 'query', schema: { type: 'integer', minimum: 1 } },
+  cursor: { name: 'cursor', in: 'query', description: 'Valor de X-Proximo-Cursor; tem prioridade sobre pagina.', schema: { type: 'string', maxLength: 200 } },
+  aberto_agora: {
+    name: 'aberto_agora', in: 'query', description: 'true: só PDVs com horário informado e abertos agora (hora de Brasília).',
+    schema: { type: 'boolean' }
+  },
+  rede: { name: 'rede', in: 'query', description: 'Rede(s), ex.: COMPER,FORT.', style: 'form', explode: false, schema: { type: 'array', items: { type: 'string', maxLength: 60 } } },
+  tipo: { name: 'tipo', in: 'query', style: 'form', explode: false, schema: { type: 'array', items: { type: 'string', enum: PDV_TYPES } } },
+  incluir_indisponiveis: {
+    name: 'incluir_indisponiveis', in: 'query',
+    description: 'true: inclui PDVs com o produto em ruptura, descontinuado ou com confirmação vencida.',
+    schema: { type: 'boolean', default: false }
+  },
+  rota: {
+    name: 'rota', in: 'query',
+    description: 'Reordena os mais próximos em linha reta pelo tempo de rota de carro ou a pé (veja X-Rota).',
+    schema: { type: 'string', enum: ROUTING_PROFILES }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// parâmetros reutilizados; com `extra` (ex.: required) sai uma cópia, porque no
+// OpenAPI 3.0 nada ao lado de um $ref vale
+const param = (name, extra) => (extra ? { ...PARAMS[name], ...extra } : { $ref: `#/components/parameters/${name}` });
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Erro') } }
+});
+const jsonArray = (description, item, headers) => ({
+  description,
+  headers,
+  content: { 'application/json': { schema: { type: 'array', items: ref(item) } } }
+});
+
+const PAGING = [param('raio_km'), param('limite'), param('pagina'), param('cursor')];
+const FILTERS = [param('aberto_agora'), param('rede'), param('tipo')];
+const PAGING_HEADERS = {
+  'X-Total-Count': { description: 'Total de resultados (todas as páginas).', schema: { type: 'integer' } },
+  'X-Proximo-Cursor': { description: 'Cursor da próxima página; ausente na última.', schema: { type: 'string' } }
+};
+const NEAREST_HEADERS = {
+  ...PAGING_HEADERS,
+  'X-Rota': {
+    description: 'Só com ?rota=: o perfil usado, ou indisponivel quando o roteador não respondeu e a ordem ficou em linha reta.',
+    schema: { type: 'string', enum: [...ROUTING_PROFILES, 'indisponivel'] }
+  }
+};
+const CEP_HEADERS = {
+  'X-Cep-Resolucao': { description: 'Como o CEP foi resolvido (só com ?cep=).', schema: { type: 'string', enum: ['exato', 'prefixo'] } },
+  'X-Cep-Precisao': { description: 'Precisão da coordenada do CEP.', schema: { type: 'string', enum: ['cep', 'cep5', 'cep3', 'uf'] } }
+};
+const BAD_REQUEST = errorResponse('Parâmetros inválidos (detalhes por campo).');
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Localizador de PDVs',
+    version,
+    description: 'Produtos e pontos de venda próximos. Erros sempre no envelope { codigo, mensagem, detalhes }. ' +
+      'Parceiros enviam a chave em X-Api-Key; cada chave (ou IP, sem chave) tem um limite por minuto ' +
+      '(headers RateLimit-Limit e RateLimit-Remaining; acima dele, 429 com Retry-After).'
+  },
+  servers: [{ url: '/v1' }],
+  // chave opcional, a menos que o servidor rode com API_KEY_REQUIRED=1
+  security: [{}, { ApiKey: [] }],
+  paths: {
+    '/openapi.json': {
+      get: {
+        operationId: 'openapi',
+        summary: 'Este documento.',
+        responses: { 200: { description: 'Documento OpenAPI.' } }
+      }
+    },
+    '/produtos': {
+      get: {
+        operationId: 'listarProdutos',
+        summary: 'Catálogo paginado, na ordem da planilha. Inativos ficam de fora, a menos de incluir_inativos.',
+        parameters: [
+          { name: 'linha', in: 'query', description: 'Ex.: Mini Premium, classicos, zero-acucar.', schema: { type: 'string', maxLength: 60 } },
+          { name: 'sabor', in: 'query', description: 'Palavras inteiras, sem acento: "doce de leite".', schema: { type: 'string', maxLength: 120 } },
+          { name: 'volume_ml', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'categoria', in: 'query', schema: { type: 'string', enum: PRODUCT_CATEGORIES } },
+          { name: 'incluir_inativos', in: 'query', schema: { type: 'boolean', default: false } },
+          param('limite'), param('pagina'), param('cursor')
+        ],
+        responses: { 200: jsonArray('Produtos.', 'Produto', PAGING_HEADERS), 400: BAD_REQUEST }
+      }
+    },
+    '/produtos/destaque': {
+      get: {
+        operationId: 'produtosDestaque',
+        summary: 'Produtos em destaque.',
+        responses: { 200: jsonArray('Produtos.', 'Produto') }
+      }
+    },
+    '/produtos/buscar': {
+      get: {
+        operationId: 'buscarProdutos',
+        summary: 'Busca por texto (sem acento, prefixo, tolerante a erro de digitação). Sem q nem volume devolve [].',
+        parameters: [
+          { name: 'q', in: 'query', schema: { type: 'string', maxLength: 200 } },
+          { name: 'volume', in: 'query', description: 'Ex.: 150ml, 1,5L.', schema: { type: 'string', maxLength: 50 } },
+          { name: 'limite', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT } }
+        ],
+        responses: { 200: jsonArray('Mais relevantes primeiro.', 'Produto'), 400: BAD_REQUEST }
+      }
+    },
+    '/produtos/{id}': {
+      get: {
+        operationId: 'obterProduto',
+        summary: 'Produto por id, código antigo, EAN, slug ou URL do site.',
+        parameters: [param('id')],
+        responses: {
+          200: { description: 'Produto com aliases e variantes.', content: { 'application/json': { schema: ref('ProdutoDetalhe') } } },
+          404: errorResponse('Produto não encontrado.')
+        }
+      }
+    },
+    '/produtos/{id}/pdvs': {
+      get: {
+        operationId: 'pdvsDoProduto',
+        summary: 'Todos os PDVs que vendem o produto, sem ordenação por distância.',
+        parameters: [param('id')],
+        responses: { 200: jsonArray('PDVs.', 'Pdv'), 404: errorResponse('Produto não encontrado.') }
+      }
+    },
+    '/produtos/{id}/pdvs/contagem': {
+      get: {
+        operationId: 'contagemPdvsDoProduto',
+        summary: 'Quantos PDVs vendem o produto, por UF e cidade.',
+        parameters: [param('id')],
+        responses: {
+          200: { description: 'Contagem.', content: { 'application/json': { schema: ref('ContagemPdvs') } } },
+          404: errorResponse('Produto não encontrado.')
+        }
+      }
+    },
+    '/pdvs/export': {
+      get: {
+        operationId: 'exportarPdvs',
+        summary: 'PDVs em GeoJSON, KML ou CSV (QGIS / Google My Maps).',
+        parameters: [
+          { name: 'formato', in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'geojson' } },
+          { name: 'produtos', in: 'query', description: 'Tem ao menos um disponível.', style: 'form', explode: false, schema: { type: 'array', items: { type: 'string', maxLength: 200 } } },
+          { name: 'cidade', in: 'query', style: 'form', explode: false, schema: { type: 'array', items: { type: 'string', maxLength: 100 } } },
+          { name: 'estado', in: 'query', style: 'form', explode: false, schema: { type: 'array', items: { type: 'string', enum: Object.keys(UF_BBOX) } } },
+          param('bbox'),
+          param('incluir_indisponiveis')
+        ],
+        responses: {
+          200: {
+            description: 'Arquivo para download.',
+            headers: { 'X-Total-Count': PAGING_HEADERS['X-Total-Count'] },
+            content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(f => [f.contentType.split(';')[0], {}]))
+          },
+          400: BAD_REQUEST,
+          404: errorResponse('Produto não encontrado.')
+        }
+      }
+    },
+    '/pdvs/mapa': {
+      get: {
+        operationId: 'mapaPdvs',
+        summary: 'PDVs no viewport: grupos no zoom afastado, PDVs um a um de perto.',
+        parameters: [
+          param('bbox', { required: true }),
+          { name: 'zoom', in: 'query', required: true, schema: { type: 'number', minimum: 0, maximum: MAX_ZOOM } },
+          param('productIdOpcional'),
+          param('incluir_indisponiveis')
+        ],
+        responses: {
+          200: { description: 'Viewport.', content: { 'application/json': { schema: ref('Mapa') } } },
+          400: BAD_REQUEST,
+          404: errorResponse('Produto não encontrado.')
+        }
+      }
+    },
+    '/pdvs/proximos': {
+      get: {
+        operationId: 'pdvsProximosCep',
+        summary: 'PDVs mais próximos de um CEP.',
+        parameters: [param('cep', { required: true }), ...FILTERS, param('rota'), ...PAGING],
+        responses: {
+          200: jsonArray('Por distância.', 'PdvDistancia', { ...NEAREST_HEADERS, ...CEP_HEADERS }),
+          400: BAD_REQUEST,
+          404: errorResponse('CEP não encontrado.')
+        }
+      }
+    },
+    '/pdvs/proximos/coords': {
+      get: {
+        operationId: 'pdvsProximosCoords',
+        summary: 'PDVs mais próximos de uma coordenada.',
+        parameters: [param('lat', { required: true }), param('lon', { required: true }), ...FILTERS, param('rota'), ...PAGING],
+        responses: { 200: jsonArray('Por distância.', 'PdvDistancia', NEAREST_HEADERS), 400: BAD_REQUEST }
+      }
+    },
+    '/pdvs/proximos/produto': {
+      get: {
+        operationId: 'pdvsProximosProduto',
+        summary: 'PDVs mais próximos que vendem o produto.',
+        parameters: [
+          param('productId'), param('lat', { required: true }), param('lon', { required: true }),
+          param('incluir_indisponiveis'), ...FILTERS, param('rota'), ...PAGING
+        ],
+        responses: {
+          200: jsonArray('Por distância.', 'PdvProduto', NEAREST_HEADERS),
+          400: BAD_REQUEST,
+          404: errorResponse('Produto não encontrado.')
+        }
+      }
+    },
+    '/pdvs/proximos/produtos': {
+      get: {
+        operationId: 'pdvsProximosProdutos',
+        summary: 'PDVs próximos com vários produtos (all: todos; any: por cobertura e distância). Informe cep ou lat+lon.',
+        parameters: [
+          {
+            name: 'produtos', in: 'query', required: true, style: 'form', explode: false,
+            schema: { type: 'array', minItems: 1, maxItems: MAX_PRODUCTS_PER_SEARCH, items: { type: 'string', maxLength: 200 } }
+          },
+          {
+            name: 'modo', in: 'query', schema: { type: 'string', enum: PRODUCT_MATCH_MODES, default: 'all' },
+            description: `any sem raio_km busca só até ${ANY_MODE_DEFAULT_RADIUS_KM} km (a cobertura pesa antes da distância); all não tem raio padrão. O raio aplicado volta em X-Raio-Km.`
+          },
+          param('cep'), param('lat'), param('lon'), param('incluir_indisponiveis'), ...FILTERS, param('rota'), ...PAGING
+        ],
+        responses: {
+          200: jsonArray('PDVs com cobertura.', 'PdvCobertura', {
+            ...NEAREST_HEADERS,
+            ...CEP_HEADERS,
+            'X-Raio-Km': { description: 'Raio aplicado na busca: o raio_km informado ou, no modo any, o padrão.', schema: { type: 'number' } }
+          }),
+          400: BAD_REQUEST,
+          404: errorResponse('Produto ou CEP não encontrado.')
+        }
+      }
+    }
+  },
+  components: {
+    parameters: PARAMS,
+    securitySchemes: {
+      ApiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' }
+    },
+    schemas: {
+      Erro: {
+        type: 'object',
+        required: ['codigo', 'mensagem'],
+        properties: {
+          codigo: { type: 'string', example: 'parametro_invalido' },
+          mensagem: { type: 'string' },
+          detalhes: {
+            type: 'array',
+            items: { type: 'object', properties: { campo: { type: 'string' }, mensagem: { type: 'string' } } }
+          }
+        }
+      },
+      Produto: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          nome: { type: 'string' },
+          volume: { type: 'string' },
+          em_destaque: { type: 'boolean' },
+          imagem_url: { type: 'string' },
+          produto_url: { type: 'string' },
+          linha: { type: 'string', nullable: true, example: 'Mini Premium' },
+          sabor: { type: 'string', nullable: true, example: 'PISTACHE' },
+          categoria: { type: 'string', nullable: true, enum: [...PRODUCT_CATEGORIES, null] },
+          volume_ml: { type: 'number', nullable: true, description: 'Potes; null para picolés e cones (peso_g).' },
+          peso_g: { type: 'number', nullable: true },
+          ativo: { type: 'boolean' }
+        }
+      },
+      ProdutoDetalhe: {
+        allOf: [ref('Produto'), {
+          type: 'object',
+          properties: {
+            aliases: {
+              type: 'array',
+              items: { type: 'object', properties: { alias: { type: 'string' }, tipo: { type: 'string', enum: ['erp', 'ean', 'slug'] } } }
+            },
+            variantes: { type: 'array', description: 'Mesmo sabor em outra linha ou tamanho.', items: ref('Produto') }
+          }
+        }]
+      },
+      ContagemPdvs: {
+        type: 'object',
+        properties: {
+          produto_id: { type: 'string' },
+          total: { type: 'integer' },
+          disponiveis: { type: 'integer', description: 'Sem ruptura nem confirmação vencida.' },
+          estados: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                estado: { type: 'string' },
+                total: { type: 'integer' },
+                disponiveis: { type: 'integer' },
+                cidades: {
+                  type: 'array',
+                  items: { type: 'object', properties: { cidade: { type: 'string' }, total: { type: 'integer' }, disponiveis: { type: 'integer' } } }
+                }
+              }
+            }
+          }
+        }
+      },
+      Pdv: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          nome: { type: 'string' },
+          cep: { type: 'string' },
+          endereco: { type: 'string' },
+          cidade: { type: 'string' },
+          estado: { type: 'string' },
+          latitude: { type: 'number', nullable: true },
+          longitude: { type: 'number', nullable: true },
+          precisao_localizacao: { type: 'string', nullable: true, enum: ['endereco', 'cep', 'cep5', 'cep3', 'uf', 'manual', null] },
+          telefone: { type: 'string', nullable: true, description: 'Com DDD, só dígitos.' },
+          rede: { type: 'string', nullable: true },
+          tipo: { type: 'string', nullable: true, enum: [...PDV_TYPES, null] },
+          freezer: { type: 'boolean', nullable: true, description: 'Tem freezer da marca.' },
+          horario: {
+            type: 'object', nullable: true, description: 'Faixas por dia ("22:00-02:00" vira a noite); lista vazia = fechado.',
+            properties: Object.fromEntries(WEEK_ORDER.map(d => [d, { type: 'array', items: { type: 'string' } }]))
+          },
+          aberto_agora: { type: 'boolean', nullable: true, description: 'null = sem horário informado.' }
+        }
+      },
+      PdvDistancia: {
+        allOf: [ref('Pdv'), {
+          type: 'object',
+          properties: {
+            distancia_km: { type: 'number', description: 'Em linha reta.' },
+            distancia_rota_km: { type: 'number', nullable: true, description: 'Só com ?rota=; null quando a rota não foi calculada.' },
+            tempo_min: { type: 'number', nullable: true, description: 'Só com ?rota=; tempo estimado de carro ou a pé.' }
+          }
+        }]
+      },
+      Disponibilidade: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: AVAILABILITY_STATUSES },
+          confirmado_em: { type: 'string', format: 'date', nullable: true },
+          fonte: { type: 'string', nullable: true, enum: [...AVAILABILITY_SOURCES, null] },
+          desatualizado: { type: 'boolean', description: 'Confirmação mais velha que a validade configurada.' }
+        }
+      },
+      PdvProduto: {
+        allOf: [ref('PdvDistancia'), { type: 'object', properties: { disponibilidade: ref('Disponibilidade') } }]
+      },
+      PdvCobertura: {
+        allOf: [ref('PdvDistancia'), {
+          type: 'object',
+          properties: {
+            cobertura: { type: 'integer' },
+            produtos_encontrados: { type: 'array', items: { type: 'string' } },
+            produtos_faltantes: { type: 'array', items: { type: 'string' } },
+            disponibilidade: { type: 'object', description: 'Por produto encontrado.', additionalProperties: ref('Disponibilidade') }
+          }
+        }]
+      },
+      Mapa: {
+        type: 'object',
+        properties: {
+          zoom: { type: 'integer' },
+          total: { type: 'integer' },
+          agrupado: { type: 'boolean' },
+          clusters: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                quantidade: { type: 'integer' },
+                bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 }
+              }
+            }
+          },
+          pdvs: { type: 'array', items: ref('Pdv') }
+        }
+      }
+    }
+  }
+};
+
+module.exports = { spec };
@@ -0,0 +1,133 @@
+// lib/opening-hours.js — horário de funcionamento dos PDVs
+//
+// Formato na planilha (uma célula): dias e faixas separados por '|' (ou ';')
+//   "seg-sex 08:00-22:00 | sab 08:00-20:00 | dom 09:00-13:00"
+//   "seg-sab 08:00-12:00,14:00-18:00"     (duas faixas no dia)
+//   "24h" ou "08:00-22:00"                (todos os dias)
+//   "sex,sab 10:00-02:00"                 (vira a noite)
+// Dia que não aparece = fechado. Sem acento/caixa ("Sáb" = "sab").
+
+const { foldAccents } = require('./util');
+
+const DAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab']; // ordem do Date#getDay
+const WEEK_ORDER = ['seg', 'ter', 'qua', 'qui', 'sex', 'sab', 'dom'];
+const DAY_MINUTES = 24 * 60;
+
+function parseTime(s) {
+  const m = /^(\d{1,2})(?:[:h](\d{2})?)?$/.exec(s);
+  if (!m) return NaN;
+  const h = +m[1];
+  const min = +(m[2] || 0);
+  if (h > 24 || min > 59 || (h === 24 && min)) return NaN;
+  return h * 60 + min;
+}
+
+function formatTime(minutes) {
+  const m = minutes % DAY_MINUTES === 0 && minutes ? DAY_MINUTES : minutes % DAY_MINUTES;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/** "seg-sex" | "sab,dom" | "qua" -> ['seg', …] */
+function parseDays(s) {
+  const out = [];
+  for (const part of s.split(',')) {
+    const [from, to] = part.split('-');
+    const a = WEEK_ORDER.indexOf(from);
+    const b = to === undefined ? a : WEEK_ORDER.indexOf(to);
+    if (a < 0 || b < 0) return null;
+    for (let i = a; ; i = (i + 1) % 7) {
+      out.push(WEEK_ORDER[i]);
+      if (i === b) break;
+    }
+  }
+  return out;
+}
+
+/** "08:00-12:00,14:00-18:00" -> [[480, 720], [840, 1080]]; fim <= início passa da meia-noite. */
+function parseRanges(s) {
+  if (s === 'fechado') return [];
+  if (s === '24h') return [[0, DAY_MINUTES]];
+  const out = [];
+  for (const part of s.split(',')) {
+    const [a, b] = part.split('-').map(parseTime);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    out.push([a, b <= a ? b + DAY_MINUTES : b]);
+  }
+  return out;
+}
+
+/**
+ * Texto da planilha -> { seg: [[início, fim], …], …, dom: [] } (minutos desde 0h).
+ * @returns {{ value: object|null } | { erro: string }} value null = sem horário informado
+ */
+function parseOpeningHours(text) {
+  const s = foldAccents(text).toLowerCase().replace(/\s*([-,:])\s*/g, '$1').trim();
+  if (!s) return { value: null };
+  const week = Object.fromEntries(WEEK_ORDER.map(d => [d, []]));
+  for (const chunk of s.split(/[|;]/).map(c => c.trim()).filter(Boolean)) {
+    const sp = chunk.indexOf(' ');
+    const first = sp < 0 ? chunk : chunk.slice(0, sp);
+    const days = /^\d|^24h$|^fechado$/.test(first) ? WEEK_ORDER : parseDays(first);
+    const ranges = parseRanges(days === WEEK_ORDER && sp < 0 ? chunk : chunk.slice(sp + 1).replace(/\s+/g, ''));
+    if (!days) return { erro: `dia inválido em "${chunk}" (use seg, ter, qua, qui, sex, sab, dom)` };
+    if (!ranges) return { erro: `faixa inválida em "${chunk}" (use 08:00-18:00, 24h ou fechado)` };
+    for (const d of days) week[d] = ranges; // o trecho mais à direita vale
+  }
+  return { value: week };
+}
+
+/** { seg: [[480, 1320]] } -> { seg: ['08:00-22:00'], … } (formato da API). */
+function describeOpeningHours(week) {
+  if (!week) return null;
+  return Object.fromEntries(WEEK_ORDER.map(d => [d, week[d].map(([a, b]) => `${formatTime(a)}-${formatTime(b)}`)]));
+}
+
+/** Volta ao texto da planilha, juntando dias seguidos com o mesmo horário. */
+function formatOpeningHours(week) {
+  if (!week) return '';
+  const label = (ranges) => {
+    if (!ranges.length) return null;
+    if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === DAY_MINUTES) return '24h';
+    return ranges.map(([a, b]) => `${formatTime(a)}-${formatTime(b)}`).join(',');
+  };
+  const parts = [];
+  for (let i = 0; i < 7;) {
+    const text = label(week[WEEK_ORDER[i]]);
+    let j = i;
+    while (j + 1 < 7 && label(week[WEEK_ORDER[j + 1]]) === text) j++;
+    if (text) parts.push(`${WEEK_ORDER[i]}${j > i ? `-${WEEK_ORDER[j]}` : ''} ${text}`);
+    i = j + 1;
+  }
+  return parts.length ? parts.join(' | ') : 'fechado';
+}
+
+const clockFormats = new Map();
+
+/** Dia da semana e minuto do dia de `date` no fuso `timeZone`. */
+function localClock(date, timeZone) {
+  let fmt = clockFormats.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    clockFormats.set(timeZone, fmt);
+  }
+  const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  return { day: DAYS[day], previous: DAYS[(day + 6) % 7], minute: +parts.hour * 60 + +parts.minute };
+}
+
+/**
+ * O PDV está aberto no instante `clock` (de localClock)? null = sem horário.
+ * Faixa que vira a noite vale também na madrugada do dia seguinte.
+ */
+function isOpen(week, { day, previous, minute }) {
+  if (!week) return null;
+  return week[day].some(([a, b]) => minute >= a && minute < b) ||
+    week[previous].some(([, b]) => b > DAY_MINUTES && minute < b - DAY_MINUTES);
+}
+
+/** isOpen para uma data qualquer, na hora local de `timeZone`. */
+function isOpenAt(week, date, timeZone) {
+  return isOpen(week, localClock(date, timeZone));
+}
+
+module.exports = { WEEK_ORDER, parseOpeningHours, describeOpeningHours, formatOpeningHours, localClock, isOpen, isOpenAt };
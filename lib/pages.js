@@ -0,0 +1,318 @@
+// lib/pages.js — HTML do widget "onde comprar" e das páginas por cidade
+//
+// Só montagem de HTML (lib/html.js escapa tudo); dados e rotas em routes/pages.js.
+// O widget funciona sem JavaScript (formulário GET com o CEP, resultado vindo do
+// servidor); public/onde-comprar.js só troca o envio por fetch e acrescenta a
+// geolocalização. Os itens da lista têm a mesma marcação nos dois lados.
+
+const { html, raw, jsonScript } = require('./html');
+const { formatOpeningHours } = require('./opening-hours');
+
+// ======================== Tema do widget ========================
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FONTS = {
+  sistema: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+  serifa: 'Georgia, "Times New Roman", serif'
+};
+const THEMES = {
+  claro: { fundo: '#ffffff', texto: '#222222' },
+  escuro: { fundo: '#1d1d1f', texto: '#f2f2f2' }
+};
+const WIDGET_DEFAULTS = { cor: '#c8102e', tema: 'claro', fonte: 'sistema', raio: 8, limite: 5, titulo: 'Onde comprar' };
+const WIDGET_MAX_LIMIT = 20;
+const WIDGET_MAX_RADIUS_PX = 24;
+const WIDGET_MAX_TITLE = 80;
+// parâmetros que o formulário sem JavaScript repassa adiante
+const WIDGET_PARAMS = ['cor', 'fundo', 'texto', 'tema', 'fonte', 'raio', 'limite', 'titulo', 'chave'];
+
+function hexColor(v) {
+  const m = HEX_COLOR.exec(String(v ?? '').trim());
+  return m ? `#${m[1].toLowerCase()}` : null;
+}
+
+function intIn(v, min, max) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Query do widget -> opções. O widget vai embutido em página de terceiros:
+ * valor inválido volta ao padrão em vez de virar erro.
+ * ?cor=&fundo=&texto= (hex), tema=claro|escuro, fonte=sistema|serifa,
+ * raio=0..24 (px), limite=1..20, titulo=, chave= (X-Api-Key das buscas).
+ */
+function widgetOptions(query = {}) {
+  const tema = Object.hasOwn(THEMES, query.tema) ? query.tema : WIDGET_DEFAULTS.tema;
+  const titulo = String(query.titulo ?? '').trim().slice(0, WIDGET_MAX_TITLE);
+  return {
+    cor: hexColor(query.cor) || WIDGET_DEFAULTS.cor,
+    fundo: hexColor(query.fundo) || THEMES[tema].fundo,
+    texto: hexColor(query.texto) || THEMES[tema].texto,
+    tema,
+    fonte: Object.hasOwn(FONTS, query.fonte) ? query.fonte : WIDGET_DEFAULTS.fonte,
+    raio: intIn(query.raio, 0, WIDGET_MAX_RADIUS_PX) ?? WIDGET_DEFAULTS.raio,
+    limite: intIn(query.limite, 1, WIDGET_MAX_LIMIT) ?? WIDGET_DEFAULTS.limite,
+    titulo: titulo || WIDGET_DEFAULTS.titulo,
+    chave: String(query.chave ?? '').trim() || null
+  };
+}
+
+/** Parâmetros de tema que vieram na query, repassados nos campos ocultos do formulário. */
+function widgetQuery(query = {}) {
+  return WIDGET_PARAMS.filter(k => query[k] !== undefined && query[k] !== '').map(k => [k, String(query[k])]);
+}
+
+// valores já validados (hex, número, nome de fonte): seguros dentro do <style>
+function widgetCss(o) {
+  return `
+:root { --cor: ${o.cor}; --fundo: ${o.fundo}; --texto: ${o.texto}; --raio: ${o.raio}px; }
+* { box-sizing: border-box; }
+body { margin: 0; padding: 12px; font: 15px/1.4 ${FONTS[o.fonte]}; color: var(--texto); background: var(--fundo); }
+h1 { font-size: 1.1em; margin: 0 0 8px; }
+.produto { margin: 0 0 10px; opacity: .8; }
+form { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+input { flex: 1 1 9em; padding: 8px; border: 1px solid currentColor; border-radius: var(--raio); color: inherit; background: transparent; font: inherit; }
+button { padding: 8px 12px; border: 0; border-radius: var(--raio); background: var(--cor); color: #fff; font: inherit; cursor: pointer; }
+button.secundario { background: transparent; color: var(--cor); border: 1px solid var(--cor); }
+.mensagem { margin: 8px 0; }
+ol { list-style: none; margin: 0; padding: 0; }
+.pdv { padding: 8px 0; border-top: 1px solid rgba(127, 127, 127, .3); }
+.pdv-nome { font-weight: 600; }
+.pdv-dist { float: right; opacity: .8; }
+.pdv-end { display: block; font-size: .9em; opacity: .8; }
+a { color: var(--cor); }
+`;
+}
+
+const PAGE_CSS = `
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 860px; padding: 16px; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; }
+nav ol { list-style: none; padding: 0; margin: 0 0 12px; font-size: .9em; }
+nav li { display: inline; }
+nav li + li::before { content: " › "; opacity: .6; }
+h1 { font-size: 1.6em; margin: 0 0 12px; }
+ul.lista { padding-left: 1.2em; }
+.pdv { padding: 12px 0; border-top: 1px solid #ddd; }
+.pdv h2 { font-size: 1.1em; margin: 0; }
+.pdv p { margin: 4px 0; }
+.produtos { margin: 4px 0 0; padding-left: 1.2em; }
+a { color: #c8102e; }
+`;
+
+// ======================== Helpers ========================
+const LOWER_WORDS = new Set(['de', 'da', 'do', 'das', 'dos', 'e']);
+
+/** "BALNEARIO CAMBORIU" -> "Balneario Camboriu" (a planilha vem toda em caixa alta). */
+function titleCase(s) {
+  return String(s ?? '').toLowerCase().split(' ').map((w, i) =>
+    (i > 0 && LOWER_WORDS.has(w) ? w : w.charAt(0).toUpperCase() + w.slice(1))).join(' ');
+}
+
+/** Link "Como chegar": coordenada quando há, senão o endereço. */
+function mapsUrl(pdv) {
+  const destination = Number.isFinite(pdv.latitude) && Number.isFinite(pdv.longitude)
+    ? `${pdv.latitude},${pdv.longitude}` : pdv.endereco;
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}`;
+}
+
+function formatKm(km) {
+  return `${km.toLocaleString('pt-BR', { maximumFractionDigits: km < 10 ? 1 : 0 })} km`;
+}
+
+function cityLabel(pdv) {
+  return `${titleCase(pdv.cidade)} - ${pdv.estado}`;
+}
+
+/** Documento completo; `css` vai num <style> com o nonce do CSP. */
+function layout({ title, description, canonical, nonce, css, head, body, scripts = [] }) {
+  return html`<!doctype html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+${description ? html`<meta name="description" content="${description}">` : ''}
+${canonical ? html`<link rel="canonical" href="${canonical}">` : ''}
+<style nonce="${nonce}">${raw(css)}</style>
+${head}
+</head>
+<body>
+${body}
+${scripts.map(src => html`<script src="${src}" defer></script>`)}
+</body>
+</html>
+`;
+}
+
+function breadcrumbs(items) {
+  return html`<nav aria-label="Navegação"><ol>${items.map(([label, href]) =>
+    html`<li>${href ? html`<a href="${href}">${label}</a>` : html`<span aria-current="page">${label}</span>`}</li>`)}</ol></nav>`;
+}
+
+// ======================== Widget ========================
+/** Item da lista do widget (public/onde-comprar.js monta o mesmo). */
+function widgetItem(pdv, distanceKm) {
+  return html`<li class="pdv"><span class="pdv-nome">${pdv.nome}</span>${Number.isFinite(distanceKm) ? html` <span class="pdv-dist">${formatKm(distanceKm)}</span>` : ''}<span class="pdv-end">${pdv.endereco}</span><a href="${mapsUrl(pdv)}" target="_blank" rel="noopener">Como chegar</a></li>`;
+}
+
+/**
+ * Página do iframe. `results`: itens de repository.nearestPdvs quando o CEP
+ * veio na query; `mensagem`: aviso no lugar da lista (CEP não encontrado etc.).
+ */
+function renderWidget({ product, options, query = {}, cep = '', results, mensagem, nonce }) {
+  const hidden = [['produto', product.id], ...widgetQuery(query)];
+  const body = html`<main id="onde-comprar" data-produto="${product.id}" data-limite="${options.limite}"${options.chave ? html` data-chave="${options.chave}"` : ''}>
+<h1>${options.titulo}</h1>
+<p class="produto">${product.nome}${product.volume ? ` ${product.volume}` : ''}</p>
+<form method="get" action="/widget/onde-comprar" role="search">
+${hidden.map(([k, v]) => html`<input type="hidden" name="${k}" value="${v}">`)}
+<input name="cep" value="${cep}" inputmode="numeric" autocomplete="postal-code" placeholder="Seu CEP" aria-label="CEP" required pattern="\\d{5}-?\\d{3}">
+<button type="submit">Buscar</button>
+<button type="button" class="secundario" data-acao="localizar" hidden>Usar minha localização</button>
+</form>
+<p class="mensagem" role="status" aria-live="polite">${mensagem || (results && !results.length ? 'Nenhum ponto de venda encontrado.' : '')}</p>
+<ol class="resultados">${(results || []).map(({ item, distanceKm }) => widgetItem(item, distanceKm))}</ol>
+</main>`;
+  return layout({
+    title: `${options.titulo} - ${product.nome}`,
+    nonce,
+    css: widgetCss(options),
+    head: html`<meta name="robots" content="noindex">`,
+    body,
+    scripts: ['/widget/onde-comprar.js']
+  });
+}
+
+/** Página de erro curta (produto ausente/desconhecido, cidade sem PDV). */
+function renderMessage({ title, mensagem, nonce, links = [] }) {
+  return layout({
+    title,
+    nonce,
+    css: PAGE_CSS,
+    head: html`<meta name="robots" content="noindex">`,
+    body: html`<main><h1>${title}</h1><p>${mensagem}</p>${links.map(([label, href]) => html`<p><a href="${href}">${label}</a></p>`)}</main>`
+  });
+}
+
+// ======================== Páginas por cidade ========================
+const cityPath = (c) => `/onde-comprar/${c.estado.toLowerCase()}/${c.slug}`;
+const statePath = (uf) => `/onde-comprar/${uf.toLowerCase()}`;
+
+/** /onde-comprar: UFs e cidades com PDV. */
+function renderIndex({ cities, baseUrl, nonce }) {
+  const byState = new Map();
+  for (const c of cities) {
+    if (!byState.has(c.estado)) byState.set(c.estado, []);
+    byState.get(c.estado).push(c);
+  }
+  return layout({
+    title: 'Onde comprar sorvetes Paviloche',
+    description: 'Pontos de venda dos sorvetes Paviloche por estado e cidade.',
+    canonical: `${baseUrl}/onde-comprar`,
+    nonce,
+    css: PAGE_CSS,
+    body: html`<main><h1>Onde comprar</h1>
+${[...byState].map(([uf, list]) => html`<section><h2><a href="${statePath(uf)}">${uf}</a></h2>
+<ul class="lista">${list.map(c => html`<li><a href="${cityPath(c)}">${titleCase(c.cidade)}</a> (${c.pdvs})</li>`)}</ul></section>`)}
+</main>`
+  });
+}
+
+/** /onde-comprar/:uf: cidades da UF. */
+function renderState({ uf, cities, baseUrl, nonce }) {
+  return layout({
+    title: `Onde comprar sorvetes Paviloche em ${uf}`,
+    description: `Cidades de ${uf} com pontos de venda dos sorvetes Paviloche.`,
+    canonical: `${baseUrl}${statePath(uf)}`,
+    nonce,
+    css: PAGE_CSS,
+    body: html`<main>${breadcrumbs([['Onde comprar', '/onde-comprar'], [uf]])}
+<h1>Onde comprar em ${uf}</h1>
+<ul class="lista">${cities.map(c => html`<li><a href="${cityPath(c)}">${titleCase(c.cidade)}</a> (${c.pdvs} ${c.pdvs === 1 ? 'ponto de venda' : 'pontos de venda'})</li>`)}</ul>
+</main>`
+  });
+}
+
+function storeJsonLd(pdv, produtos, url) {
+  const store = {
+    '@type': 'Store',
+    name: pdv.nome,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: pdv.rua,
+      addressLocality: titleCase(pdv.cidade),
+      addressRegion: pdv.estado,
+      postalCode: pdv.cep,
+      addressCountry: 'BR'
+    },
+    hasMap: mapsUrl(pdv),
+    url: `${url}#pdv-${pdv.id}`
+  };
+  if (pdv.telefone) store.telephone = pdv.telefone;
+  if (Number.isFinite(pdv.latitude)) store.geo = { '@type': 'GeoCoordinates', latitude: pdv.latitude, longitude: pdv.longitude };
+  if (produtos.length) store.makesOffer = produtos.map(p => ({ '@type': 'Offer', itemOffered: { '@type': 'Product', name: p.nome } }));
+  return store;
+}
+
+/**
+ * /onde-comprar/:uf/:cidade. `pdvs`: [{ pdv, produtos }] com os produtos
+ * disponíveis (repository.productsAvailableAt). JSON-LD: ItemList de Store.
+ */
+function renderCity({ uf, cidade, slug, pdvs, baseUrl, nonce }) {
+  const nome = titleCase(cidade);
+  const url = `${baseUrl}${cityPath({ estado: uf, slug })}`;
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name: `Pontos de venda Paviloche em ${nome} - ${uf}`,
+    numberOfItems: pdvs.length,
+    itemListElement: pdvs.map(({ pdv, produtos }, i) => ({ '@type': 'ListItem', position: i + 1, item: storeJsonLd(pdv, produtos, url) }))
+  };
+  return layout({
+    title: `Onde comprar sorvetes Paviloche em ${nome} - ${uf}`,
+    description: `${pdvs.length} ${pdvs.length === 1 ? 'ponto de venda' : 'pontos de venda'} dos sorvetes Paviloche em ${nome} - ${uf}, com endereço e produtos disponíveis.`,
+    canonical: url,
+    nonce,
+    css: PAGE_CSS,
+    head: html`<script type="application/ld+json">${jsonScript(jsonLd)}</script>`,
+    body: html`<main>${breadcrumbs([['Onde comprar', '/onde-comprar'], [uf, statePath(uf)], [nome]])}
+<h1>Onde comprar em ${nome} - ${uf}</h1>
+${pdvs.map(({ pdv, produtos }) => {
+  const horario = formatOpeningHours(pdv.horario);
+  return html`<article class="pdv" id="pdv-${pdv.id}">
+<h2>${pdv.nome}</h2>
+<p>${pdv.rua}${pdv.bairro ? `, ${pdv.bairro}` : ''} · ${cityLabel(pdv)}${pdv.cep ? ` · CEP ${pdv.cep.replace(/^(\d{5})(\d{3})$/, '$1-$2')}` : ''}</p>
+${pdv.telefone ? html`<p>Telefone: <a href="tel:${pdv.telefone.replace(/[^\d+]/g, '')}">${pdv.telefone}</a></p>` : ''}
+${horario ? html`<p>Horário: ${horario}</p>` : ''}
+<p><a href="${mapsUrl(pdv)}" target="_blank" rel="noopener">Como chegar</a></p>
+${produtos.length ? html`<ul class="produtos">${produtos.map(p => html`<li>${p.produto_url ? html`<a href="${p.produto_url}">${p.nome}</a>` : p.nome}${p.volume ? ` ${p.volume}` : ''}</li>`)}</ul>` : ''}
+</article>`;
+})}
+</main>`
+  });
+}
+
+/** sitemap.xml: índice, UFs e cidades. */
+function renderSitemap({ cities, baseUrl }) {
+  const urls = [`${baseUrl}/onde-comprar`];
+  for (const uf of new Set(cities.map(c => c.estado))) urls.push(`${baseUrl}${statePath(uf)}`);
+  for (const c of cities) urls.push(`${baseUrl}${cityPath(c)}`);
+  return html`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => html`<url><loc>${u}</loc></url>
+`)}</urlset>
+`;
+}
+
+module.exports = {
+  WIDGET_DEFAULTS,
+  widgetOptions,
+  titleCase,
+  mapsUrl,
+  renderWidget,
+  renderMessage,
+  renderIndex,
+  renderState,
+  renderCity,
+  renderSitemap
+};
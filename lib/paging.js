@@ -0,0 +1,56 @@
+// lib/paging.js — parâmetros raio_km / limite / pagina / cursor das rotas de proximidade
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lê ?raio_km=&limite=&pagina= ou ?cursor=.
+ * @returns {{ erro: string } | { radiusKm?: number, limit: number, offset: number }}
+ */
+function parsePaging(query = {}) {
+  let radiusKm;
+  if (query.raio_km !== undefined && query.raio_km !== '') {
+    radiusKm = Number(String(query.raio_km).replace(',', '.'));
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) return { erro: 'raio_km deve ser um número positivo.' };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limite !== undefined && query.limite !== '') {
+    limit = Number(query.limite);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { erro: `limite deve ser um inteiro entre 1 e ${MAX_LIMIT}.` };
+    }
+  }
+
+  let offset = 0;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    offset = decodeCursor(query.cursor);
+    if (offset === null) return { erro: 'cursor inválido.' };
+  } else if (query.pagina !== undefined && query.pagina !== '') {
+    const pagina = Number(query.pagina);
+    if (!Number.isInteger(pagina) || pagina < 1) return { erro: 'pagina deve ser um inteiro a partir de 1.' };
+    offset = (pagina - 1) * limit;
+  }
+
+  return { radiusKm, limit, offset };
+}
+
+/** Cursor da próxima página, ou null quando já é a última. */
+function nextCursor({ offset, limit }, total) {
+  return offset + limit < total ? encodeCursor(offset + limit) : null;
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, encodeCursor, decodeCursor, parsePaging, nextCursor };
@@ -0,0 +1,76 @@
+// lib/pdv-attributes.js — atributos opcionais do PDV (pdvs_atributos.csv)
+//
+// pdv_id;horario;telefone;rede;tipo;freezer — tudo opcional. Sem `rede`, a rede
+// sai do nome quando ele traz uma rede conhecida ("FORT C.SILVA 405" -> FORT).
+
+const { norm, normText, onlyDigits, foldAccents, parseBoolean } = require('./util');
+const { parseOpeningHours } = require('./opening-hours');
+const { logger } = require('./logger');
+
+const PDV_TYPES = ['supermercado', 'hipermercado', 'atacarejo', 'mercado', 'conveniencia', 'padaria', 'sorveteria', 'outro'];
+
+// redes reconhecidas no nome do PDV (sem acento, caixa alta); a mais longa vence
+const KNOWN_CHAINS = [
+  'ANGELONI', 'ASSAI', 'ATACADAO', 'BIG', 'BISTEK', 'CARREFOUR', 'COMPER', 'CONDOR',
+  'COOPER', 'EXTRA', 'FORT', 'GIASSI', 'HIPPO', 'IMPERATRIZ', 'KOMPRAO', 'MUFFATO',
+  'NACIONAL', 'PAO DE ACUCAR', 'ROSSI', 'SONDA', 'STOK CENTER', 'ZAFFARI'
+];
+const CHAIN_RES = KNOWN_CHAINS
+  .slice()
+  .sort((a, b) => b.length - a.length)
+  .map(name => ({ name, re: new RegExp(`(^|[^A-Z0-9])${name.replace(/ /g, '\\s+')}($|[^A-Z0-9])`) }));
+
+
+/** Chave de comparação de rede ("Pão de Açúcar" = "PAO DE ACUCAR"). */
+function chainKey(s) {
+  return foldAccents(normText(s)).toUpperCase();
+}
+
+/** Rede conhecida no nome do PDV, ou null. */
+function chainFromName(nome) {
+  const key = chainKey(nome);
+  return CHAIN_RES.find(c => c.re.test(key))?.name ?? null;
+}
+
+/** Telefone com DDD (10 ou 11 dígitos); +55 na frente é tirado. */
+function parsePhone(v) {
+  let d = onlyDigits(v);
+  if (d.length > 11 && d.startsWith('55')) d = d.slice(2);
+  return d.length === 10 || d.length === 11 ? { value: d } : { erro: 'telefone com DDD (10 ou 11 dígitos)' };
+}
+
+function parseType(v) {
+  const t = foldAccents(norm(v)).toLowerCase();
+  return PDV_TYPES.includes(t) ? { value: t } : { erro: `use um de: ${PDV_TYPES.join(', ')}` };
+}
+
+function parseFreezer(v) {
+  const b = parseBoolean(v);
+  return b === null ? { erro: 'use true ou false' } : { value: b };
+}
+
+/**
+ * Linha do CSV -> atributos normalizados (valor inválido fica de fora, com aviso).
+ * @returns {{ pdv_id: string, horario: object|null, telefone: string|null, rede: string|null, tipo: string|null, freezer: boolean|null } | null}
+ */
+function normalizeAttributes(row) {
+  const pdv_id = norm(row.pdv_id);
+  if (!pdv_id) return null;
+  const out = { pdv_id, horario: null, telefone: null, rede: null, tipo: null, freezer: null };
+  const fields = {
+    horario: parseOpeningHours,
+    telefone: parsePhone,
+    rede: (v) => ({ value: chainKey(v) }),
+    tipo: parseType,
+    freezer: parseFreezer
+  };
+  for (const [campo, parse] of Object.entries(fields)) {
+    if (!norm(row[campo])) continue;
+    const r = parse(row[campo]);
+    if (r.erro) logger.warn('Atributo de PDV ignorado.', { pdv_id, campo, motivo: r.erro });
+    else out[campo] = r.value;
+  }
+  return out;
+}
+
+module.exports = { PDV_TYPES, KNOWN_CHAINS, chainKey, chainFromName, parsePhone, parseType, parseFreezer, normalizeAttributes };
@@ -0,0 +1,101 @@
+// lib/product-catalog.js — linha, sabor, categoria e volume do produto a partir do nome
+//
+// produtos.csv ganhou as colunas opcionais linha;sabor;categoria;ativo. Vazias, valem
+// as deduzidas do nome e do volume:
+//   "PISTACHE MINI PREMIUM" / "150 ML"  -> linha Mini Premium, sabor PISTACHE, pote, 150 ml
+//   "PIC. FRUTA LIMÃO" / "57G"          -> linha Fruta, sabor LIMÃO, picole, 57 g
+// O dataset volta às tabelas só com o que difere do deduzido (catalogColumns): renomear
+// o produto continua atualizando linha e sabor.
+
+const { norm, normText, foldAccents } = require('./util');
+const { normalizeVolume } = require('./product-search');
+
+const PRODUCT_CATEGORIES = ['pote', 'picole', 'cone'];
+
+// nome sem acento, caixa alta; o primeiro que casar vale. Potes trazem a linha no fim,
+// picolés e cones no começo.
+const LINE_PATTERNS = [
+  { linha: 'Mini Premium', re: /\s+MINI PREMIUM$/, categoria: 'pote' },
+  { linha: 'Edição Limitada', re: /\s+EDICAO (LTDA|LIMITADA)$/, categoria: 'pote' },
+  { linha: 'Gelato', re: /\s+GELATO$/, categoria: 'pote' },
+  { linha: 'Premium', re: /\s+PREMIUM$/, categoria: 'pote' },
+  { linha: 'Clássicos', re: /\s+CLASSICOS?$/, categoria: 'pote' },
+  { linha: 'Zero Açúcar', re: /\s+ZERO ACUCAR$/, categoria: 'pote' },
+  { linha: 'Gran', re: /^PIC\.?\s+GRAN\s+/, categoria: 'picole' },
+  { linha: 'Pavíssimo', re: /^PIC\.?\s+(MINI\s+)?PAVISSIMO\s+/, categoria: 'picole' },
+  { linha: 'Cobertura', re: /^PIC\.?\s+COBERTURA\s+/, categoria: 'picole' },
+  { linha: 'Creme', re: /^PIC\.?\s+CREME\s+/, categoria: 'picole' },
+  { linha: 'Fruta', re: /^PIC\.?\s+FRUTA\s+/, categoria: 'picole' },
+  { linha: 'Kids', re: /^PIC\.?\s+KIDS\s+/, categoria: 'picole' },
+  { linha: null, re: /^PIC\.?\s+/, categoria: 'picole' },
+  { linha: 'Pavetto', re: /^CONE\s+PAVETTO\s+/, categoria: 'cone' }
+];
+
+/**
+ * Chave de comparação de linha/sabor ("Clássicos" = "classicos", "mini-premium" = "Mini Premium",
+ * "IOGURTE C/AMARENA" = "Iogurte com amarena").
+ */
+function catalogKey(s) {
+  return foldAccents(normText(s)).toLowerCase().replace(/\bc\//g, 'com ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** "150 ML" -> { volume_ml: 150, peso_g: null }; "70G" -> { volume_ml: null, peso_g: 70 }. */
+function parseVolume(volume) {
+  const v = normalizeVolume(volume);
+  if (!v) return { volume_ml: null, peso_g: null };
+  const n = parseFloat(v);
+  return v.endsWith('ml') ? { volume_ml: n, peso_g: null } : { volume_ml: null, peso_g: n };
+}
+
+/**
+ * O que dá para tirar do nome e do volume.
+ * @returns {{ linha: string|null, sabor: string|null, categoria: string|null, volume_ml: number|null, peso_g: number|null }}
+ */
+function parseProductName(nome, volume) {
+  const name = normText(nome);
+  const folded = foldAccents(name).toUpperCase();
+  const sizes = parseVolume(volume);
+  const hit = LINE_PATTERNS.find(p => p.re.test(folded));
+  let sabor = name;
+  if (hit) {
+    // foldAccents não muda o tamanho do texto: o trecho casado sai nas mesmas posições do nome
+    const m = hit.re.exec(folded);
+    sabor = (name.slice(0, m.index) + name.slice(m.index + m[0].length)).trim();
+  }
+  return {
+    linha: hit?.linha ?? null,
+    sabor: sabor || null,
+    categoria: hit?.categoria ?? (sizes.volume_ml ? 'pote' : null),
+    ...sizes
+  };
+}
+
+function parseCategory(v) {
+  const c = foldAccents(norm(v)).toLowerCase();
+  return PRODUCT_CATEGORIES.includes(c) ? { value: c } : { erro: `use um de: ${PRODUCT_CATEGORIES.join(', ')}` };
+}
+
+/**
+ * Campos de catálogo do produto: coluna preenchida vale sobre o nome.
+ * @param {{ nome: string, volume: string, linha?: string, sabor?: string, categoria?: string }} row
+ */
+function catalogFields(row) {
+  const parsed = parseProductName(row.nome, row.volume);
+  const categoria = norm(row.categoria) ? parseCategory(row.categoria).value : null;
+  return {
+    linha: normText(row.linha) || parsed.linha,
+    sabor: normText(row.sabor) || parsed.sabor,
+    categoria: categoria ?? parsed.categoria,
+    volume_ml: parsed.volume_ml,
+    peso_g: parsed.peso_g
+  };
+}
+
+/** Colunas linha/sabor/categoria a gravar: vazias quando iguais ao deduzido do nome. */
+function catalogColumns(product) {
+  const parsed = parseProductName(product.nome, product.volume);
+  const column = (campo) => (product[campo] && product[campo] !== parsed[campo] ? product[campo] : '');
+  return { linha: column('linha'), sabor: column('sabor'), categoria: column('categoria') };
+}
+
+module.exports = { PRODUCT_CATEGORIES, catalogKey, parseVolume, parseProductName, parseCategory, catalogFields, catalogColumns };
@@ -0,0 +1,151 @@
+// lib/product-search.js — índice de busca de produtos em memória
+//
+// - sem acento e sem caixa ("açai" acha "ACAI", "limao" acha "LIMÃO");
+// - por token, sem depender da ordem nem das preposições ("doce leite");
+// - prefixo para autocomplete ("pist" -> PISTACHE);
+// - erro de digitação por distância de Levenshtein ("pistaxe");
+// - volume normalizado: "150ml", "150 ML", "1,5L" e "1500 ml" são comparáveis.
+
+const { foldAccents } = require('./util');
+
+const STOPWORDS = new Set(['de', 'da', 'do', 'das', 'dos', 'com', 'e', 'c']);
+
+// pontuação por token da consulta; vale o melhor casamento em cada produto
+const SCORE_EXACT = 3;
+const SCORE_PREFIX = 2;
+const SCORE_FUZZY = 1;
+const FEATURED_BOOST = 1.25;
+const MIN_PREFIX_LEN = 2;
+
+function tokenize(text) {
+  return foldAccents(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Volume canônico em ml ou g: "150 ML" -> "150ml", "1,5 L" -> "1500ml", "70G" -> "70g".
+ * Devolve null se não reconhecer.
+ */
+function normalizeVolume(v) {
+  const m = /^(\d+(?:[.,]\d+)?)\s*(ml|l|lt|litros?|g|gr|kg)$/.exec(foldAccents(v).toLowerCase().replace(/\s+/g, ' ').trim());
+  if (!m) return null;
+  const n = Number(m[1].replace(',', '.'));
+  const unit = m[2];
+  if (unit === 'ml') return `${n}ml`;
+  if (unit.startsWith('l')) return `${Math.round(n * 1000)}ml`;
+  if (unit === 'kg') return `${Math.round(n * 1000)}g`;
+  return `${n}g`;
+}
+
+/** Levenshtein com corte: devolve max + 1 assim que passar de `max`. */
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Erros tolerados pelo tamanho do token: curto demais não tem fuzzy. */
+function maxEdits(token) {
+  if (token.length < 4) return 0;
+  return token.length < 6 ? 1 : 2;
+}
+
+/**
+ * @param {Array<{ id: string, nome: string, volume: string, em_destaque: boolean }>} products
+ */
+function createProductSearch(products) {
+  const docs = products.map(p => ({
+    product: p,
+    folded: tokenize(p.nome).join(' '),
+    volumeKey: normalizeVolume(p.volume)
+  }));
+  /** token -> índices dos produtos que o contêm */
+  const postings = new Map();
+  docs.forEach((doc, i) => {
+    const tokens = [...tokenize(doc.product.nome), ...tokenize(doc.product.volume)];
+    if (doc.volumeKey) tokens.push(doc.volumeKey);
+    for (const t of tokens) {
+      if (!postings.has(t)) postings.set(t, new Set());
+      postings.get(t).add(i);
+    }
+  });
+  const vocabulary = [...postings.keys()];
+
+  /** Melhor pontuação de cada produto para um token da consulta. */
+  function scoreToken(qt) {
+    const best = new Map();
+    const bump = (term, score) => {
+      for (const i of postings.get(term)) if ((best.get(i) || 0) < score) best.set(i, score);
+    };
+    const edits = maxEdits(qt);
+    for (const term of vocabulary) {
+      if (term === qt) bump(term, SCORE_EXACT);
+      else if (qt.length >= MIN_PREFIX_LEN && term.startsWith(qt)) bump(term, SCORE_PREFIX);
+      else if (edits) {
+        const d = levenshtein(qt, term, edits);
+        if (d <= edits) bump(term, SCORE_FUZZY - (d - 1) * 0.25);
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {string} q termo livre (pode ser vazio se houver `volume`)
+   * @param {{ volume?: string, limit?: number }} [opts]
+   * @returns {Array<{ product: object, score: number }>}
+   */
+  function search(q, { volume, limit } = {}) {
+    const volumeKey = volume ? normalizeVolume(volume) ?? tokenize(volume).join('') : null;
+    const inVolume = (doc) => !volumeKey || doc.volumeKey === volumeKey;
+
+    let tokens = tokenize(q);
+    const meaningful = tokens.filter(t => !STOPWORDS.has(t));
+    if (meaningful.length) tokens = meaningful;
+
+    let hits;
+    if (!tokens.length) {
+      if (!volumeKey) return [];
+      hits = docs.map((_, i) => ({ i, score: 0, matched: 0 }));
+    } else {
+      const acc = new Map(); // i -> { score, matched }
+      for (const qt of tokens) {
+        for (const [i, score] of scoreToken(qt)) {
+          const a = acc.get(i) || { score: 0, matched: 0 };
+          a.score += score;
+          a.matched++;
+          acc.set(i, a);
+        }
+      }
+      hits = [...acc].map(([i, a]) => ({ i, ...a }));
+      // todos os termos batendo; se ninguém bate em tudo, vale o que bater em mais termos
+      const all = hits.filter(h => h.matched === tokens.length);
+      if (all.length) hits = all;
+    }
+
+    const phrase = tokens.join(' ');
+    const out = hits
+      .filter(h => inVolume(docs[h.i]))
+      .map(({ i, score, matched }) => {
+        const doc = docs[i];
+        let s = score + matched;
+        if (phrase && doc.folded.startsWith(phrase)) s += 1;
+        if (doc.product.em_destaque) s *= FEATURED_BOOST;
+        return { product: doc.product, score: +s.toFixed(3) };
+      })
+      .sort((a, b) => b.score - a.score || a.product.nome.localeCompare(b.product.nome));
+    return limit ? out.slice(0, limit) : out;
+  }
+
+  return { search };
+}
+
+module.exports = { tokenize, normalizeVolume, levenshtein, createProductSearch };
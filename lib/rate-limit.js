@@ -0,0 +1,82 @@
+// lib/rate-limit.js — balde de fichas (token bucket) para a cota dos provedores e
+// o limite de requisições por cliente da API
+//
+// Cada take() reserva uma ficha; sem ficha, espera a reposição (ratePerSec).
+// As reservas são atendidas em ordem de chegada: o saldo pode ficar negativo
+// ("dívida") e cada chamada espera a sua vez. tryTake() não espera: é o caso
+// da API, que responde 429 em vez de segurar a requisição.
+
+const { createLru } = require('./lru');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {{ ratePerSec: number, burst?: number, now?: () => number }} opts
+ */
+function createTokenBucket({ ratePerSec, burst = 1, now = Date.now }) {
+  const msPerToken = 1000 / ratePerSec;
+  let tokens = burst;
+  let updatedAt = now();
+  let pausedUntil = 0;
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + (t - updatedAt) / msPerToken);
+    updatedAt = t;
+    return t;
+  }
+
+  return {
+    /**
+     * Espera uma ficha. Se a espera passaria de `maxWaitMs`, não reserva nada e
+     * devolve false (quem chamou decide: desistir ou ir para outro provedor).
+     */
+    async take(maxWaitMs = Infinity) {
+      const t = refill();
+      const waitMs = Math.max((1 - tokens) * msPerToken, pausedUntil - t, 0);
+      if (waitMs > maxWaitMs) return false;
+      tokens -= 1;
+      if (waitMs > 0) await sleep(waitMs);
+      return true;
+    },
+    /**
+     * Reserva uma ficha só se houver agora.
+     * @returns {{ ok: boolean, remaining: number, retryAfterMs: number }}
+     */
+    tryTake() {
+      const t = refill();
+      if (tokens >= 1 && t >= pausedUntil) {
+        tokens -= 1;
+        return { ok: true, remaining: Math.floor(tokens), retryAfterMs: 0 };
+      }
+      return { ok: false, remaining: 0, retryAfterMs: Math.ceil(Math.max((1 - tokens) * msPerToken, pausedUntil - t)) };
+    },
+    /** Provedor pediu para esperar (Retry-After): ninguém passa antes disso. */
+    pauseFor(ms) {
+      refill();
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+      tokens = Math.min(tokens, 0);
+    }
+  };
+}
+
+/**
+ * Um balde por cliente (chave de API, IP), com `perMinute` fichas que se repõem
+ * ao longo do minuto. Cliente parado há mais de um minuto tem o balde cheio de
+ * novo, então pode sair do LRU sem mudar nada.
+ * @param {{ maxClients?: number, now?: () => number }} [opts]
+ */
+function createClientLimiter({ maxClients = 10000, now = Date.now } = {}) {
+  const buckets = createLru({ max: maxClients, ttlMs: 60 * 1000, now });
+  return {
+    /** @returns {{ ok: boolean, remaining: number, retryAfterMs: number }} */
+    take(client, perMinute) {
+      const key = `${client}|${perMinute}`;
+      const bucket = buckets.get(key) || createTokenBucket({ ratePerSec: perMinute / 60, burst: perMinute, now });
+      buckets.set(key, bucket); // renova a validade: só sai do LRU quem parou de chamar
+      return bucket.tryTake();
+    }
+  };
+}
+
+module.exports = { sleep, createTokenBucket, createClientLimiter };
@@ -0,0 +1,684 @@
+// lib/repository.js — dataset em memória: produtos, PDVs, mapeamento PDV↔produto e coordenadas
+
+const path = require('path');
+const config = require('./config');
+const { norm, normText, onlyDigits, toNum, foldAccents, parseBoolean, slugify } = require('./util');
+const { hasCoords, insideBox } = require('./geo');
+const { createSpatialIndex } = require('./spatial-index');
+const { createAliasRegistry } = require('./aliases');
+const { createProductSearch } = require('./product-search');
+const { watchFiles } = require('./watch');
+const geocode = require('./geocode');
+const { createCsvStore } = require('./stores/csv-store');
+const { chainKey, chainFromName, normalizeAttributes } = require('./pdv-attributes');
+const { formatOpeningHours, localClock, isOpen } = require('./opening-hours');
+const { normalizeAvailability, isAvailable } = require('./availability');
+const { catalogFields, catalogColumns, catalogKey } = require('./product-catalog');
+const { logger } = require('./logger');
+
+const PDV_COLUMNS = ['id', 'nome', 'rua', 'bairro', 'cidade', 'cep', 'estado'];
+
+// ======================== Normalização ========================
+// linha/sabor/categoria vazios saem do nome (lib/product-catalog.js); ativo vazio = ativo
+function normalizeProduct(r) {
+  const p = {
+    id: norm(r.id),
+    nome: normText(r.nome),
+    volume: normText(r.volume),
+    em_destaque: parseBoolean(r.em_destaque) === true,
+    imagem_url: norm(r.imagem_url) || null,
+    produto_url: norm(r.produto_url) || null
+  };
+  return {
+    ...p,
+    ...catalogFields({ ...r, nome: p.nome, volume: p.volume }),
+    ativo: parseBoolean(r.ativo) !== false
+  };
+}
+
+/**
+ * Linhas com ';' sem aspas dentro da rua ("RUA: X; 180") chegam com colunas
+ * a mais (_7, _8…) e tudo deslocado para a direita. Junta o excedente na rua
+ * e devolve cidade/cep/estado para o lugar certo.
+ */
+function realignPdvRow(row) {
+  const extras = Object.keys(row)
+    .filter(k => /^_\d+$/.test(k))
+    .sort((a, b) => +a.slice(1) - +b.slice(1));
+  if (!extras.length) return row;
+  const values = [...PDV_COLUMNS.map(c => row[c] ?? ''), ...extras.map(k => row[k])];
+  const surplus = values.length - PDV_COLUMNS.length;
+  const [bairro, cidade, cep, estado] = values.slice(3 + surplus);
+  return {
+    id: values[0],
+    nome: values[1],
+    rua: values.slice(2, 3 + surplus).filter(Boolean).join(', '),
+    bairro, cidade, cep, estado
+  };
+}
+
+function normalizePdv(raw) {
+  const row = realignPdvRow(raw);
+  const endereco = geocode.buildAddress(row);
+  // coordenada do cache; sem ela, o centroide do CEP garante ao menos uma aproximação
+  const geo = geocode.getCachedCoords(endereco) || geocode.approximateFromCep(row.cep);
+  return {
+    id: norm(row.id),
+    nome: normText(row.nome),
+    rua: normText(row.rua),
+    bairro: normText(row.bairro),
+    cidade: normText(row.cidade),
+    estado: norm(row.estado).toUpperCase(),
+    cep: onlyDigits(row.cep, 8),
+    endereco,
+    latitude: geo ? geo.lat : undefined,
+    longitude: geo ? geo.lon : undefined,
+    geocode: geo ? { provider: geo.provider, precisao: geo.precisao, confianca: geo.confianca ?? null } : null
+  };
+}
+
+/** pdv_id;latitude;longitude;motivo;atualizado_em -> { pdv_id, latitude, longitude, motivo, atualizado_em } | null */
+function normalizePin(row) {
+  const pdv_id = norm(row.pdv_id);
+  const latitude = toNum(row.latitude);
+  const longitude = toNum(row.longitude);
+  if (!pdv_id || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  return { pdv_id, latitude, longitude, motivo: normText(row.motivo) || null, atualizado_em: norm(row.atualizado_em) || null };
+}
+
+/**
+ * Atributos opcionais (pdvs_atributos.csv). Sem rede informada, vale a rede
+ * reconhecida no nome; sem linha nenhuma, tudo null.
+ */
+function applyAttributes(pdv, attrs) {
+  pdv.horario = attrs?.horario ?? null;
+  pdv.telefone = attrs?.telefone ?? null;
+  pdv.rede = attrs?.rede ?? chainFromName(pdv.nome);
+  pdv.tipo = attrs?.tipo ?? null;
+  pdv.freezer = attrs?.freezer ?? null;
+}
+
+/** Coordenada manual substitui a do cache/centroide. */
+function applyPin(pdv, pin) {
+  pdv.latitude = pin.latitude;
+  pdv.longitude = pin.longitude;
+  pdv.geocode = { provider: geocode.MANUAL_PROVIDER, precisao: geocode.MANUAL_PROVIDER, confianca: null };
+}
+
+// ======================== Carga ========================
+let store = createCsvStore(config);
+
+/** Troca onde o dataset é lido/gravado (padrão: os CSVs de config.DATA_DIR). */
+function setStore(s) { store = s; }
+function getStore() { return store; }
+
+/** Chave do par PDV↔produto em ds.availability. */
+function pairKey(pdvId, productId) { return `${pdvId}|${productId}`; }
+
+function pushUnique(map, key, value) {
+  let list = map.get(key);
+  if (!list) map.set(key, (list = []));
+  if (!list.includes(value)) list.push(value);
+}
+
+/**
+ * Monta o dataset a partir das tabelas (linhas cruas do store ou já normalizadas).
+ * O dataset não é alterado depois de pronto — escrita gera outro e troca o `current`.
+ */
+function buildDataset({
+  products: productRows = [], pdvs: pdvRows = [], pdvProdutos: mappingRows = [],
+  aliases: aliasRows = [], pins: pinRows = [], atributos: attrRows = []
+}) {
+  const productById = new Map();
+  for (const row of productRows) {
+    const p = normalizeProduct(row);
+    if (p.id && !productById.has(p.id)) productById.set(p.id, p);
+  }
+  const aliases = createAliasRegistry({ products: [...productById.values()], rows: aliasRows });
+  for (const c of aliases.conflitos) logger.warn('Alias ignorado.', { conflito: c });
+
+  const pinByPdv = new Map();
+  for (const row of pinRows) {
+    const pin = normalizePin(row);
+    if (pin) pinByPdv.set(pin.pdv_id, pin); // a última linha vale
+  }
+
+  const attrsByPdv = new Map();
+  for (const row of attrRows) {
+    const attrs = normalizeAttributes(row);
+    if (attrs) attrsByPdv.set(attrs.pdv_id, attrs); // a última linha vale
+  }
+
+  const pdvById = new Map();
+  for (const row of pdvRows) {
+    const pdv = normalizePdv(row);
+    if (!pdv.id || pdvById.has(pdv.id)) continue;
+    if (pinByPdv.has(pdv.id)) applyPin(pdv, pinByPdv.get(pdv.id));
+    applyAttributes(pdv, attrsByPdv.get(pdv.id));
+    pdvById.set(pdv.id, pdv);
+  }
+  for (const id of pinByPdv.keys()) if (!pdvById.has(id)) pinByPdv.delete(id);
+  for (const id of attrsByPdv.keys()) if (!pdvById.has(id)) attrsByPdv.delete(id);
+
+  // pdv_id;produto_id (id_pdv/codigo ficam como fallback de planilhas antigas);
+  // código antigo/EAN no vínculo vira o id canônico
+  const pdvIdsByProduct = new Map();
+  const productIdsByPdv = new Map();
+  const availability = new Map(); // pairKey -> { status, confirmado_em, fonte } (lib/availability.js)
+  for (const row of mappingRows) {
+    const pdvId = norm(row.pdv_id ?? row.id_pdv);
+    const rawProductId = norm(row.produto_id ?? row.codigo);
+    const productId = aliases.resolve(rawProductId) ?? rawProductId;
+    if (!pdvId || !productId || !pdvById.has(pdvId)) continue;
+    pushUnique(pdvIdsByProduct, productId, pdvId);
+    pushUnique(productIdsByPdv, pdvId, productId);
+    // o mesmo par pelo código antigo e pelo canônico: vale a confirmação mais recente
+    const av = normalizeAvailability(row);
+    const prev = availability.get(pairKey(pdvId, productId));
+    if (!prev || (av.confirmado_em ?? '') > (prev.confirmado_em ?? '')) availability.set(pairKey(pdvId, productId), av);
+  }
+
+  const pdvs = [...pdvById.values()];
+  const products = [...productById.values()];
+  return {
+    products,
+    productById,
+    aliases,
+    productSearch: createProductSearch(products.filter(p => p.ativo)), // inativo não aparece na busca
+    pdvs,
+    pdvById,
+    pinByPdv,
+    attrsByPdv,
+    pdvIdsByProduct,
+    productIdsByPdv,
+    availability,
+    spatialIndex: createSpatialIndex(pdvs),
+    loadedAt: new Date()
+  };
+}
+
+/**
+ * Lê o store + geocode_cache.jsonl e monta o dataset.
+ * @param {{ strict?: boolean }} [opts] strict: cache ilegível é erro (recarga)
+ */
+async function loadDataset(from = store, { strict = false } = {}) {
+  const tables = await from.load();
+  geocode.loadGeocodeCache(from.geocodeCacheFile ?? config.GEOCODE_CACHE_FILE, { strict });
+  return buildDataset(tables);
+}
+
+/** Tabelas editáveis (cópias) a partir do dataset — o formato que o store grava. */
+function toTables(ds) {
+  return {
+    products: ds.products.map(p => ({ ...p, ...catalogColumns(p) })),
+    pdvs: ds.pdvs.map(({ id, nome, rua, bairro, cidade, cep, estado }) => ({ id, nome, rua, bairro, cidade, cep, estado })),
+    pdvProdutos: [...ds.productIdsByPdv].flatMap(([pdv_id, ids]) => ids.map(produto_id => ({
+      pdv_id, produto_id, ...ds.availability.get(pairKey(pdv_id, produto_id))
+    }))),
+    aliases: ds.aliases.rows(),
+    pins: [...ds.pinByPdv.values()].map(p => ({ ...p })),
+    atributos: [...ds.attrsByPdv.values()].map(a => ({ ...a, horario: formatOpeningHours(a.horario) }))
+  };
+}
+
+// ======================== Estado ========================
+let current = {
+  products: [],
+  productById: new Map(),
+  aliases: createAliasRegistry({ products: [] }),
+  productSearch: createProductSearch([]),
+  pdvs: [],
+  pdvById: new Map(),
+  pinByPdv: new Map(),
+  attrsByPdv: new Map(),
+  pdvIdsByProduct: new Map(),
+  productIdsByPdv: new Map(),
+  availability: new Map(),
+  spatialIndex: createSpatialIndex(),
+  loadedAt: null,
+  version: 0,
+  origin: null
+};
+let version = 0;
+
+/** Publica um dataset novo; requisições em andamento seguem com o anterior. */
+function publish(ds, origin) {
+  ds.version = ++version;
+  ds.origin = origin;
+  current = ds;
+  return ds;
+}
+
+async function load(from) {
+  publish(await loadDataset(from), 'inicial');
+  logger.info('Carga completa.', { contagens: counts(current) });
+  return current;
+}
+
+let writeQueue = Promise.resolve();
+
+/** Enfileira `task` junto com as escritas: nunca duas trocas de dataset ao mesmo tempo. */
+function enqueue(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Aplica uma alteração no dataset: `change(tables)` edita as tabelas (e pode
+ * lançar HttpError), o store grava tudo de forma atômica e só então o dataset
+ * em memória — índices inclusive — é reconstruído e trocado.
+ * Escritas são serializadas; leituras seguem no dataset antigo até a troca.
+ * Endereços que deixaram de existir saem do cache de geocodificação.
+ */
+function mutate(change) {
+  return enqueue(async () => {
+    const before = current;
+    const tables = toTables(before);
+    const result = await change(tables, before);
+    await store.save(tables);
+    publish(buildDataset(tables), 'admin');
+
+    const addresses = new Set(current.pdvs.map(p => p.endereco));
+    for (const pdv of before.pdvs) {
+      if (!addresses.has(pdv.endereco)) geocode.forgetAddress(pdv.endereco);
+    }
+    const previous = new Set(before.pdvs.map(p => p.endereco));
+    const changed = current.pdvs.filter(p => !previous.has(p.endereco));
+    if (changed.length) {
+      fillMissingCoords(current, { pdvs: changed }).catch(e => logger.error('Falha geocodificando PDVs.', { erro: e }));
+    }
+    return result;
+  });
+}
+
+// ======================== Recarga a quente ========================
+// Abaixo disso a recarga é recusada sem `force`: arquivo truncado, planilha errada…
+const RELOAD_MIN_RATIO = 0.5;
+
+/** Motivos para não trocar `prev` por `next` (vazio = pode trocar). */
+function reloadProblems(prev, next) {
+  const problems = [];
+  const a = counts(prev);
+  const b = counts(next);
+  for (const [key, label] of [['products', 'produtos'], ['stores', 'PDVs'], ['vinculos', 'vínculos PDV↔produto']]) {
+    if (a[key] > 0 && b[key] === 0) problems.push(`nenhum registro de ${label} (antes ${a[key]})`);
+    else if (b[key] < a[key] * RELOAD_MIN_RATIO) problems.push(`${label} caíram de ${a[key]} para ${b[key]}`);
+  }
+  return problems;
+}
+
+/**
+ * Relê o store e troca o dataset, na mesma fila das escritas.
+ * Falha de leitura ou dataset suspeito mantém o atual.
+ * @param {{ force?: boolean, origin?: string }} [opts]
+ * @returns {Promise<{ ok: true, dataset: object } | { ok: false, problemas: string[] }>}
+ */
+function reload({ force = false, origin = 'manual' } = {}) {
+  return enqueue(async () => {
+    const before = current;
+    const next = await loadDataset(store, { strict: true });
+    const problemas = reloadProblems(before, next);
+    if (problemas.length && !force) return { ok: false, problemas };
+    publish(next, origin);
+    logger.info('Dataset recarregado.', { origem: origin, versao: next.version, contagens: counts(next) });
+    const previous = new Set(before.pdvs.map(p => p.endereco));
+    const added = next.pdvs.filter(p => !previous.has(p.endereco));
+    if (added.length) fillMissingCoords(next, { pdvs: added }).catch(e => logger.error('Falha geocodificando PDVs.', { erro: e }));
+    return { ok: true, dataset: next };
+  });
+}
+
+let watcher = null;
+
+/** Recarrega sozinho quando os arquivos do store ou o geocode_cache.jsonl mudam por fora. */
+function watch({ debounceMs = config.RELOAD_DEBOUNCE_MS } = {}) {
+  if (watcher || !store.files?.length) return watcher;
+  const files = [...store.files, store.geocodeCacheFile ?? config.GEOCODE_CACHE_FILE];
+  watcher = watchFiles(files, (changed) => {
+    logger.info('Arquivos alterados.', { arquivos: changed.map(f => path.basename(f)) });
+    reload({ origin: 'arquivo' })
+      .then(r => { if (!r.ok) logger.warn('Recarga recusada.', { problemas: r.problemas }); })
+      .catch(e => logger.error('Falha na recarga; dataset anterior mantido.', { erro: e.message }));
+  }, { debounceMs });
+  return watcher;
+}
+
+function unwatch() {
+  watcher?.close();
+  watcher = null;
+}
+
+function get() { return current; }
+
+function counts(ds = current) {
+  return {
+    products: ds.products.length,
+    stores: ds.pdvs.length,
+    vinculos: [...ds.productIdsByPdv.values()].reduce((n, ids) => n + ids.length, 0),
+    stores_com_coordenadas: ds.pdvs.filter(hasCoords).length,
+    stores_aproximados_por_cep: ds.pdvs.filter(p => hasCoords(p) && geocode.isApproximate(p)).length,
+    stores_coordenada_manual: ds.pinByPdv.size
+  };
+}
+
+// ======================== Consultas ========================
+/** Id canônico para id/alias/EAN/slug; sem alias conhecido, o próprio valor. */
+function resolveProductId(productId, ds = current) {
+  const id = norm(productId);
+  return ds.aliases.resolve(id) ?? id;
+}
+
+/**
+ * Busca de produtos por texto (ver lib/product-search.js). Um código/EAN/slug
+ * conhecido traz o próprio produto em primeiro lugar.
+ * @param {{ volume?: string, limit?: number }} [opts]
+ */
+function searchProducts(q, opts = {}, ds = current) {
+  const { volume, limit } = opts;
+  const hits = ds.productSearch.search(q, { volume }).map(h => h.product);
+  const exact = ds.productById.get(ds.aliases.resolve(norm(q)));
+  const ofVolume = !volume || ds.productSearch.search('', { volume }).some(h => h.product === exact);
+  const out = exact && ofVolume ? [exact, ...hits.filter(p => p !== exact)] : hits;
+  return limit ? out.slice(0, limit) : out;
+}
+
+/** Disponibilidade do produto no PDV ({ status, confirmado_em, fonte }), ou null sem vínculo. */
+function availabilityOf(pdvId, productId, ds = current) {
+  return ds.availability.get(pairKey(pdvId, resolveProductId(productId, ds))) ?? null;
+}
+
+/**
+ * Ids dos PDVs com o produto (id canônico) que entram na busca por proximidade:
+ * sem ruptura/descontinuado nem confirmação vencida, a menos de `incluirIndisponiveis`.
+ */
+function pdvIdsOffering(productId, { incluirIndisponiveis = false, now = new Date() } = {}, ds = current) {
+  const ids = ds.pdvIdsByProduct.get(productId) || [];
+  if (incluirIndisponiveis) return ids;
+  return ids.filter(pdvId => isAvailable(ds.availability.get(pairKey(pdvId, productId)), now, config.AVAILABILITY_MAX_AGE_MS));
+}
+
+/**
+ * Catálogo filtrado, na ordem da planilha. linha/sabor sem acento nem caixa; sabor
+ * casa por palavra inteira ("doce de leite" acha "DOCE DE LEITE TIROL").
+ * @param {{ linha?: string, sabor?: string, volumeMl?: number, categoria?: string, incluirInativos?: boolean }} [filtros]
+ */
+function listProducts({ linha, sabor, volumeMl, categoria, incluirInativos = false } = {}, ds = current) {
+  const linhaKey = linha && catalogKey(linha);
+  const saborKey = sabor && ` ${catalogKey(sabor)} `;
+  return ds.products.filter(p =>
+    (incluirInativos || p.ativo) &&
+    (!linhaKey || catalogKey(p.linha) === linhaKey) &&
+    (!saborKey || ` ${catalogKey(p.sabor)} `.includes(saborKey)) &&
+    (volumeMl === undefined || p.volume_ml === volumeMl) &&
+    (!categoria || p.categoria === categoria)
+  );
+}
+
+/** Outros produtos ativos do mesmo sabor (outra linha ou tamanho). */
+function productVariants(productId, ds = current) {
+  const product = ds.productById.get(resolveProductId(productId, ds));
+  const key = product && catalogKey(product.sabor);
+  if (!key) return [];
+  return ds.products.filter(p => p !== product && p.ativo && catalogKey(p.sabor) === key);
+}
+
+/**
+ * Quantos PDVs têm o produto, por UF e cidade (mais PDVs primeiro). `disponiveis`
+ * conta só os pares que entram na busca por proximidade (pdvIdsOffering).
+ */
+function productPdvCounts(productId, { now = new Date() } = {}, ds = current) {
+  const id = resolveProductId(productId, ds);
+  const available = new Set(pdvIdsOffering(id, { now }, ds));
+  const byUf = new Map();
+  let total = 0;
+  for (const pdvId of ds.pdvIdsByProduct.get(id) || []) {
+    const pdv = ds.pdvById.get(pdvId);
+    const ok = available.has(pdvId) ? 1 : 0;
+    let uf = byUf.get(pdv.estado);
+    if (!uf) byUf.set(pdv.estado, (uf = { estado: pdv.estado, total: 0, disponiveis: 0, cidades: new Map() }));
+    let city = uf.cidades.get(pdv.cidade);
+    if (!city) uf.cidades.set(pdv.cidade, (city = { cidade: pdv.cidade, total: 0, disponiveis: 0 }));
+    for (const row of [uf, city]) {
+      row.total++;
+      row.disponiveis += ok;
+    }
+    total++;
+  }
+  const byCount = (a, b) => b.total - a.total || (a.estado ?? a.cidade).localeCompare(b.estado ?? b.cidade);
+  return {
+    produto_id: id,
+    total,
+    disponiveis: available.size,
+    estados: [...byUf.values()]
+      .map(uf => ({ ...uf, cidades: [...uf.cidades.values()].sort(byCount) }))
+      .sort(byCount)
+  };
+}
+
+/** PDVs que vendem o produto (aceita qualquer alias). */
+function pdvsForProduct(productId, ds = current) {
+  return (ds.pdvIdsByProduct.get(resolveProductId(productId, ds)) || []).map(id => ds.pdvById.get(id));
+}
+
+/**
+ * Produtos ativos que o PDV tem disponíveis agora (mesma regra da busca por
+ * proximidade), na ordem do catálogo.
+ */
+function productsAvailableAt(pdvId, { now = new Date() } = {}, ds = current) {
+  const ids = new Set((ds.productIdsByPdv.get(pdvId) || []).filter(pid =>
+    isAvailable(ds.availability.get(pairKey(pdvId, pid)), now, config.AVAILABILITY_MAX_AGE_MS)));
+  return ds.products.filter(p => p.ativo && ids.has(p.id));
+}
+
+/**
+ * Cidades com PDV: [{ estado, cidade, slug, pdvs }] por UF e nome. `estado`
+ * (sigla, qualquer caixa) restringe a uma UF.
+ */
+function listCities({ estado } = {}, ds = current) {
+  const uf = estado && norm(estado).toUpperCase();
+  const byKey = new Map();
+  for (const pdv of ds.pdvs) {
+    if (!pdv.cidade || !pdv.estado || (uf && pdv.estado !== uf)) continue;
+    const slug = slugify(pdv.cidade);
+    const key = `${pdv.estado}|${slug}`;
+    if (!byKey.has(key)) byKey.set(key, { estado: pdv.estado, cidade: pdv.cidade, slug, pdvs: 0 });
+    byKey.get(key).pdvs++;
+  }
+  return [...byKey.values()].sort((a, b) => a.estado.localeCompare(b.estado) || a.slug.localeCompare(b.slug));
+}
+
+/** PDVs da cidade pelo slug (lib/util.js slugify), na ordem do cadastro. */
+function pdvsInCity(estado, slug, ds = current) {
+  const uf = norm(estado).toUpperCase();
+  return ds.pdvs.filter(pdv => pdv.estado === uf && slugify(pdv.cidade) === slug);
+}
+
+/**
+ * Filtros de atributo das buscas de proximidade; undefined = nenhum pedido.
+ * aberto_agora só deixa passar PDV com horário informado e aberto em `now`
+ * (hora de config.PDV_TIMEZONE); rede e tipo: qualquer um da lista.
+ * @param {{ abertoAgora?: boolean, redes?: string[], tipos?: string[], now?: Date }} [filtros]
+ */
+function attributeFilter({ abertoAgora, redes, tipos, now = new Date() } = {}) {
+  const checks = [];
+  if (abertoAgora) {
+    const clock = localClock(now, config.PDV_TIMEZONE);
+    checks.push(pdv => isOpen(pdv.horario, clock) === true);
+  }
+  if (redes?.length) {
+    const set = new Set(redes.map(chainKey));
+    checks.push(pdv => set.has(pdv.rede));
+  }
+  if (tipos?.length) {
+    const set = new Set(tipos);
+    checks.push(pdv => set.has(pdv.tipo));
+  }
+  return checks.length ? (pdv) => checks.every(check => check(pdv)) : undefined;
+}
+
+function allOf(...filters) {
+  const list = filters.filter(Boolean);
+  return list.length > 1 ? (pdv) => list.every(f => f(pdv)) : list[0];
+}
+
+/**
+ * PDVs mais próximos de (lat, lon) via índice espacial, já paginados.
+ * Com produto, só os pares disponíveis (ver pdvIdsOffering).
+ * @param {{ limit?: number, offset?: number, radiusKm?: number, productId?: string, filtros?: object, incluirIndisponiveis?: boolean }} [opts]
+ *   filtros: ver attributeFilter
+ * @returns {{ total: number, items: Array<{ item: object, distanceKm: number }> }}
+ */
+function nearestPdvs(lat, lon, { productId, filtros, incluirIndisponiveis, ...opts } = {}, ds = current) {
+  let byProduct;
+  if (productId !== undefined) {
+    const ids = new Set(pdvIdsOffering(resolveProductId(productId, ds), { incluirIndisponiveis, now: filtros?.now }, ds));
+    byProduct = (pdv) => ids.has(pdv.id);
+  }
+  return ds.spatialIndex.nearest(lat, lon, { ...opts, filter: allOf(byProduct, attributeFilter(filtros)) });
+}
+
+/**
+ * PDVs que passam em todos os filtros informados, na ordem do cadastro.
+ * Produtos: tem ao menos um disponível (aceita aliases; ver pdvIdsOffering).
+ * Cidade sem acento/caixa.
+ * @param {{ productIds?: string[], cidades?: string[], estados?: string[], bbox?: number[], incluirIndisponiveis?: boolean, now?: Date }} [filtros]
+ *   bbox: [minLat, maxLat, minLon, maxLon] (lib/geo.js parseBbox)
+ */
+function filterPdvs({ productIds, cidades, estados, bbox, incluirIndisponiveis, now } = {}, ds = current) {
+  const foldCity = (c) => foldAccents(c).trim().toUpperCase();
+  let pdvIds = null;
+  if (productIds?.length) {
+    pdvIds = new Set(productIds.flatMap(id => pdvIdsOffering(resolveProductId(id, ds), { incluirIndisponiveis, now }, ds)));
+  }
+  const cidadeSet = cidades?.length ? new Set(cidades.map(foldCity)) : null;
+  const estadoSet = estados?.length ? new Set(estados.map(e => norm(e).toUpperCase())) : null;
+  return ds.pdvs.filter(pdv =>
+    (!pdvIds || pdvIds.has(pdv.id)) &&
+    (!cidadeSet || cidadeSet.has(foldCity(pdv.cidade))) &&
+    (!estadoSet || estadoSet.has(pdv.estado)) &&
+    (!bbox || (hasCoords(pdv) && insideBox(pdv.latitude, pdv.longitude, bbox))));
+}
+
+/**
+ * PDVs com coordenada dentro do viewport, via índice espacial.
+ * Com produto, só os pares disponíveis (ver pdvIdsOffering).
+ * @param {number[]} bbox [minLat, maxLat, minLon, maxLon]
+ * @param {{ productId?: string, incluirIndisponiveis?: boolean, now?: Date }} [opts]
+ */
+function pdvsInBox(bbox, { productId, incluirIndisponiveis, now } = {}, ds = current) {
+  let filter;
+  if (productId !== undefined) {
+    const ids = new Set(pdvIdsOffering(resolveProductId(productId, ds), { incluirIndisponiveis, now }, ds));
+    filter = (pdv) => ids.has(pdv.id);
+  }
+  return ds.spatialIndex.withinBox(bbox, filter);
+}
+
+const PRODUCT_MATCH_MODES = ['all', 'any'];
+// no modo "any" a cobertura pesa antes da distância; sem raio, um PDV completo
+// do outro lado do estado passaria na frente do vizinho que tem quase tudo
+const ANY_MODE_DEFAULT_RADIUS_KM = 50;
+
+/**
+ * PDVs próximos que vendem vários produtos ao mesmo tempo.
+ * - all: só PDVs com todos os produtos, por distância;
+ * - any: PDVs com ao menos um, por cobertura (quantos têm) e depois distância.
+ * Só contam os pares disponíveis, a menos de `incluirIndisponiveis`.
+ * @param {{ productIds: string[], mode?: 'all'|'any', limit?: number, offset?: number, radiusKm?: number, filtros?: object, incluirIndisponiveis?: boolean }} opts
+ * @returns {{ total: number, produtos: string[], raioKm: number|null,
+ *   items: Array<{ item: object, distanceKm: number, encontrados: string[], faltantes: string[] }> }}
+ *   raioKm: o raio aplicado (no modo any, ANY_MODE_DEFAULT_RADIUS_KM quando não informado)
+ */
+function nearestPdvsForProducts(lat, lon, {
+  productIds, mode = 'all', limit = 20, offset = 0, radiusKm, filtros, incluirIndisponiveis
+}, ds = current) {
+  const produtos = [...new Set(productIds.map(id => resolveProductId(id, ds)).filter(Boolean))];
+  const found = new Map(); // pdv_id -> ids pedidos que o PDV vende
+  for (const pid of produtos) {
+    for (const pdvId of pdvIdsOffering(pid, { incluirIndisponiveis, now: filtros?.now }, ds)) {
+      if (!found.has(pdvId)) found.set(pdvId, []);
+      found.get(pdvId).push(pid);
+    }
+  }
+  const detail = ({ item, distanceKm }) => {
+    const encontrados = found.get(item.id);
+    return { item, distanceKm, encontrados, faltantes: produtos.filter(id => !encontrados.includes(id)) };
+  };
+
+  const byAttributes = attributeFilter(filtros);
+  if (mode === 'all') {
+    const filter = allOf((pdv) => found.get(pdv.id)?.length === produtos.length, byAttributes);
+    const { total, items } = ds.spatialIndex.nearest(lat, lon, { limit, offset, radiusKm, filter });
+    return { total, produtos, raioKm: radiusKm ?? null, items: items.map(detail) };
+  }
+
+  const raioKm = radiusKm ?? ANY_MODE_DEFAULT_RADIUS_KM;
+  const hits = ds.spatialIndex
+    .withinRadius(lat, lon, raioKm, allOf((pdv) => found.has(pdv.id), byAttributes))
+    .sort((a, b) => found.get(b.item.id).length - found.get(a.item.id).length || a.distanceKm - b.distanceKm);
+  return { total: hits.length, produtos, raioKm, items: hits.slice(offset, offset + limit).map(detail) };
+}
+
+/**
+ * Geocodifica em segundo plano os PDVs que estão sem coordenada ou só com o
+ * centroide do CEP. Sem provedor de rede na cadeia não faz nada.
+ * As coordenadas novas ficam no cache de geocodificação; o dataset publicado
+ * não é tocado — um novo é montado (na fila das escritas) e lê de lá.
+ */
+async function fillMissingCoords(ds = current, { concurrency = 3, pdvs = ds.pdvs } = {}) {
+  if (!geocode.getGeocoder().hasRemote) return 0;
+  const queue = pdvs.filter(p => geocode.isApproximate(p));
+  let filled = 0;
+  const worker = async () => {
+    while (queue.length) {
+      const pdv = queue.shift();
+      const geo = await geocode.geocodePdv(pdv);
+      if (!geo || geo.provider === pdv.geocode?.provider) continue;
+      filled++;
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  if (!filled) return 0;
+  await enqueue(() => publish(buildDataset(toTables(current)), 'geocodificacao'));
+  logger.info('Coordenadas novas.', { pdvs: filled, versao: current.version });
+  return filled;
+}
+
+module.exports = {
+  normalizeProduct,
+  normalizePdv,
+  realignPdvRow,
+  setStore,
+  getStore,
+  buildDataset,
+  loadDataset,
+  toTables,
+  load,
+  mutate,
+  reload,
+  watch,
+  unwatch,
+  get,
+  counts,
+  resolveProductId,
+  searchProducts,
+  listProducts,
+  productVariants,
+  productPdvCounts,
+  pdvsForProduct,
+  productsAvailableAt,
+  listCities,
+  pdvsInCity,
+  filterPdvs,
+  pdvsInBox,
+  attributeFilter,
+  pairKey,
+  availabilityOf,
+  pdvIdsOffering,
+  nearestPdvs,
+  PRODUCT_MATCH_MODES,
+  ANY_MODE_DEFAULT_RADIUS_KM,
+  nearestPdvsForProducts,
+  fillMissingCoords
+};
@@ -0,0 +1,133 @@
+// lib/routing/index.js — distância e tempo de rota (carro / a pé) com timeout e fallback
+//
+// Provedor: { name, remote, enabled, matrix(origem, destinos, { perfil, signal }) }
+//   origem/destinos -> { lat, lon }
+//   resposta        -> [{ distanciaKm, tempoMin } | null] na ordem dos destinos (null = sem rota)
+// O roteador nunca lança: provedor fora do ar, lento ou desligado devolve null e
+// quem chamou fica com a distância em linha reta (lib/travel.js).
+
+const config = require('../config');
+const { logger } = require('../logger');
+const { createLru } = require('../lru');
+const { upstreamCalls, upstreamResult } = require('../metrics');
+const { createOsrmProvider } = require('./providers/osrm');
+const { createValhallaProvider } = require('./providers/valhalla');
+const { createStubProvider } = require('./providers/stub');
+
+const ROUTING_PROFILES = ['carro', 'a_pe'];
+
+const PROVIDER_FACTORIES = {
+  osrm: createOsrmProvider,
+  valhalla: createValhallaProvider,
+  stub: createStubProvider
+};
+
+const DEFAULT_PAUSE_MS = 30 * 1000;
+
+async function callWithTimeout(provider, origem, destinos, perfil, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let err = null;
+  let routes;
+  try {
+    routes = await provider.matrix(origem, destinos, { perfil, signal: controller.signal });
+    return routes;
+  } catch (e) {
+    err = e;
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    if (provider.remote) upstreamCalls.inc({ servico: 'rota', provedor: provider.name, resultado: upstreamResult(err, routes) });
+  }
+}
+
+/** Chave do par no cache: coordenadas com 4 casas (~10 m) bastam. */
+function pairKey(perfil, origem, destino) {
+  const p = (pt) => `${pt.lat.toFixed(4)},${pt.lon.toFixed(4)}`;
+  return `${perfil}|${p(origem)}|${p(destino)}`;
+}
+
+/**
+ * Roteador sobre um provedor. Pares já consultados vêm do cache (a página
+ * seguinte da mesma busca não vai de novo ao provedor). Depois de uma falha
+ * (erro, timeout, resposta ilegível) o provedor fica `pauseMs` sem ser chamado,
+ * para que uma queda não some o timeout a cada busca.
+ * @param {{ provider?: object|null, timeoutMs?: number, pauseMs?: number, cacheSize?: number,
+ *           cacheTtlMs?: number, now?: () => number }} opts
+ */
+function createRouter({
+  provider = null, timeoutMs = config.ROUTING_TIMEOUT_MS, pauseMs = DEFAULT_PAUSE_MS,
+  cacheSize = config.ROUTING_CACHE_SIZE, cacheTtlMs = config.ROUTING_CACHE_TTL_MS, now = Date.now
+} = {}) {
+  const cache = createLru({ max: cacheSize, ttlMs: cacheTtlMs, now });
+  let pausedUntil = 0;
+
+  const enabled = () => Boolean(provider?.enabled);
+
+  /**
+   * @param {{ lat: number, lon: number }} origem
+   * @param {{ lat: number, lon: number }[]} destinos
+   * @param {string} perfil carro | a_pe
+   * @returns {Promise<({ distanciaKm: number, tempoMin: number }|null)[]|null>} null = roteamento indisponível
+   */
+  async function matrix(origem, destinos, perfil) {
+    if (!enabled() || now() < pausedUntil) return null;
+    const out = destinos.map(d => cache.get(pairKey(perfil, origem, d)));
+    const missing = destinos.filter((_, i) => out[i] === undefined);
+    if (!missing.length) return out;
+
+    let routes;
+    try {
+      routes = await callWithTimeout(provider, origem, missing, perfil, timeoutMs);
+    } catch (err) {
+      const motivo = err.name === 'AbortError' ? `timeout de ${timeoutMs} ms` : err.message;
+      logger.warn('Roteador falhou; resposta em linha reta.', { provedor: provider.name, motivo });
+    }
+    if (!Array.isArray(routes) || routes.length !== missing.length) {
+      pausedUntil = now() + pauseMs;
+      return null;
+    }
+    let j = 0;
+    return out.map((hit, i) => {
+      if (hit !== undefined) return hit;
+      const route = routes[j++];
+      cache.set(pairKey(perfil, origem, destinos[i]), route);
+      return route;
+    });
+  }
+
+  return {
+    provider,
+    matrix,
+    /** Há provedor configurado e habilitado? */
+    get enabled() { return enabled(); },
+    /** Em pausa depois de uma falha? */
+    paused() { return now() < pausedUntil; },
+    stats() { return cache.stats(); }
+  };
+}
+
+function createProvider(name, options) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) throw new Error(`Provedor de rotas desconhecido: ${name}`);
+  return factory(options);
+}
+
+/**
+ * Monta o roteador a partir do ambiente:
+ *   ROUTER=osrm|valhalla|stub   (padrão: nenhum — as buscas com ?rota= ficam em linha reta; em NODE_ENV=test: stub)
+ *   OSRM_URL, OSRM_URL_A_PE, VALHALLA_URL
+ *   ROUTING_TIMEOUT_MS=1500
+ */
+function routerFromEnv(env = process.env, overrides = {}) {
+  const name = (env.ROUTER ?? (env.NODE_ENV === 'test' ? 'stub' : '')).trim();
+  return createRouter({ provider: name ? createProvider(name) : null, ...overrides });
+}
+
+module.exports = {
+  ROUTING_PROFILES,
+  PROVIDER_FACTORIES,
+  createRouter,
+  createProvider,
+  routerFromEnv
+};
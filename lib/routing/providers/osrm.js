@@ -0,0 +1,38 @@
+// providers/osrm.js — matriz de distância/tempo pelo serviço table do OSRM
+//
+// Cada osrm-routed atende um perfil só: OSRM_URL para carro e, se houver uma
+// instância com o perfil foot, OSRM_URL_A_PE para a pé (sem ela, a pé usa OSRM_URL).
+
+const { checkResponse } = require('../../geocoding/errors');
+
+const OSRM_PROFILES = { carro: 'driving', a_pe: 'foot' };
+
+function createOsrmProvider({
+  baseUrl = process.env.OSRM_URL || 'http://localhost:5000',
+  walkingUrl = process.env.OSRM_URL_A_PE || baseUrl
+} = {}) {
+  return {
+    name: 'osrm',
+    remote: true,
+    enabled: Boolean(baseUrl),
+    async matrix(origem, destinos, { perfil = 'carro', signal } = {}) {
+      const coords = [origem, ...destinos].map(p => `${p.lon},${p.lat}`).join(';');
+      const targets = destinos.map((_, i) => i + 1).join(';');
+      const base = perfil === 'a_pe' ? walkingUrl : baseUrl;
+      const url = `${base}/table/v1/${OSRM_PROFILES[perfil]}/${coords}` +
+        `?sources=0&destinations=${targets}&annotations=duration,distance`;
+      const r = await fetch(url, { signal });
+      if (!checkResponse(r, 'osrm')) return null;
+      const body = await r.json();
+      if (body.code !== 'Ok') return null;
+      // metros e segundos; null = sem rota até o destino
+      return destinos.map((_, i) => {
+        const metros = body.distances?.[0]?.[i];
+        const segundos = body.durations?.[0]?.[i];
+        return metros == null || segundos == null ? null : { distanciaKm: metros / 1000, tempoMin: segundos / 60 };
+      });
+    }
+  };
+}
+
+module.exports = { OSRM_PROFILES, createOsrmProvider };
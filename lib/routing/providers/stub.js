@@ -0,0 +1,24 @@
+// providers/stub.js — roteador determinístico para testes (nenhuma rede)
+//
+// Rota = linha reta × `fator` a uma velocidade fixa por perfil. `desvios`
+// ("lat,lon" do destino -> km a mais) simula a ponte/baía que o haversine não vê.
+
+const { haversineKm } = require('../../geo');
+
+const DEFAULT_SPEEDS_KMH = { carro: 30, a_pe: 5 };
+
+function createStubProvider({ fator = 1.3, velocidades = DEFAULT_SPEEDS_KMH, desvios = {}, name = 'stub' } = {}) {
+  return {
+    name,
+    remote: false,
+    enabled: true,
+    async matrix(origem, destinos, { perfil = 'carro' } = {}) {
+      return destinos.map((d) => {
+        const distanciaKm = haversineKm(origem.lat, origem.lon, d.lat, d.lon) * fator + (desvios[`${d.lat},${d.lon}`] || 0);
+        return { distanciaKm, tempoMin: (distanciaKm / velocidades[perfil]) * 60 };
+      });
+    }
+  };
+}
+
+module.exports = { createStubProvider };
@@ -0,0 +1,39 @@
+// providers/valhalla.js — matriz de distância/tempo pelo sources_to_targets do Valhalla
+//
+// Uma instância atende todos os perfis (costing auto / pedestrian).
+
+const { checkResponse } = require('../../geocoding/errors');
+
+const VALHALLA_COSTING = { carro: 'auto', a_pe: 'pedestrian' };
+
+function createValhallaProvider({ baseUrl = process.env.VALHALLA_URL || 'http://localhost:8002' } = {}) {
+  return {
+    name: 'valhalla',
+    remote: true,
+    enabled: Boolean(baseUrl),
+    async matrix(origem, destinos, { perfil = 'carro', signal } = {}) {
+      const point = (p) => ({ lat: p.lat, lon: p.lon });
+      const r = await fetch(`${baseUrl}/sources_to_targets`, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sources: [point(origem)],
+          targets: destinos.map(point),
+          costing: VALHALLA_COSTING[perfil],
+          units: 'kilometers'
+        })
+      });
+      if (!checkResponse(r, 'valhalla')) return null;
+      const [row] = (await r.json()).sources_to_targets || [];
+      if (!row) return null;
+      // km e segundos; distance/time nulos = sem rota
+      return destinos.map((_, i) => {
+        const cell = row.find(c => c.to_index === i) ?? row[i];
+        return cell?.distance == null || cell?.time == null ? null : { distanciaKm: cell.distance, tempoMin: cell.time / 60 };
+      });
+    }
+  };
+}
+
+module.exports = { VALHALLA_COSTING, createValhallaProvider };
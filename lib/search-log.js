@@ -0,0 +1,127 @@
+// lib/search-log.js — registro das buscas da API pública (buscas.jsonl, só de acréscimo)
+//
+// Uma linha por busca atendida:
+//   { ts, tipo, termo?, produtos?, cep?, geohash?, resultados, status, ms }
+//   tipo      texto (/produtos/buscar) | cep | coords | produto | produtos
+//   termo     texto buscado sem acento/caixa (até 80 caracteres)
+//   cep       só os 5 primeiros dígitos
+//   geohash   célula de ~5 km (config.SEARCH_GEOHASH_PRECISION) — a coordenada exata não é gravada
+// IP, user-agent e demais dados de quem buscou nunca entram no arquivo.
+// Relatórios em lib/search-reports.js.
+
+const fs = require('fs');
+const readline = require('readline');
+const config = require('./config');
+const { normText, foldAccents, onlyDigits } = require('./util');
+const { encodeGeohash } = require('./geo');
+const { logger } = require('./logger');
+
+const DEFAULT_FLUSH_MS = 1000;
+const MAX_TERM = 80;
+
+/** Texto da busca como chave de relatório ("Açaí  1,5L" -> "acai 1,5l"). */
+function searchTerm(q) {
+  return foldAccents(normText(q)).toLowerCase().slice(0, MAX_TERM);
+}
+
+/**
+ * Monta o registro sem nada que identifique quem buscou.
+ * @param {{ tipo: string, termo?: string, produtos?: string[], cep?: string, lat?: number, lon?: number,
+ *   resultados?: number, status: number, ms: number }} busca
+ */
+function toRecord({ tipo, termo, produtos, cep, lat, lon, resultados = 0, status, ms }, { precision, now }) {
+  const rec = { ts: now(), tipo };
+  if (termo) rec.termo = searchTerm(termo);
+  if (produtos?.length) rec.produtos = produtos;
+  if (cep) rec.cep = onlyDigits(cep).slice(0, 5);
+  if (Number.isFinite(lat) && Number.isFinite(lon)) rec.geohash = encodeGeohash(lat, lon, precision);
+  rec.resultados = resultados;
+  rec.status = status;
+  rec.ms = Math.round(ms);
+  return rec;
+}
+
+/**
+ * @param {{ file: string, enabled?: boolean, precision?: number, flushMs?: number, now?: () => number }} opts
+ */
+function createSearchLog({ file, enabled = true, precision = 5, flushMs = DEFAULT_FLUSH_MS, now = Date.now }) {
+  let pending = [];
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return;
+    const chunk = pending.join('\n') + '\n';
+    pending = [];
+    fs.appendFileSync(file, chunk, 'utf-8');
+  }
+
+  function record(busca) {
+    if (!enabled) return;
+    pending.push(JSON.stringify(toRecord(busca, { precision, now })));
+    if (!timer) {
+      timer = setTimeout(() => {
+        try {
+          flush();
+        } catch (err) {
+          logger.warn('Falha ao gravar o registro de buscas.', { erro: err.message });
+        }
+      }, flushMs);
+      timer.unref?.();
+    }
+  }
+
+  /**
+   * Percorre os registros com ts >= `since`, linha a linha (o arquivo não vai
+   * para a memória). Linha inválida é pulada.
+   * @param {(rec: object) => void} fn
+   */
+  async function each(fn, { since = 0 } = {}) {
+    flush();
+    if (!fs.existsSync(file)) return;
+    const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (rec.ts >= since) fn(rec);
+    }
+  }
+
+  process.on('exit', () => {
+    try { flush(); } catch { /* saindo: nada a fazer */ }
+  });
+
+  return { file, enabled, record, flush, each };
+}
+
+const searchLog = createSearchLog({
+  file: config.SEARCH_LOG_FILE,
+  enabled: config.SEARCH_LOG,
+  precision: config.SEARCH_GEOHASH_PRECISION
+});
+
+/**
+ * Middleware: a rota descreve a busca em res.locals.busca e o registro sai quando
+ * a resposta termina, com status e tempo. 400 (pedido malformado) e 5xx não contam;
+ * 404 de produto/CEP desconhecido conta como busca sem resultado.
+ */
+function trackSearches(log = searchLog) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const busca = res.locals.busca;
+      if (!busca || res.statusCode === 400 || res.statusCode >= 500) return;
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      log.record({ ...busca, status: res.statusCode, ms });
+    });
+    next();
+  };
+}
+
+module.exports = { searchTerm, createSearchLog, searchLog, trackSearches };
@@ -0,0 +1,129 @@
+// lib/search-reports.js — relatórios de demanda a partir do registro de buscas (lib/search-log.js)
+//
+//   topSearches      termos, produtos e CEPs mais buscados
+//   zeroResults      o que foi buscado e não trouxe nada (termo, produto, CEP)
+//   uncoveredDemand  regiões (geohash) com busca por produto sem PDV que o tenha a até N km,
+//                    conferido contra o dataset atual: PDV novo tira a região do relatório
+
+const { decodeGeohash } = require('./geo');
+const repository = require('./repository');
+
+const PRODUCT_TYPES = ['produto', 'produtos'];
+
+/** Contador por chave: { buscas, sem_resultado, ultima_em }. */
+function tally() {
+  const map = new Map();
+  return {
+    add(key, rec, extra) {
+      let row = map.get(key);
+      if (!row) {
+        row = { ...extra, buscas: 0, sem_resultado: 0, ultima: 0 };
+        map.set(key, row);
+      }
+      row.buscas++;
+      if (!rec.resultados) row.sem_resultado++;
+      row.ultima = Math.max(row.ultima, rec.ts);
+    },
+    /** Maiores por `field`; empate vai para quem tem mais buscas. */
+    top(field, limit) {
+      return [...map.values()]
+        .filter(r => r[field] > 0)
+        .sort((a, b) => b[field] - a[field] || b.buscas - a.buscas)
+        .slice(0, limit)
+        .map(({ ultima, ...r }) => ({ ...r, ultima_em: new Date(ultima).toISOString() }));
+    }
+  };
+}
+
+function productName(id, ds) {
+  return ds.productById.get(id)?.nome ?? null;
+}
+
+/** Percorre o registro e conta por termo, produto e CEP. */
+async function countSearches(log, since, ds) {
+  const termos = tally();
+  const produtos = tally();
+  const ceps = tally();
+  let total = 0;
+  let semResultado = 0;
+  await log.each((rec) => {
+    total++;
+    if (!rec.resultados) semResultado++;
+    if (rec.termo) termos.add(rec.termo, rec, { termo: rec.termo });
+    for (const id of rec.produtos || []) {
+      produtos.add(id, rec, { produto_id: id, nome: productName(id, ds), cadastrado: ds.productById.has(id) });
+    }
+    if (rec.cep) ceps.add(rec.cep, rec, { cep: rec.cep });
+  }, { since });
+  return { total, semResultado, termos, produtos, ceps };
+}
+
+/**
+ * Mais buscados no período.
+ * @param {{ since: number, limit: number }} opts since em ms (epoch)
+ */
+async function topSearches(log, { since, limit }, ds = repository.get()) {
+  const c = await countSearches(log, since, ds);
+  return {
+    desde: new Date(since).toISOString(),
+    total: c.total,
+    sem_resultado: c.semResultado,
+    termos: c.termos.top('buscas', limit),
+    produtos: c.produtos.top('buscas', limit),
+    ceps: c.ceps.top('buscas', limit)
+  };
+}
+
+/** Buscas que não trouxeram nada, do mais frequente ao menos. */
+async function zeroResults(log, { since, limit }, ds = repository.get()) {
+  const c = await countSearches(log, since, ds);
+  return {
+    desde: new Date(since).toISOString(),
+    total: c.semResultado,
+    termos: c.termos.top('sem_resultado', limit),
+    produtos: c.produtos.top('sem_resultado', limit),
+    ceps: c.ceps.top('sem_resultado', limit)
+  };
+}
+
+/**
+ * Regiões com procura por produto e nenhum PDV disponível a até `radiusKm` do
+ * centro da célula. Uma linha por (região, produto), mais buscada primeiro.
+ * @param {{ since: number, limit: number, radiusKm: number, productId?: string }} opts
+ */
+async function uncoveredDemand(log, { since, limit, radiusKm, productId }, ds = repository.get()) {
+  const cells = new Map(); // "geohash|produto" -> linha
+  await log.each((rec) => {
+    if (!PRODUCT_TYPES.includes(rec.tipo) || !rec.geohash) return;
+    for (const id of rec.produtos || []) {
+      if (productId !== undefined && id !== productId) continue;
+      if (!ds.productById.has(id)) continue; // produto fora do catálogo: ver zeroResults
+      const key = `${rec.geohash}|${id}`;
+      let row = cells.get(key);
+      if (!row) {
+        const center = decodeGeohash(rec.geohash);
+        if (!center) continue;
+        row = { geohash: rec.geohash, latitude: +center.lat.toFixed(4), longitude: +center.lon.toFixed(4), produto_id: id, nome: productName(id, ds), buscas: 0 };
+        cells.set(key, row);
+      }
+      row.buscas++;
+    }
+  }, { since });
+
+  const regioes = [];
+  for (const row of cells.values()) {
+    const near = repository.nearestPdvs(row.latitude, row.longitude, { productId: row.produto_id, limit: 1 }, ds);
+    const km = near.items[0]?.distanceKm;
+    if (km !== undefined && km <= radiusKm) continue;
+    regioes.push({ ...row, pdv_mais_proximo_km: km === undefined ? null : +km.toFixed(1) });
+  }
+  regioes.sort((a, b) => b.buscas - a.buscas || a.geohash.localeCompare(b.geohash));
+  return {
+    desde: new Date(since).toISOString(),
+    raio_km: radiusKm,
+    total: regioes.length,
+    regioes: regioes.slice(0, limit)
+  };
+}
+
+module.exports = { topSearches, zeroResults, uncoveredDemand };
@@ -0,0 +1,129 @@
+// lib/sell-out.js — ingestão do arquivo diário de sell-out (vendas/estoque por PDV e produto)
+//
+// CSV com ';' ou ',' (com ou sem BOM); cabeçalhos reconhecidos em SELL_OUT_ALIASES:
+//   pdv_id;produto_id;data;quantidade;estoque;status
+// Cada linha confirma o par PDV↔produto na data da linha (ou na data padrão):
+//   - status informado vale;
+//   - senão estoque 0 = ruptura; venda ou estoque > 0 = disponivel;
+//   - sem venda e sem estoque a linha não diz nada (sem_informacao).
+// Confirmação mais antiga que a registrada não sobrescreve (arquivo reenviado
+// fora de ordem). Par ainda sem vínculo é criado: o PDV trabalha com o produto.
+
+const config = require('./config');
+const { parseCsvText } = require('./csv');
+const { norm, toNum } = require('./util');
+const { HttpError } = require('./errors');
+const { canonicalRow } = require('./importer');
+const { localDate, parseDate, parseStatus } = require('./availability');
+const repository = require('./repository');
+
+const SOURCE = 'sell_out';
+const MAX_REPORTED_ERRORS = 1000;
+
+const SELL_OUT_ALIASES = {
+  pdv_id: ['pdv_id', 'id_pdv', 'cod_pdv', 'codigo_pdv', 'loja', 'cod_loja', 'cod_cliente'],
+  produto_id: ['produto_id', 'id_produto', 'cod_produto', 'sku', 'ean', 'codigo'],
+  data: ['data', 'dia', 'data_venda', 'data_movimento'],
+  quantidade: ['quantidade', 'qtd', 'qtde', 'vendas', 'venda', 'unidades'],
+  estoque: ['estoque', 'saldo', 'saldo_estoque'],
+  status: ['status', 'situacao']
+};
+
+/**
+ * Linha canônica -> { pdv_id, produto_id, status, confirmado_em } | { erros } | null (sem informação).
+ * Produto pode vir por código antigo/EAN (resolvido no dataset).
+ */
+function readLine(row, defaultDate, ds) {
+  const erros = [];
+  const pdv_id = norm(row.pdv_id);
+  const rawProduct = norm(row.produto_id);
+  if (!pdv_id) erros.push({ campo: 'pdv_id', mensagem: 'obrigatório' });
+  else if (!ds.pdvById.has(pdv_id)) erros.push({ campo: 'pdv_id', mensagem: `PDV ${pdv_id} não existe` });
+  const produto_id = rawProduct && repository.resolveProductId(rawProduct, ds);
+  if (!rawProduct) erros.push({ campo: 'produto_id', mensagem: 'obrigatório' });
+  else if (!ds.productById.has(produto_id)) erros.push({ campo: 'produto_id', mensagem: `produto ${rawProduct} não existe` });
+
+  const confirmado_em = row.data ? parseDate(row.data) : defaultDate;
+  if (!confirmado_em) erros.push({ campo: 'data', mensagem: 'use AAAA-MM-DD ou DD/MM/AAAA' });
+  const quantidade = row.quantidade ? toNum(row.quantidade) : null;
+  const estoque = row.estoque ? toNum(row.estoque) : null;
+  if (Number.isNaN(quantidade)) erros.push({ campo: 'quantidade', mensagem: 'deve ser um número' });
+  if (Number.isNaN(estoque)) erros.push({ campo: 'estoque', mensagem: 'deve ser um número' });
+  let status = null;
+  if (row.status) {
+    status = parseStatus(row.status);
+    if (!status) erros.push({ campo: 'status', mensagem: 'use disponivel, ruptura ou descontinuado' });
+  }
+  if (erros.length) return { erros };
+
+  if (!status) {
+    if (estoque === 0) status = 'ruptura';
+    else if (quantidade > 0 || estoque > 0) status = 'disponivel';
+    else return null;
+  }
+  return { pdv_id, produto_id, status, confirmado_em };
+}
+
+/** Aplica as linhas nas tabelas `t` (mutação) e preenche o relatório. */
+function applyLines(lines, t, ds, report) {
+  // vínculo gravado pelo código antigo é o mesmo par do produto canônico
+  const byPair = new Map(t.pdvProdutos.map(r => [repository.pairKey(r.pdv_id, repository.resolveProductId(r.produto_id, ds)), r]));
+  lines.forEach((row, i) => {
+    const linha = i + 2; // 1 = cabeçalho
+    const out = readLine(row, report.data_padrao, ds);
+    if (!out) { report.resumo.sem_informacao++; return; }
+    if (out.erros) {
+      report.resumo.com_erro++;
+      if (report.erros.length < MAX_REPORTED_ERRORS) report.erros.push({ linha, erros: out.erros });
+      return;
+    }
+    const { pdv_id, produto_id, status, confirmado_em } = out;
+    const key = repository.pairKey(pdv_id, produto_id);
+    const existing = byPair.get(key);
+    if (!existing) {
+      const created = { pdv_id, produto_id, status, confirmado_em, fonte: SOURCE };
+      t.pdvProdutos.push(created);
+      byPair.set(key, created);
+      report.resumo.criados++;
+    } else if (existing.confirmado_em && existing.confirmado_em > confirmado_em) {
+      report.resumo.mais_antigos++;
+    } else if (existing.status === status && existing.confirmado_em === confirmado_em && existing.fonte === SOURCE) {
+      report.resumo.inalterados++;
+    } else {
+      Object.assign(existing, { status, confirmado_em, fonte: SOURCE });
+      report.resumo.atualizados++;
+    }
+  });
+}
+
+/**
+ * Processa o arquivo. Em `dryRun` só devolve o relatório; senão grava e troca
+ * o dataset de uma vez (repository.mutate).
+ * @param {{ text: string, data?: string, dryRun?: boolean }} input data: padrão das linhas sem data (hoje)
+ */
+async function runSellOut({ text, data, dryRun = false }) {
+  if (!String(text ?? '').trim()) throw new HttpError(400, 'Arquivo de sell-out vazio.');
+  const data_padrao = data ? parseDate(data) : localDate(new Date(), config.PDV_TIMEZONE);
+  if (!data_padrao) throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: 'data', mensagem: 'use AAAA-MM-DD' }]);
+
+  const lines = (await parseCsvText(text)).map(r => canonicalRow(r, SELL_OUT_ALIASES));
+  if (lines.length && !lines.some(l => l.pdv_id || l.produto_id)) {
+    throw new HttpError(400, 'Cabeçalho não reconhecido: informe ao menos pdv_id e produto_id.');
+  }
+  const report = {
+    dry_run: dryRun,
+    data_padrao,
+    resumo: { linhas: lines.length, criados: 0, atualizados: 0, inalterados: 0, mais_antigos: 0, sem_informacao: 0, com_erro: 0 },
+    erros: []
+  };
+
+  if (dryRun) {
+    const ds = repository.get();
+    applyLines(lines, repository.toTables(ds), ds, report);
+    return report;
+  }
+  await repository.mutate((t, before) => applyLines(lines, t, before, report));
+  return report;
+}
+
+module.exports = { SELL_OUT_ALIASES, runSellOut };
@@ -0,0 +1,183 @@
+// lib/spatial-index.js — grade lat/lon para consultas de vizinhos mais próximos
+//
+// Os pontos ficam em células de CELL_DEG graus. A busca k-NN varre anéis de
+// células ao redor do ponto consultado e para quando os k melhores já estão
+// mais perto do que qualquer ponto dos anéis ainda não visitados.
+
+const { haversineKm, hasCoords } = require('./geo');
+
+const CELL_DEG = 0.05;          // ~5,5 km de latitude
+const KM_PER_DEG = 111.19;
+
+function cellOf(lat, lon, cellDeg) {
+  return [Math.floor(lat / cellDeg), Math.floor(lon / cellDeg)];
+}
+
+/**
+ * Cria o índice a partir de itens com `latitude`/`longitude` (os sem coordenada são ignorados).
+ * @template T
+ * @param {T[]} items
+ */
+function createSpatialIndex(items = [], { cellDeg = CELL_DEG } = {}) {
+  /** "linha:coluna" -> itens da célula */
+  const cells = new Map();
+  let size = 0;
+  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+
+  function insert(item) {
+    if (!hasCoords(item)) return false;
+    const [row, col] = cellOf(item.latitude, item.longitude, cellDeg);
+    const key = `${row}:${col}`;
+    let bucket = cells.get(key);
+    if (!bucket) cells.set(key, (bucket = []));
+    bucket.push(item);
+    size++;
+    minRow = Math.min(minRow, row); maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col); maxCol = Math.max(maxCol, col);
+    return true;
+  }
+
+  function remove(item) {
+    if (!hasCoords(item)) return false;
+    const [row, col] = cellOf(item.latitude, item.longitude, cellDeg);
+    const bucket = cells.get(`${row}:${col}`);
+    const i = bucket ? bucket.indexOf(item) : -1;
+    if (i < 0) return false;
+    bucket.splice(i, 1);
+    if (!bucket.length) cells.delete(`${row}:${col}`);
+    size--;
+    return true;
+  }
+
+  for (const item of items) insert(item);
+
+  /** Distância mínima (km) de qualquer ponto fora dos anéis 0..ring já varridos. */
+  function ringLowerBoundKm(lat, ring) {
+    const maxAbsLat = Math.min(89, Math.abs(lat) + (ring + 1) * cellDeg);
+    const lonKm = KM_PER_DEG * Math.cos((maxAbsLat * Math.PI) / 180);
+    return ring * cellDeg * Math.min(KM_PER_DEG, lonKm);
+  }
+
+  function scanCell(row, col, lat, lon, filter, out) {
+    const bucket = cells.get(`${row}:${col}`);
+    if (!bucket) return;
+    for (const item of bucket) {
+      if (filter && !filter(item)) continue;
+      out.push({ item, distanceKm: haversineKm(lat, lon, item.latitude, item.longitude) });
+    }
+  }
+
+  function scanRing(r0, c0, ring, lat, lon, filter, out) {
+    if (ring === 0) return scanCell(r0, c0, lat, lon, filter, out);
+    for (let c = c0 - ring; c <= c0 + ring; c++) {
+      scanCell(r0 - ring, c, lat, lon, filter, out);
+      scanCell(r0 + ring, c, lat, lon, filter, out);
+    }
+    for (let r = r0 - ring + 1; r <= r0 + ring - 1; r++) {
+      scanCell(r, c0 - ring, lat, lon, filter, out);
+      scanCell(r, c0 + ring, lat, lon, filter, out);
+    }
+  }
+
+  /** Todos os itens a até `radiusKm` — só as células que tocam o quadrado do raio. */
+  function withinRadius(lat, lon, radiusKm, filter) {
+    const dLat = radiusKm / KM_PER_DEG;
+    const cosLat = Math.max(0.01, Math.cos((Math.min(89, Math.abs(lat) + dLat) * Math.PI) / 180));
+    const dLon = radiusKm / (KM_PER_DEG * cosLat);
+    const [rMin, cMin] = cellOf(lat - dLat, lon - dLon, cellDeg);
+    const [rMax, cMax] = cellOf(lat + dLat, lon + dLon, cellDeg);
+    const out = [];
+    if ((rMax - rMin + 1) * (cMax - cMin + 1) > cells.size) {
+      // raio grande: mais barato percorrer só as células ocupadas
+      for (const key of cells.keys()) {
+        const [r, c] = key.split(':').map(Number);
+        if (r >= rMin && r <= rMax && c >= cMin && c <= cMax) scanCell(r, c, lat, lon, filter, out);
+      }
+    } else {
+      for (let r = rMin; r <= rMax; r++) {
+        for (let c = cMin; c <= cMax; c++) scanCell(r, c, lat, lon, filter, out);
+      }
+    }
+    return out.filter(h => h.distanceKm <= radiusKm);
+  }
+
+  /**
+   * Todos os itens dentro do retângulo [minLat, maxLat, minLon, maxLon] (viewport do mapa).
+   * @returns {T[]}
+   */
+  function withinBox([minLat, maxLat, minLon, maxLon], filter) {
+    const [rMin, cMin] = cellOf(minLat, minLon, cellDeg);
+    const [rMax, cMax] = cellOf(maxLat, maxLon, cellDeg);
+    const out = [];
+    const scan = (bucket) => {
+      if (!bucket) return;
+      for (const item of bucket) {
+        if (item.latitude < minLat || item.latitude > maxLat || item.longitude < minLon || item.longitude > maxLon) continue;
+        if (!filter || filter(item)) out.push(item);
+      }
+    };
+    if ((rMax - rMin + 1) * (cMax - cMin + 1) > cells.size) {
+      // viewport grande (o país inteiro): mais barato percorrer só as células ocupadas
+      for (const [key, bucket] of cells) {
+        const [r, c] = key.split(':').map(Number);
+        if (r >= rMin && r <= rMax && c >= cMin && c <= cMax) scan(bucket);
+      }
+    } else {
+      for (let r = rMin; r <= rMax; r++) {
+        for (let c = cMin; c <= cMax; c++) scan(cells.get(`${r}:${c}`));
+      }
+    }
+    return out;
+  }
+
+  function countMatching(filter) {
+    if (!filter) return size;
+    let n = 0;
+    for (const bucket of cells.values()) for (const item of bucket) if (filter(item)) n++;
+    return n;
+  }
+
+  /**
+   * k vizinhos mais próximos de (lat, lon), paginados.
+   * @param {{ limit?: number, offset?: number, radiusKm?: number, filter?: (item:T)=>boolean }} [opts]
+   * @returns {{ total: number, items: Array<{ item: T, distanceKm: number }> }}
+   */
+  function nearest(lat, lon, { limit = 20, offset = 0, radiusKm, filter } = {}) {
+    const byDistance = (a, b) => a.distanceKm - b.distanceKm;
+
+    if (Number.isFinite(radiusKm)) {
+      const hits = withinRadius(lat, lon, radiusKm, filter).sort(byDistance);
+      return { total: hits.length, items: hits.slice(offset, offset + limit) };
+    }
+
+    const total = countMatching(filter);
+    const needed = Math.min(offset + limit, total);
+    const hits = [];
+    if (needed > 0) {
+      const [r0, c0] = cellOf(lat, lon, cellDeg);
+      const maxRing = Math.max(
+        Math.abs(r0 - minRow), Math.abs(r0 - maxRow),
+        Math.abs(c0 - minCol), Math.abs(c0 - maxCol)
+      );
+      for (let ring = 0; ring <= maxRing; ring++) {
+        scanRing(r0, c0, ring, lat, lon, filter, hits);
+        if (hits.length < needed) continue;
+        hits.sort(byDistance);
+        if (hits[needed - 1].distanceKm <= ringLowerBoundKm(lat, ring)) break;
+      }
+      hits.sort(byDistance);
+    }
+    return { total, items: hits.slice(offset, offset + limit) };
+  }
+
+  return {
+    insert,
+    remove,
+    nearest,
+    withinRadius,
+    withinBox,
+    get size() { return size; }
+  };
+}
+
+module.exports = { CELL_DEG, createSpatialIndex };
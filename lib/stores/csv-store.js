@@ -0,0 +1,62 @@
+// lib/stores/csv-store.js — persistência do dataset nos três CSVs
+//
+// Store: { name, files?, load(), save(tables) }
+//   files   -> arquivos de onde load() lê (observados para recarga a quente)
+//   load()  -> { products, pdvs, pdvProdutos, aliases, pins, atributos } (linhas cruas, cabeçalhos normalizados)
+//   save()  -> grava as tabelas inteiras; os três arquivos são trocados juntos (temp + rename)
+
+const fs = require('fs');
+const config = require('../config');
+const { logger } = require('../logger');
+const { readCsv, toCsv, writeFilesAtomic } = require('../csv');
+
+const PRODUCT_COLUMNS = ['id', 'nome', 'volume', 'em_destaque', 'imagem_url', 'produto_url', 'linha', 'sabor', 'categoria', 'ativo'];
+const PDV_COLUMNS = ['id', 'nome', 'rua', 'bairro', 'cidade', 'cep', 'estado'];
+const PDV_PROD_COLUMNS = ['pdv_id', 'produto_id', 'status', 'confirmado_em', 'fonte'];
+const ALIAS_COLUMNS = ['alias', 'produto_id', 'tipo'];
+const PIN_COLUMNS = ['pdv_id', 'latitude', 'longitude', 'motivo', 'atualizado_em'];
+const ATTR_COLUMNS = ['pdv_id', 'horario', 'telefone', 'rede', 'tipo', 'freezer'];
+
+async function readCsvIfExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    logger.warn('Ignorando carga: arquivo não existe.', { arquivo: filePath });
+    return [];
+  }
+  return readCsv(filePath);
+}
+
+function createCsvStore(files = config) {
+  return {
+    name: 'csv',
+    geocodeCacheFile: files.GEOCODE_CACHE_FILE,
+    files: [files.PRODUCTS_FILE, files.PDVS_FILE, files.PDV_PROD_FILE, files.PRODUCT_ALIASES_FILE, files.PDV_PINS_FILE, files.PDV_ATTRS_FILE],
+
+    async load() {
+      const [products, pdvs, pdvProdutos, aliases, pins, atributos] = await Promise.all([
+        readCsvIfExists(files.PRODUCTS_FILE),
+        readCsvIfExists(files.PDVS_FILE),
+        readCsvIfExists(files.PDV_PROD_FILE),
+        readCsvIfExists(files.PRODUCT_ALIASES_FILE),
+        fs.existsSync(files.PDV_PINS_FILE) ? readCsv(files.PDV_PINS_FILE) : [], // opcional: só existe depois do 1º ajuste manual
+        fs.existsSync(files.PDV_ATTRS_FILE) ? readCsv(files.PDV_ATTRS_FILE) : []
+      ]);
+      return { products, pdvs, pdvProdutos, aliases, pins, atributos };
+    },
+
+    async save({ products, pdvs, pdvProdutos, aliases = [], pins = [], atributos = [] }) {
+      const productRows = products.map(p => ({
+        ...p, em_destaque: p.em_destaque ? 'TRUE' : 'FALSE', ativo: p.ativo === false ? 'FALSE' : 'TRUE'
+      }));
+      writeFilesAtomic([
+        { file: files.PRODUCTS_FILE, content: toCsv(PRODUCT_COLUMNS, productRows) },
+        { file: files.PDVS_FILE, content: toCsv(PDV_COLUMNS, pdvs) },
+        { file: files.PDV_PROD_FILE, content: toCsv(PDV_PROD_COLUMNS, pdvProdutos) },
+        { file: files.PRODUCT_ALIASES_FILE, content: toCsv(ALIAS_COLUMNS, aliases) },
+        { file: files.PDV_PINS_FILE, content: toCsv(PIN_COLUMNS, pins) },
+        { file: files.PDV_ATTRS_FILE, content: toCsv(ATTR_COLUMNS, atributos) }
+      ]);
+    }
+  };
+}
+
+module.exports = { PRODUCT_COLUMNS, PDV_COLUMNS, PDV_PROD_COLUMNS, ALIAS_COLUMNS, PIN_COLUMNS, ATTR_COLUMNS, createCsvStore };
@@ -0,0 +1,54 @@
+// lib/travel.js — reordena os PDVs mais próximos em linha reta pelo tempo de rota
+//
+// A busca continua no índice espacial (haversine); com ?rota=carro|a_pe os
+// ROUTING_CANDIDATES primeiros vão ao roteador (lib/routing) e voltam ordenados
+// pelo tempo: no litoral a loja "mais perto" pode estar do outro lado da ponte
+// ou da baía. Sem roteador, ou com ele fora do ar, a ordem em linha reta fica e
+// a resposta diz que a rota não foi calculada.
+
+const config = require('./config');
+const { routerFromEnv } = require('./routing');
+
+let router = routerFromEnv();
+
+/** Troca o roteador (testes). */
+function setRouter(r) { router = r; }
+function getRouter() { return router; }
+
+/**
+ * Janela a pedir ao índice: sem perfil, a própria página; com perfil, do
+ * início até o fim da página, e no mínimo `candidates` itens para reordenar.
+ * @param {{ radiusKm?: number, limit: number, offset: number }} paging
+ */
+function candidateWindow(paging, perfil, candidates = config.ROUTING_CANDIDATES) {
+  if (!perfil) return paging;
+  return { radiusKm: paging.radiusKm, offset: 0, limit: Math.max(candidates, paging.offset + paging.limit) };
+}
+
+/** Menor tempo primeiro; sem rota vai para o fim do grupo; empate mantém a linha reta. */
+function byTime(a, b) {
+  if (!a.rota || !b.rota) return (a.rota ? 0 : 1) - (b.rota ? 0 : 1);
+  return a.rota.tempoMin - b.rota.tempoMin;
+}
+
+/**
+ * Página de `items` (janela de candidateWindow, em ordem de linha reta) com
+ * `rota: { distanciaKm, tempoMin } | null` em cada um.
+ * @param {{ lat: number, lon: number }} origem
+ * @param {{ item: object, distanceKm: number }[]} items
+ * @param {{ perfil: string, paging: { limit: number, offset: number }, candidates?: number,
+ *           compare?: (a: object, b: object) => number }} opts compare: critério antes do tempo (ex.: cobertura)
+ * @returns {Promise<{ status: string, items: object[] }>} status: o perfil, ou 'indisponivel'
+ */
+async function rankByRoute(origem, items, { perfil, paging, candidates = config.ROUTING_CANDIDATES, compare = () => 0 }) {
+  const page = (list) => list.slice(paging.offset, paging.offset + paging.limit);
+  const head = items.slice(0, candidates);
+  const routes = await router.matrix(origem, head.map(({ item }) => ({ lat: item.latitude, lon: item.longitude })), perfil);
+  if (!routes) return { status: 'indisponivel', items: page(items).map(h => ({ ...h, rota: null })) };
+
+  const routed = head.map((h, i) => ({ ...h, rota: routes[i] })).sort((a, b) => compare(a, b) || byTime(a, b));
+  const rest = items.slice(candidates).map(h => ({ ...h, rota: null }));
+  return { status: perfil, items: page([...routed, ...rest]) };
+}
+
+module.exports = { setRouter, getRouter, candidateWindow, rankByRoute };
@@ -0,0 +1,45 @@
+// lib/util.js — helpers de texto/número compartilhados
+
+function norm(s) { return String(s ?? '').trim(); }
+
+/** trim + espaços internos colapsados ("PIC. COBERTURA  TORPEDO " -> "PIC. COBERTURA TORPEDO") */
+function normText(s) { return norm(s).replace(/\s+/g, ' '); }
+
+/** Remove acentos/diacríticos ("AÇÚCAR" -> "ACUCAR"). */
+function foldAccents(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function onlyDigits(s, max) {
+  const d = String(s ?? '').replace(/\D/g, '');
+  return max ? d.slice(0, max) : d;
+}
+
+/** Aceita vírgula decimal ("-26,9") — devolve NaN se não for número. */
+function toNum(v) {
+  if (v == null || v === '') return NaN;
+  const n = Number(String(v).replace(',', '.'));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+const TRUE_VALUES = new Set(['true', '1', 'sim', 's', 'yes']);
+const FALSE_VALUES = new Set(['false', '0', 'nao', 'n', 'no']);
+
+/**
+ * Booleano de query, CSV ou JSON: true/false, 1/0, sim/não, s/n, yes/no (sem
+ * caixa nem acento). Devolve null se não for nenhum deles.
+ */
+function parseBoolean(v) {
+  if (typeof v === 'boolean') return v;
+  const s = foldAccents(norm(v)).toLowerCase();
+  if (TRUE_VALUES.has(s)) return true;
+  if (FALSE_VALUES.has(s)) return false;
+  return null;
+}
+
+/** Trecho de URL: sem acento, minúsculo, hífen no lugar do resto ("SÃO JOSÉ" -> "sao-jose"). */
+function slugify(s) {
+  return foldAccents(norm(s)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = { norm, normText, foldAccents, onlyDigits, toNum, parseBoolean, slugify };
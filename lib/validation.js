@@ -0,0 +1,142 @@
+// lib/validation.js — validação dos cadastros de PDV e produto (API admin)
+
+const { normText, onlyDigits, toNum, parseBoolean } = require('./util');
+const { BRAZIL_BBOX, insideBox } = require('./geo');
+const { parseOpeningHours } = require('./opening-hours');
+const { chainKey, parsePhone, parseType, parseFreezer } = require('./pdv-attributes');
+const { parseCategory } = require('./product-catalog');
+const { AVAILABILITY_STATUSES, AVAILABILITY_SOURCES, parseDate, parseStatus, parseSource } = require('./availability');
+
+const UFS = new Set([
+  'AC','AL','AP','AM','BA','CE','DF','ES','GO','MA','MT','MS','MG','PA',
+  'PB','PR','PE','PI','RJ','RN','RS','RO','RR','SC','SP','SE','TO'
+]);
+const ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Aplica as regras campo a campo.
+ * Em `partial` (PATCH) só valida o que veio; campos obrigatórios ausentes passam.
+ * @returns {{ value: object, erros: Array<{ campo: string, mensagem: string }> }}
+ */
+function runRules(input, rules, { partial = false } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const erros = [];
+  for (const [campo, rule] of Object.entries(rules)) {
+    const present = body[campo] !== undefined && body[campo] !== null && body[campo] !== '';
+    if (!present) {
+      if (rule.required && !partial) erros.push({ campo, mensagem: 'obrigatório' });
+      else if (!partial && rule.default !== undefined) value[campo] = rule.default;
+      continue;
+    }
+    const out = rule.parse(body[campo]);
+    if (out.erro) erros.push({ campo, mensagem: out.erro });
+    else value[campo] = out.value;
+  }
+  return { value, erros };
+}
+
+const text = (max) => (v) => {
+  const s = normText(v);
+  return s.length > max ? { erro: `máximo de ${max} caracteres` } : { value: s };
+};
+
+const PDV_RULES = {
+  id: { required: true, parse: (v) => ID_RE.test(String(v).trim()) ? { value: String(v).trim() } : { erro: 'use até 32 letras, números, - ou _' } },
+  nome: { required: true, parse: text(120) },
+  rua: { default: '', parse: text(200) },
+  bairro: { default: '', parse: text(120) },
+  cidade: { required: true, parse: text(120) },
+  cep: {
+    required: true,
+    parse: (v) => {
+      const s = String(v).trim();
+      const d = onlyDigits(s);
+      return /^\d{5}-?\d{3}$/.test(s) && d.length === 8 ? { value: d } : { erro: 'CEP deve ter 8 dígitos' };
+    }
+  },
+  estado: {
+    required: true,
+    parse: (v) => {
+      const uf = String(v).trim().toUpperCase();
+      return UFS.has(uf) ? { value: uf } : { erro: 'UF inválida' };
+    }
+  }
+};
+
+const url = (v) => {
+  const s = String(v).trim();
+  return isHttpUrl(s) ? { value: s } : { erro: 'URL http(s) inválida' };
+};
+
+const bool = (v) => {
+  const b = parseBoolean(v);
+  return b === null ? { erro: 'use true ou false' } : { value: b };
+};
+
+// linha/sabor/categoria vazios = deduzidos do nome (lib/product-catalog.js)
+const PRODUCT_RULES = {
+  id: PDV_RULES.id,
+  nome: { required: true, parse: text(120) },
+  volume: { default: '', parse: text(20) },
+  em_destaque: { default: false, parse: bool },
+  imagem_url: { default: null, parse: url },
+  produto_url: { default: null, parse: url },
+  linha: { default: '', parse: text(60) },
+  sabor: { default: '', parse: text(120) },
+  categoria: { default: '', parse: parseCategory },
+  ativo: { default: true, parse: bool }
+};
+
+const coord = (min, max) => (v) => {
+  const n = toNum(v);
+  return Number.isFinite(n) && n >= min && n <= max ? { value: n } : { erro: `número entre ${min} e ${max}` };
+};
+
+// coordenada manual (auditoria): precisa cair no Brasil; a UF é só aviso
+const PIN_RULES = {
+  latitude: { required: true, parse: coord(-90, 90) },
+  longitude: { required: true, parse: coord(-180, 180) },
+  motivo: { default: null, parse: text(200) }
+};
+
+// atributos opcionais do PDV (pdvs_atributos.csv); ausente = não informado
+const ATTR_RULES = {
+  horario: { default: null, parse: (v) => parseOpeningHours(String(v)) },
+  telefone: { default: null, parse: parsePhone },
+  rede: { default: null, parse: (v) => { const r = text(60)(v); return r.erro ? r : { value: chainKey(r.value) }; } },
+  tipo: { default: null, parse: parseType },
+  freezer: { default: null, parse: parseFreezer }
+};
+
+// disponibilidade do vínculo PDV↔produto informada à mão; confirmado_em padrão = hoje (na rota)
+const AVAILABILITY_RULES = {
+  status: { required: true, parse: (v) => parseStatus(v) ? { value: parseStatus(v) } : { erro: `use ${AVAILABILITY_STATUSES.join(', ')}` } },
+  fonte: { default: 'visita', parse: (v) => parseSource(v) ? { value: parseSource(v) } : { erro: `use ${AVAILABILITY_SOURCES.join(', ')}` } },
+  confirmado_em: { default: null, parse: (v) => parseDate(v) ? { value: parseDate(v) } : { erro: 'use AAAA-MM-DD ou DD/MM/AAAA' } }
+};
+
+function validatePdv(input, opts) { return runRules(input, PDV_RULES, opts); }
+function validateAttributes(input, opts) { return runRules(input, ATTR_RULES, opts); }
+function validateProduct(input, opts) { return runRules(input, PRODUCT_RULES, opts); }
+function validateAvailability(input) { return runRules(input, AVAILABILITY_RULES); }
+
+function validatePin(input) {
+  const out = runRules(input, PIN_RULES);
+  const { latitude, longitude } = out.value;
+  if (!out.erros.length && !insideBox(latitude, longitude, BRAZIL_BBOX, 0.5)) {
+    out.erros.push({ campo: 'latitude', mensagem: 'coordenada fora do Brasil (latitude/longitude trocadas?)' });
+  }
+  return out;
+}
+
+module.exports = { UFS, ID_RE, isHttpUrl, validatePdv, validateProduct, validatePin, validateAttributes, validateAvailability };
@@ -0,0 +1,72 @@
+// lib/watch.js — observa arquivos de dados e avisa quando mudam por fora do processo
+//
+// Observa o diretório, não o arquivo: a gravação atômica (temp + rename) troca o
+// inode e um fs.watch no arquivo deixaria de disparar. Eventos são agrupados
+// (debounce) e só contam se tamanho/mtime mudaram; o que o próprio processo
+// gravou (markOwnWrite) não dispara recarga.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/** "tamanho:mtime" do arquivo, ou "ausente". */
+function fileStamp(file) {
+  try {
+    const st = fs.statSync(file);
+    return `${st.size}:${st.mtimeMs}`;
+  } catch {
+    return 'ausente';
+  }
+}
+
+/** arquivo -> stamp da última gravação feita por este processo */
+const ownWrites = new Map();
+
+function markOwnWrite(files) {
+  for (const f of files) ownWrites.set(path.resolve(f), fileStamp(f));
+}
+
+/**
+ * @param {string[]} files
+ * @param {(changed: string[]) => void} onChange chamado com os arquivos alterados por fora
+ * @param {{ debounceMs?: number }} [opts]
+ * @returns {{ close(): void }}
+ */
+function watchFiles(files, onChange, { debounceMs = 1000 } = {}) {
+  const list = [...new Set(files.map(f => path.resolve(f)))];
+  const stamps = new Map(list.map(f => [f, fileStamp(f)]));
+  let timer = null;
+
+  function check() {
+    timer = null;
+    const changed = [];
+    for (const f of list) {
+      const s = fileStamp(f);
+      if (s === stamps.get(f)) continue;
+      stamps.set(f, s);
+      if (ownWrites.get(f) !== s) changed.push(f);
+    }
+    if (changed.length) onChange(changed);
+  }
+
+  const watchers = [];
+  for (const dir of new Set(list.map(f => path.dirname(f)))) {
+    const names = new Set(list.filter(f => path.dirname(f) === dir).map(f => path.basename(f)));
+    const w = fs.watch(dir, (event, name) => {
+      if (name && !names.has(String(name))) return;
+      clearTimeout(timer);
+      timer = setTimeout(check, debounceMs);
+    });
+    w.on('error', err => logger.warn('Observação de diretório falhou.', { diretorio: dir, erro: err.message }));
+    watchers.push(w);
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+    }
+  };
+}
+
+module.exports = { fileStamp, markOwnWrite, watchFiles };
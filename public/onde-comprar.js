@@ -0,0 +1,106 @@
+/*
+ * public/onde-comprar.js — comportamento da página /widget/onde-comprar
+ *
+ * Sem este script a página já funciona (formulário GET, lista vinda do
+ * servidor). Com ele: busca por CEP sem recarregar, botão de geolocalização e
+ * altura avisada ao widget.js da página de fora. As buscas usam
+ * /v1/pdvs/proximos/produtos (mesma lógica de proximidade da API) e a lista é
+ * montada com a mesma marcação de lib/pages.js, só com textContent.
+ */
+(function () {
+  'use strict';
+
+  var root = document.getElementById('onde-comprar');
+  if (!root) return;
+
+  var form = root.querySelector('form');
+  var cepInput = form.querySelector('input[name="cep"]');
+  var locate = root.querySelector('[data-acao="localizar"]');
+  var status = root.querySelector('.mensagem');
+  var list = root.querySelector('.resultados');
+  var produto = root.getAttribute('data-produto');
+  var limite = root.getAttribute('data-limite') || '5';
+  var chave = root.getAttribute('data-chave');
+
+  function postHeight() {
+    if (window.parent === window) return;
+    window.parent.postMessage({ tipo: 'onde-comprar:altura', altura: document.documentElement.scrollHeight }, '*');
+  }
+
+  function formatKm(km) {
+    return km.toLocaleString('pt-BR', { maximumFractionDigits: km < 10 ? 1 : 0 }) + ' km';
+  }
+
+  function mapsUrl(pdv) {
+    var destination = typeof pdv.latitude === 'number' && typeof pdv.longitude === 'number'
+      ? pdv.latitude + ',' + pdv.longitude : pdv.endereco;
+    return 'https://www.google.com/maps/dir/?api=1&destination=' + encodeURIComponent(destination);
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function show(message, pdvs) {
+    status.textContent = message || '';
+    while (list.firstChild) list.removeChild(list.firstChild);
+    (pdvs || []).forEach(function (pdv) {
+      var li = el('li', 'pdv');
+      li.appendChild(el('span', 'pdv-nome', pdv.nome));
+      if (typeof pdv.distancia_km === 'number') {
+        li.appendChild(document.createTextNode(' '));
+        li.appendChild(el('span', 'pdv-dist', formatKm(pdv.distancia_km)));
+      }
+      li.appendChild(el('span', 'pdv-end', pdv.endereco));
+      var a = el('a', null, 'Como chegar');
+      a.href = mapsUrl(pdv);
+      a.target = '_blank';
+      a.rel = 'noopener';
+      li.appendChild(a);
+      list.appendChild(li);
+    });
+    postHeight();
+  }
+
+  function search(params) {
+    show('Buscando…');
+    var url = '/v1/pdvs/proximos/produtos?produtos=' + encodeURIComponent(produto) + '&limite=' + encodeURIComponent(limite) + '&' + params;
+    var headers = chave ? { 'X-Api-Key': chave } : {};
+    fetch(url, { headers: headers })
+      .then(function (r) {
+        return r.json().then(function (body) { return { status: r.status, body: body }; });
+      })
+      .then(function (r) {
+        if (r.status === 200) return show(r.body.length ? '' : 'Nenhum ponto de venda encontrado.', r.body);
+        show(r.status === 404 && r.body.codigo === 'cep_nao_encontrado' ? 'CEP não encontrado.'
+          : r.status === 429 ? 'Muitas buscas seguidas; tente de novo em instantes.'
+            : 'Não foi possível buscar agora.');
+      })
+      .catch(function () { show('Não foi possível buscar agora.'); });
+  }
+
+  form.addEventListener('submit', function (e) {
+    var cep = cepInput.value.replace(/\D/g, '');
+    if (cep.length !== 8) return;
+    e.preventDefault();
+    search('cep=' + cep);
+  });
+
+  if (navigator.geolocation) {
+    locate.hidden = false;
+    locate.addEventListener('click', function () {
+      show('Obtendo sua localização…');
+      navigator.geolocation.getCurrentPosition(function (pos) {
+        search('lat=' + pos.coords.latitude.toFixed(5) + '&lon=' + pos.coords.longitude.toFixed(5));
+      }, function () {
+        show('Não foi possível obter sua localização; informe o CEP.');
+      }, { timeout: 10000, maximumAge: 600000 });
+    });
+  }
+
+  if (window.ResizeObserver) new ResizeObserver(postHeight).observe(document.body);
+  postHeight();
+})();
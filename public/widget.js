@@ -0,0 +1,47 @@
+/*
+ * public/widget.js — embute o "onde comprar" numa página de terceiros
+ *
+ *   <script src="https://API/widget.js" data-produto="91801"
+ *           data-cor="#c8102e" data-tema="escuro" async></script>
+ *
+ * Cria um iframe para /widget/onde-comprar com os data-* como query (tema,
+ * limite, titulo, chave; ver lib/pages.js) logo depois da tag, ou dentro do
+ * elemento de data-alvo="#id". A altura acompanha o conteúdo (postMessage).
+ * ES5 de propósito: roda sem transpilar em qualquer página.
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script || !script.src) return;
+
+  var PARAMS = ['produto', 'cor', 'fundo', 'texto', 'tema', 'fonte', 'raio', 'limite', 'titulo', 'chave', 'cep'];
+  var origin = new URL(script.src).origin;
+  var query = [];
+  for (var i = 0; i < PARAMS.length; i++) {
+    var v = script.getAttribute('data-' + PARAMS[i]);
+    if (v) query.push(PARAMS[i] + '=' + encodeURIComponent(v));
+  }
+
+  var frame = document.createElement('iframe');
+  frame.src = origin + '/widget/onde-comprar?' + query.join('&');
+  frame.title = script.getAttribute('data-titulo') || 'Onde comprar';
+  frame.setAttribute('allow', 'geolocation');
+  frame.setAttribute('loading', 'lazy');
+  frame.style.width = '100%';
+  frame.style.height = (script.getAttribute('data-altura') || '420') + 'px';
+  frame.style.border = '0';
+
+  var target = script.getAttribute('data-alvo') && document.querySelector(script.getAttribute('data-alvo'));
+  if (target) target.appendChild(frame);
+  else script.parentNode.insertBefore(frame, script.nextSibling);
+
+  // só aceita a altura vinda deste iframe e desta origem
+  window.addEventListener('message', function (e) {
+    if (e.source !== frame.contentWindow || e.origin !== origin) return;
+    var data = e.data;
+    if (data && data.tipo === 'onde-comprar:altura' && typeof data.altura === 'number' && data.altura > 0) {
+      frame.style.height = Math.ceil(data.altura) + 'px';
+    }
+  });
+})();
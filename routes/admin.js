@@ -0,0 +1,413 @@
+// routes/admin.js — cadastro de PDVs, produtos e vínculos PDV↔produto
+//
+// Toda escrita passa por repository.mutate(): grava os CSVs de forma atômica e
+// reconstrói o dataset em memória (índice espacial, mapeamentos) antes de responder.
+
+const express = require('express');
+const repository = require('../lib/repository');
+const { requireAdmin } = require('../lib/auth');
+const { HttpError, asyncHandler } = require('../lib/errors');
+const { validatePdv, validateProduct, validatePin, validateAttributes, validateAvailability } = require('../lib/validation');
+const { ALIAS_TYPES, aliasKey } = require('../lib/aliases');
+const { runImport } = require('../lib/importer');
+const { runSellOut } = require('../lib/sell-out');
+const { searchLog } = require('../lib/search-log');
+const { topSearches, zeroResults, uncoveredDemand } = require('../lib/search-reports');
+const { ALERT_TYPES, auditPdvs } = require('../lib/geocode-audit');
+const { insideUf } = require('../lib/geo');
+const { parsePaging } = require('../lib/paging');
+const { describeOpeningHours, formatOpeningHours } = require('../lib/opening-hours');
+const { localDate, describeAvailability } = require('../lib/availability');
+const config = require('../lib/config');
+
+const BODY_LIMIT = '20mb'; // planilhas inteiras na importação
+
+const router = express.Router();
+router.use(requireAdmin);
+router.use(express.json({ limit: BODY_LIMIT }));
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: BODY_LIMIT }));
+
+// ======================== Helpers ========================
+function checkValid({ value, erros }) {
+  if (erros.length) throw new HttpError(400, 'Dados inválidos.', erros, 'dados_invalidos');
+  return value;
+}
+
+function findIndexOr404(list, id, what) {
+  const i = list.findIndex(r => r.id === id);
+  if (i < 0) throw new HttpError(404, `${what} não encontrado.`);
+  return i;
+}
+
+function pdvRecord(id, ds = repository.get()) {
+  const pdv = ds.pdvById.get(id);
+  if (!pdv) return null;
+  return {
+    ...pdv,
+    horario: describeOpeningHours(pdv.horario),
+    produtos: ds.productIdsByPdv.get(id) || [],
+    coordenada_manual: ds.pinByPdv.get(id) || null
+  };
+}
+
+function productIdsFromBody(body) {
+  const raw = Array.isArray(body?.produtos) ? body.produtos : [body?.produto_id];
+  const ids = [...new Set(raw.map(v => String(v ?? '').trim()).filter(Boolean))];
+  if (!ids.length) throw new HttpError(400, 'Informe produto_id ou produtos: [...].');
+  return ids;
+}
+
+/** Vínculo novo pelo cadastro: disponível, confirmado hoje. */
+function newLink(pdv_id, produto_id) {
+  return { pdv_id, produto_id, status: 'disponivel', confirmado_em: localDate(new Date(), config.PDV_TIMEZONE), fonte: 'cadastro' };
+}
+
+// aceita aliases (código antigo/EAN): devolve os ids canônicos, sem repetição,
+// para comparar com os vínculos gravados (que já estão no canônico)
+function canonicalProductIds(ids, ds) {
+  const unknown = ids.filter(id => !ds.productById.has(repository.resolveProductId(id, ds)));
+  if (unknown.length) {
+    throw new HttpError(400, 'Produto(s) inexistente(s).', unknown.map(id => ({ campo: 'produtos', mensagem: id })));
+  }
+  return [...new Set(ids.map(id => repository.resolveProductId(id, ds)))];
+}
+
+// ======================== PDVs ========================
+router.get('/pdvs/:id', (req, res) => {
+  const rec = pdvRecord(req.params.id);
+  if (!rec) throw new HttpError(404, 'PDV não encontrado.');
+  res.json(rec);
+});
+
+router.post('/pdvs', asyncHandler(async (req, res) => {
+  const pdv = checkValid(validatePdv(req.body));
+  await repository.mutate((t) => {
+    if (t.pdvs.some(p => p.id === pdv.id)) throw new HttpError(409, 'Já existe PDV com esse id.');
+    t.pdvs.push(pdv);
+  });
+  res.status(201).json(pdvRecord(pdv.id));
+}));
+
+// PUT substitui o cadastro inteiro; PATCH altera só os campos enviados
+router.put('/pdvs/:id', asyncHandler(async (req, res) => {
+  const pdv = checkValid(validatePdv({ ...req.body, id: req.params.id }));
+  await repository.mutate((t) => {
+    t.pdvs[findIndexOr404(t.pdvs, pdv.id, 'PDV')] = pdv;
+  });
+  res.json(pdvRecord(pdv.id));
+}));
+
+router.patch('/pdvs/:id', asyncHandler(async (req, res) => {
+  const changes = checkValid(validatePdv(req.body, { partial: true }));
+  delete changes.id;
+  await repository.mutate((t) => {
+    const i = findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    t.pdvs[i] = { ...t.pdvs[i], ...changes };
+  });
+  res.json(pdvRecord(req.params.id));
+}));
+
+router.delete('/pdvs/:id', asyncHandler(async (req, res) => {
+  await repository.mutate((t) => {
+    t.pdvs.splice(findIndexOr404(t.pdvs, req.params.id, 'PDV'), 1);
+    t.pdvProdutos = t.pdvProdutos.filter(r => r.pdv_id !== req.params.id);
+  });
+  res.status(204).end();
+}));
+
+// ======================== Atributos do PDV ========================
+// { horario, telefone, rede, tipo, freezer } — PUT troca todos (ausente = não
+// informado; sem rede, volta a valer a do nome); PATCH altera só os enviados.
+// horario: "seg-sex 08:00-22:00 | sab 08:00-20:00" (lib/opening-hours.js)
+function saveAttributes(id, attrs, { partial }) {
+  return repository.mutate((t) => {
+    findIndexOr404(t.pdvs, id, 'PDV');
+    const old = t.atributos.find(r => r.pdv_id === id);
+    const row = { ...(partial && old), ...attrs, pdv_id: id };
+    if (attrs.horario !== undefined) row.horario = formatOpeningHours(attrs.horario);
+    t.atributos = t.atributos.filter(r => r.pdv_id !== id).concat(row);
+  });
+}
+
+router.put('/pdvs/:id/atributos', asyncHandler(async (req, res) => {
+  await saveAttributes(req.params.id, checkValid(validateAttributes(req.body)), { partial: false });
+  res.json(pdvRecord(req.params.id));
+}));
+
+router.patch('/pdvs/:id/atributos', asyncHandler(async (req, res) => {
+  await saveAttributes(req.params.id, checkValid(validateAttributes(req.body, { partial: true })), { partial: true });
+  res.json(pdvRecord(req.params.id));
+}));
+
+// ======================== Produtos do PDV ========================
+router.get('/pdvs/:id/produtos', (req, res) => {
+  const ds = repository.get();
+  if (!ds.pdvById.has(req.params.id)) throw new HttpError(404, 'PDV não encontrado.');
+  const now = new Date();
+  res.json((ds.productIdsByPdv.get(req.params.id) || []).map(id => ({
+    ...(ds.productById.get(id) || { id }),
+    disponibilidade: describeAvailability(repository.availabilityOf(req.params.id, id, ds), now, config.AVAILABILITY_MAX_AGE_MS)
+  })));
+});
+
+// PUT troca a lista inteira; POST acrescenta (vínculo que já existia mantém a disponibilidade)
+router.put('/pdvs/:id/produtos', asyncHandler(async (req, res) => {
+  const raw = Array.isArray(req.body?.produtos) ? req.body.produtos.map(v => String(v ?? '').trim()).filter(Boolean) : null;
+  if (!raw) throw new HttpError(400, 'Informe produtos: [...].');
+  await repository.mutate((t, ds) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    const ids = canonicalProductIds(raw, ds);
+    const kept = new Map(t.pdvProdutos.filter(r => r.pdv_id === req.params.id).map(r => [r.produto_id, r]));
+    t.pdvProdutos = t.pdvProdutos
+      .filter(r => r.pdv_id !== req.params.id)
+      .concat(ids.map(produto_id => kept.get(produto_id) || newLink(req.params.id, produto_id)));
+  });
+  res.json(pdvRecord(req.params.id).produtos);
+}));
+
+router.post('/pdvs/:id/produtos', asyncHandler(async (req, res) => {
+  const raw = productIdsFromBody(req.body);
+  await repository.mutate((t, ds) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    const ids = canonicalProductIds(raw, ds);
+    const has = new Set(t.pdvProdutos.filter(r => r.pdv_id === req.params.id).map(r => r.produto_id));
+    for (const produto_id of ids) if (!has.has(produto_id)) t.pdvProdutos.push(newLink(req.params.id, produto_id));
+  });
+  res.status(201).json(pdvRecord(req.params.id).produtos);
+}));
+
+// Disponibilidade informada à mão (visita de campo, relato de consumidor)
+// { status: disponivel|ruptura|descontinuado, fonte?: visita|consumidor|…, confirmado_em?: AAAA-MM-DD }
+router.patch('/pdvs/:id/produtos/:produtoId', asyncHandler(async (req, res) => {
+  const { status, fonte, confirmado_em: date } = checkValid(validateAvailability(req.body));
+  const confirmado_em = date ?? localDate(new Date(), config.PDV_TIMEZONE);
+
+  let produtoId;
+  await repository.mutate((t, ds) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    produtoId = repository.resolveProductId(req.params.produtoId, ds);
+    const link = t.pdvProdutos.find(r => r.pdv_id === req.params.id && repository.resolveProductId(r.produto_id, ds) === produtoId);
+    if (!link) throw new HttpError(404, 'Produto não vinculado a esse PDV.');
+    Object.assign(link, { status, fonte, confirmado_em });
+  });
+  res.json(describeAvailability(repository.availabilityOf(req.params.id, produtoId), new Date(), config.AVAILABILITY_MAX_AGE_MS));
+}));
+
+router.delete('/pdvs/:id/produtos/:produtoId', asyncHandler(async (req, res) => {
+  await repository.mutate((t, ds) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    const produtoId = repository.resolveProductId(req.params.produtoId, ds);
+    const before = t.pdvProdutos.length;
+    t.pdvProdutos = t.pdvProdutos.filter(r => !(r.pdv_id === req.params.id && repository.resolveProductId(r.produto_id, ds) === produtoId));
+    if (t.pdvProdutos.length === before) throw new HttpError(404, 'Produto não vinculado a esse PDV.');
+  });
+  res.status(204).end();
+}));
+
+// ======================== Produtos ========================
+router.post('/produtos', asyncHandler(async (req, res) => {
+  const product = checkValid(validateProduct(req.body));
+  await repository.mutate((t) => {
+    if (t.products.some(p => p.id === product.id)) throw new HttpError(409, 'Já existe produto com esse id.');
+    t.products.push(product);
+  });
+  res.status(201).json(repository.get().productById.get(product.id));
+}));
+
+router.put('/produtos/:id', asyncHandler(async (req, res) => {
+  const product = checkValid(validateProduct({ ...req.body, id: req.params.id }));
+  await repository.mutate((t) => {
+    t.products[findIndexOr404(t.products, product.id, 'Produto')] = product;
+  });
+  res.json(repository.get().productById.get(product.id));
+}));
+
+router.patch('/produtos/:id', asyncHandler(async (req, res) => {
+  const changes = checkValid(validateProduct(req.body, { partial: true }));
+  delete changes.id;
+  await repository.mutate((t) => {
+    const i = findIndexOr404(t.products, req.params.id, 'Produto');
+    t.products[i] = { ...t.products[i], ...changes };
+  });
+  res.json(repository.get().productById.get(req.params.id));
+}));
+
+router.delete('/produtos/:id', asyncHandler(async (req, res) => {
+  await repository.mutate((t) => {
+    t.products.splice(findIndexOr404(t.products, req.params.id, 'Produto'), 1);
+    t.pdvProdutos = t.pdvProdutos.filter(r => r.produto_id !== req.params.id);
+    t.aliases = t.aliases.filter(r => r.produto_id !== req.params.id);
+  });
+  res.status(204).end();
+}));
+
+// ======================== Aliases de produto ========================
+// { alias, tipo?: erp|ean } — códigos antigos, EANs etc. que resolvem para este produto
+router.post('/produtos/:id/aliases', asyncHandler(async (req, res) => {
+  const alias = String(req.body?.alias ?? '').trim();
+  const tipo = String(req.body?.tipo ?? 'erp').trim().toLowerCase();
+  if (!alias) throw new HttpError(400, 'Informe alias.');
+  if (!ALIAS_TYPES.includes(tipo) || tipo === 'slug') {
+    throw new HttpError(400, 'Dados inválidos.', [{ campo: 'tipo', mensagem: 'Use erp ou ean.' }], 'dados_invalidos');
+  }
+  await repository.mutate((t, ds) => {
+    findIndexOr404(t.products, req.params.id, 'Produto');
+    const owner = ds.aliases.resolve(alias);
+    if (owner && owner !== req.params.id) throw new HttpError(409, `Alias já pertence ao produto ${owner}.`);
+    if (owner) throw new HttpError(409, 'Alias já cadastrado para esse produto.');
+    t.aliases.push({ alias, produto_id: req.params.id, tipo });
+  });
+  res.status(201).json(repository.get().aliases.aliasesOf(req.params.id));
+}));
+
+router.delete('/produtos/:id/aliases/:alias', asyncHandler(async (req, res) => {
+  const key = aliasKey(req.params.alias);
+  await repository.mutate((t) => {
+    const before = t.aliases.length;
+    t.aliases = t.aliases.filter(r => !(r.produto_id === req.params.id && aliasKey(r.alias) === key));
+    if (t.aliases.length === before) throw new HttpError(404, 'Alias não encontrado para esse produto.');
+  });
+  res.status(204).end();
+}));
+
+// ======================== Geocodificação: auditoria e coordenada manual ========================
+// ?tipo=fora_da_uf,longe_do_cep&cidade=&estado=&limite=&pagina=
+router.get('/geocode/auditoria', asyncHandler(async (req, res) => {
+  const tipos = req.query.tipo ? String(req.query.tipo).split(',').map(t => t.trim()).filter(Boolean) : null;
+  const invalid = (tipos || []).filter(t => !ALERT_TYPES.includes(t));
+  if (invalid.length) throw new HttpError(400, `tipo inválido: ${invalid.join(', ')} (use ${ALERT_TYPES.join(', ')}).`);
+  const paging = parsePaging(req.query);
+  if (paging.erro) throw new HttpError(400, paging.erro);
+
+  const report = auditPdvs(repository.get().pdvs);
+  const cidade = String(req.query.cidade ?? '').trim().toUpperCase();
+  const estado = String(req.query.estado ?? '').trim().toUpperCase();
+  const pdvs = report.pdvs.filter(p =>
+    (!tipos || p.alertas.some(a => tipos.includes(a.tipo))) &&
+    (!cidade || p.cidade.toUpperCase() === cidade) &&
+    (!estado || p.estado.toUpperCase() === estado)
+  );
+  res.json({
+    resumo: report.resumo,
+    total: pdvs.length,
+    pdvs: pdvs.slice(paging.offset, paging.offset + paging.limit),
+    empilhamentos: report.empilhamentos
+  });
+}));
+
+// Fixa a coordenada do PDV: vale sobre cache/provedores até ser removida
+router.put('/pdvs/:id/coordenadas', asyncHandler(async (req, res) => {
+  const { latitude, longitude, motivo } = checkValid(validatePin(req.body));
+  await repository.mutate((t) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    t.pins = t.pins.filter(r => r.pdv_id !== req.params.id);
+    t.pins.push({ pdv_id: req.params.id, latitude, longitude, motivo, atualizado_em: new Date().toISOString() });
+  });
+  const rec = pdvRecord(req.params.id);
+  const avisos = insideUf(latitude, longitude, rec.estado) === false ? [`coordenada fora dos limites de ${rec.estado}`] : [];
+  res.json({ ...rec, avisos });
+}));
+
+// Volta a valer a geocodificação (cache/centroide do CEP)
+router.delete('/pdvs/:id/coordenadas', asyncHandler(async (req, res) => {
+  await repository.mutate((t) => {
+    findIndexOr404(t.pdvs, req.params.id, 'PDV');
+    const before = t.pins.length;
+    t.pins = t.pins.filter(r => r.pdv_id !== req.params.id);
+    if (t.pins.length === before) throw new HttpError(404, 'PDV sem coordenada manual.');
+  });
+  res.status(204).end();
+}));
+
+// ======================== Recarga ========================
+// Relê os arquivos do store; ?forcar=true aceita mesmo com queda grande de registros
+router.post('/reload', asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await repository.reload({ force: req.query.forcar === 'true', origin: 'manual' });
+  } catch (e) {
+    throw new HttpError(422, 'Falha ao recarregar os dados; dataset anterior mantido.', [{ campo: 'arquivos', mensagem: e.message }]);
+  }
+  if (!result.ok) {
+    throw new HttpError(409, 'Recarga recusada; use ?forcar=true para aplicar mesmo assim.', result.problemas.map(mensagem => ({ campo: 'dataset', mensagem })));
+  }
+  const ds = result.dataset;
+  res.json({ versao: ds.version, carregado_em: ds.loadedAt, counts: repository.counts(ds) });
+}));
+
+// ======================== Importação ========================
+// JSON: { pdvs, produtos, pdv_produtos (texto CSV), excluir?: [...], modo?, dry_run? }
+// ou text/csv direto no corpo com ?tipo=pdvs|produtos|pdv_produtos
+// ?dry_run=true devolve só o relatório/diff, sem gravar.
+router.post('/import', asyncHandler(async (req, res) => {
+  const isText = typeof req.body === 'string';
+  const body = isText ? {} : (req.body || {});
+  const input = { modo: req.query.modo || body.modo, excluir: body.excluir };
+  if (isText) {
+    const tipo = String(req.query.tipo || '');
+    if (!['pdvs', 'produtos', 'pdv_produtos'].includes(tipo)) {
+      throw new HttpError(400, 'Com corpo text/csv, informe ?tipo=pdvs|produtos|pdv_produtos.');
+    }
+    input[tipo] = req.body;
+  } else {
+    for (const k of ['pdvs', 'produtos', 'pdv_produtos']) if (typeof body[k] === 'string') input[k] = body[k];
+  }
+  if (input.excluir !== undefined && !Array.isArray(input.excluir)) {
+    throw new HttpError(400, 'excluir deve ser uma lista de ids de produto.');
+  }
+  input.dryRun = ['true', '1', 'sim'].includes(String(req.query.dry_run ?? body.dry_run ?? '').toLowerCase());
+  res.json(await runImport(input));
+}));
+
+// ======================== Sell-out ========================
+// Arquivo diário de vendas/estoque por PDV e produto (lib/sell-out.js): text/csv
+// no corpo ou JSON { arquivo }. ?data=AAAA-MM-DD para linhas sem data; ?dry_run=true
+// só devolve o relatório.
+router.post('/sell-out', asyncHandler(async (req, res) => {
+  const isText = typeof req.body === 'string';
+  const body = isText ? {} : (req.body || {});
+  const text = isText ? req.body : body.arquivo;
+  if (typeof text !== 'string') throw new HttpError(400, 'Envie o CSV no corpo (text/csv) ou em { arquivo }.');
+  res.json(await runSellOut({
+    text,
+    data: req.query.data ?? body.data,
+    dryRun: ['true', '1', 'sim'].includes(String(req.query.dry_run ?? body.dry_run ?? '').toLowerCase())
+  }));
+}));
+
+// ======================== Relatórios de busca ========================
+// Período: ?dias=30 (1 a 365); ?limite=20 por lista. Fonte: buscas.jsonl (lib/search-log.js)
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_UNCOVERED_KM = 10;
+
+function reportWindow(query) {
+  const dias = query.dias === undefined || query.dias === '' ? DEFAULT_REPORT_DAYS : Number(query.dias);
+  if (!Number.isInteger(dias) || dias < 1 || dias > 365) throw new HttpError(400, 'dias deve ser um inteiro entre 1 e 365.');
+  const paging = parsePaging(query);
+  if (paging.erro) throw new HttpError(400, paging.erro);
+  return { since: Date.now() - dias * 24 * 3600 * 1000, limit: paging.limit, radiusKm: paging.radiusKm };
+}
+
+// Mais buscados: termos de /produtos/buscar, produtos e CEPs
+router.get('/relatorios/buscas', asyncHandler(async (req, res) => {
+  res.json(await topSearches(searchLog, reportWindow(req.query)));
+}));
+
+// Buscas que voltaram vazias (inclui produto ou CEP desconhecido)
+router.get('/relatorios/sem-resultado', asyncHandler(async (req, res) => {
+  res.json(await zeroResults(searchLog, reportWindow(req.query)));
+}));
+
+// Regiões com procura e sem PDV com o produto a até ?raio_km= (10); ?produto= filtra
+router.get('/relatorios/demanda-descoberta', asyncHandler(async (req, res) => {
+  const { since, limit, radiusKm = DEFAULT_UNCOVERED_KM } = reportWindow(req.query);
+  let productId;
+  if (req.query.produto) {
+    const ds = repository.get();
+    productId = repository.resolveProductId(req.query.produto, ds);
+    if (!ds.productById.has(productId)) throw new HttpError(404, 'Produto não encontrado.');
+  }
+  res.json(await uncoveredDemand(searchLog, { since, limit, radiusKm, productId }));
+}));
+
+module.exports = router;
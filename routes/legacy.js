@@ -0,0 +1,55 @@
+// routes/legacy.js — caminhos sem versão, mantidos como aliases obsoletos de /v1
+//
+// Respondem exatamente como a rota /v1 equivalente (mesmo handler), mais os
+// headers Deprecation (RFC 9745) e Link rel="successor-version". O corpo de
+// erro leva também o campo `erro` antigo (lib/errors.js).
+
+const express = require('express');
+const v1 = require('./v1');
+const { HttpError } = require('../lib/errors');
+const { spec } = require('../lib/openapi');
+
+// data em que os caminhos sem versão passaram a ser obsoletos
+const DEPRECATED_AT = Date.UTC(2026, 9, 19);
+
+/** Modelos de caminho do OpenAPI ('/produtos/{id}') como regex. */
+const V1_PATHS = Object.keys(spec.paths)
+  .filter(p => p !== '/openapi.json')
+  .map(p => new RegExp(`^${p.replace(/\{[^}]+\}/g, '[^/]+')}/?$`));
+
+const router = express.Router();
+
+function markDeprecated(res, successor) {
+  res.set('Deprecation', `@${Math.floor(DEPRECATED_AT / 1000)}`);
+  res.set('Link', `</v1${successor}>; rel="successor-version"`);
+}
+
+/** Encaminha para a rota /v1 `path`, mantendo a query string. */
+function forward(req, res, next, path) {
+  markDeprecated(res, path);
+  const query = req.url.slice(req.path.length);
+  req.url = path + query;
+  v1(req, res, next);
+}
+
+// GET /produto?productId=&lat=&lon=  ->  /v1/pdvs/proximos/produto
+router.get('/produto', (req, res, next) => forward(req, res, next, '/pdvs/proximos/produto'));
+
+// GET /stores-by-product?productId=  ->  /v1/produtos/{id}/pdvs
+router.get('/stores-by-product', (req, res, next) => {
+  const productId = String(req.query.productId ?? '').trim();
+  if (!productId) {
+    markDeprecated(res, '/produtos/{id}/pdvs');
+    throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: 'productId', mensagem: 'obrigatório' }]);
+  }
+  forward(req, res, next, `/produtos/${encodeURIComponent(productId)}/pdvs`);
+});
+
+// demais caminhos: o mesmo de /v1 sem o prefixo
+router.use((req, res, next) => {
+  if (req.method !== 'GET' || !V1_PATHS.some(re => re.test(req.path))) return next();
+  markDeprecated(res, req.path);
+  v1(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/pages.js — widget "onde comprar" e páginas por cidade (HTML do servidor)
+//
+//   <script src="https://API/widget.js" data-produto="91801" data-cor="#c8102e"></script>
+//     cria o iframe /widget/onde-comprar?produto=91801&cor=... logo depois da tag
+//   /widget/onde-comprar?produto=&cep=    página do iframe (tema por query, lib/pages.js)
+//   /onde-comprar[/uf[/cidade]]           páginas indexáveis; /sitemap.xml lista todas
+// Ficam fora da chave de API (quem abre é o navegador do consumidor), com limite
+// próprio por IP; as buscas do widget vão para /v1 e seguem as regras de lá.
+
+const path = require('path');
+const express = require('express');
+const config = require('../lib/config');
+const repository = require('../lib/repository');
+const { resolveCep } = require('../lib/cep');
+const { onlyDigits, slugify } = require('../lib/util');
+const { cspNonce } = require('../lib/html');
+const pages = require('../lib/pages');
+const { createApiAccess } = require('../lib/api-access');
+const { HttpError, asyncHandler } = require('../lib/errors');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const PAGE_MAX_AGE_S = 300;
+const SCRIPT_MAX_AGE_S = 3600;
+
+const router = express.Router();
+
+// ======================== Helpers ========================
+/** CSP da página: só scripts daqui, estilo com nonce, buscas no mesmo host. */
+function setPageHeaders(res, nonce, { frameAncestors = "'self'", cache = true } = {}) {
+  res.set('Content-Security-Policy', [
+    "default-src 'none'", "script-src 'self'", `style-src 'nonce-${nonce}'`, 'img-src https: data:',
+    "connect-src 'self'", "form-action 'self'", "base-uri 'none'", `frame-ancestors ${frameAncestors}`
+  ].join('; '));
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', cache ? `public, max-age=${PAGE_MAX_AGE_S}` : 'no-store');
+}
+
+function sendPage(res, status, doc, nonce, opts) {
+  setPageHeaders(res, nonce, opts);
+  res.status(status).type('html').send(String(doc));
+}
+
+/** PUBLIC_URL ou o host da requisição (atrás de proxy, com TRUST_PROXY). */
+function baseUrl(req) {
+  return config.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function sendScript(file) {
+  return (req, res) => {
+    res.set('Cache-Control', `public, max-age=${SCRIPT_MAX_AGE_S}`);
+    res.sendFile(path.join(PUBLIC_DIR, file));
+  };
+}
+
+// ======================== Scripts ========================
+router.get('/widget.js', sendScript('widget.js'));
+router.get('/widget/onde-comprar.js', sendScript('onde-comprar.js'));
+
+// páginas (e a busca por CEP feita pelo servidor) contam no limite anônimo por IP
+router.use(['/widget', '/onde-comprar', '/sitemap.xml'], createApiAccess({ required: false }));
+
+// ======================== Widget ========================
+// ?produto=91801 (id, código antigo, EAN…) &cep= (busca sem JavaScript) + tema
+router.get('/widget/onde-comprar', asyncHandler(async (req, res) => {
+  const nonce = cspNonce();
+  const frameAncestors = config.WIDGET_FRAME_ANCESTORS;
+  const produto = String(req.query.produto ?? '').trim();
+  if (!produto) {
+    const doc = pages.renderMessage({ title: 'Produto não informado', mensagem: 'Use ?produto=ID.', nonce });
+    return sendPage(res, 400, doc, nonce, { frameAncestors, cache: false });
+  }
+  const ds = repository.get();
+  const product = ds.productById.get(repository.resolveProductId(produto, ds));
+  if (!product) {
+    const doc = pages.renderMessage({ title: 'Produto não encontrado', mensagem: `Produto ${produto} não encontrado.`, nonce });
+    return sendPage(res, 404, doc, nonce, { frameAncestors, cache: false });
+  }
+
+  const options = pages.widgetOptions(req.query);
+  const cep = String(req.query.cep ?? '').trim();
+  let results;
+  let mensagem;
+  if (cep) {
+    const coords = onlyDigits(cep).length === 8 ? await resolveCep(onlyDigits(cep)) : null;
+    if (!coords) {
+      mensagem = 'CEP não encontrado.';
+    } else {
+      ({ items: results } = repository.nearestPdvs(coords.lat, coords.lon, {
+        productId: product.id, limit: options.limite, filtros: { now: new Date() }
+      }, ds));
+    }
+  }
+  sendPage(res, 200, pages.renderWidget({ product, options, query: req.query, cep, results, mensagem, nonce }), nonce, { frameAncestors });
+}));
+
+// ======================== Páginas por cidade ========================
+router.get('/onde-comprar', (req, res) => {
+  const nonce = cspNonce();
+  sendPage(res, 200, pages.renderIndex({ cities: repository.listCities(), baseUrl: baseUrl(req), nonce }), nonce);
+});
+
+router.get('/onde-comprar/:uf', (req, res, next) => {
+  const uf = req.params.uf.toLowerCase();
+  if (uf !== req.params.uf) return res.redirect(301, `/onde-comprar/${uf}`);
+  const cities = repository.listCities({ estado: uf });
+  if (!cities.length) return next(new HttpError(404, 'Nenhum ponto de venda neste estado.'));
+  const nonce = cspNonce();
+  sendPage(res, 200, pages.renderState({ uf: uf.toUpperCase(), cities, baseUrl: baseUrl(req), nonce }), nonce);
+});
+
+router.get('/onde-comprar/:uf/:cidade', (req, res, next) => {
+  const uf = req.params.uf.toLowerCase();
+  const slug = slugify(req.params.cidade);
+  if (uf !== req.params.uf || slug !== req.params.cidade) return res.redirect(301, `/onde-comprar/${uf}/${slug}`);
+  const found = repository.pdvsInCity(uf, slug);
+  if (!found.length) return next(new HttpError(404, 'Nenhum ponto de venda nesta cidade.'));
+  const now = new Date();
+  const pdvs = found.map(pdv => ({ pdv, produtos: repository.productsAvailableAt(pdv.id, { now }) }));
+  const nonce = cspNonce();
+  sendPage(res, 200, pages.renderCity({
+    uf: uf.toUpperCase(), cidade: found[0].cidade, slug, pdvs, baseUrl: baseUrl(req), nonce
+  }), nonce);
+});
+
+router.get('/sitemap.xml', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${PAGE_MAX_AGE_S}`);
+  res.type('application/xml').send(String(pages.renderSitemap({ cities: repository.listCities(), baseUrl: baseUrl(req) })));
+});
+
+// ======================== Erros ========================
+// 4xx das páginas em HTML (429 inclusive); o resto segue para o handler JSON
+router.use(['/widget', '/onde-comprar'], (err, req, res, next) => {
+  if (!(err instanceof HttpError) || err.status >= 500) return next(err);
+  const nonce = cspNonce();
+  const doc = pages.renderMessage({
+    title: err.status === 404 ? 'Página não encontrada' : 'Não foi possível abrir a página',
+    mensagem: err.message,
+    nonce,
+    links: [['Ver todas as cidades', '/onde-comprar']]
+  });
+  const frameAncestors = req.baseUrl === '/widget' ? config.WIDGET_FRAME_ANCESTORS : "'self'";
+  sendPage(res, err.status, doc, nonce, { frameAncestors, cache: false });
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+// routes/v1.js — API pública versionada (/v1)
+//
+// Cada rota é registrada com a operação correspondente de lib/openapi.js: os
+// parâmetros chegam validados e convertidos em req.parametros, e erro sai no
+// envelope { codigo, mensagem, detalhes } (lib/errors.js).
+
+const express = require('express');
+const config = require('../lib/config');
+const repository = require('../lib/repository');
+const { resolveCep } = require('../lib/cep');
+const { parsePaging, nextCursor } = require('../lib/paging');
+const { onlyDigits } = require('../lib/util');
+const { parseBbox } = require('../lib/geo');
+const { exportPdvs } = require('../lib/export');
+const { clusterPoints } = require('../lib/map-clusters');
+const { describeOpeningHours, localClock, isOpen } = require('../lib/opening-hours');
+const { describeAvailability } = require('../lib/availability');
+const { trackSearches } = require('../lib/search-log');
+const { candidateWindow, rankByRoute } = require('../lib/travel');
+const { HttpError, asyncHandler } = require('../lib/errors');
+const { spec } = require('../lib/openapi');
+const { findOperation, validateRequest } = require('../lib/openapi-validate');
+
+const router = express.Router();
+// rotas de busca descrevem a busca em res.locals.busca (lib/search-log.js)
+router.use(trackSearches());
+
+/** GET com a validação da operação de mesmo caminho no OpenAPI. */
+function get(path, handler) {
+  router.get(path, validateRequest(spec, findOperation(spec, path, 'get')), asyncHandler(handler));
+}
+
+// ======================== Helpers ========================
+/** Dia/minuto de agora no fuso dos PDVs (para aberto_agora). */
+function clockAt(now = new Date()) {
+  return localClock(now, config.PDV_TIMEZONE);
+}
+
+/** `clock`: de clockAt(), calculado uma vez por requisição. */
+function toPdvResponse(pdv, clock, distancia_km) {
+  const out = {
+    id: pdv.id, nome: pdv.nome, cep: pdv.cep, endereco: pdv.endereco,
+    cidade: pdv.cidade, estado: pdv.estado,
+    latitude: pdv.latitude, longitude: pdv.longitude,
+    precisao_localizacao: pdv.geocode?.precisao ?? null,
+    telefone: pdv.telefone, rede: pdv.rede, tipo: pdv.tipo, freezer: pdv.freezer,
+    horario: describeOpeningHours(pdv.horario),
+    aberto_agora: isOpen(pdv.horario, clock)
+  };
+  if (distancia_km !== undefined) out.distancia_km = +distancia_km.toFixed(2);
+  return out;
+}
+
+/** ?aberto_agora=&rede=&tipo= -> filtros de repository.attributeFilter, com o instante da requisição. */
+function filtersFrom(parametros) {
+  return { abertoAgora: parametros.aberto_agora, redes: parametros.rede, tipos: parametros.tipo, now: new Date() };
+}
+
+/** raio/limite/página/cursor já validados pelo schema; só o cursor ainda pode ser inválido. */
+function pagingFrom(parametros) {
+  const paging = parsePaging(parametros);
+  if (paging.erro) throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: 'cursor', mensagem: 'inválido' }]);
+  return paging;
+}
+
+/** Lança 404 com os ids que não são produto nem aparecem em vínculo algum. */
+function checkProductsKnown(ids, ds) {
+  const unknown = ids.filter(id => {
+    const pid = repository.resolveProductId(id, ds);
+    return !ds.productById.has(pid) && !ds.pdvIdsByProduct.has(pid);
+  });
+  if (unknown.length) {
+    throw new HttpError(404, `Produto(s) não encontrado(s): ${unknown.join(', ')}.`, undefined, 'produto_nao_encontrado');
+  }
+}
+
+/**
+ * CEP -> coordenadas, dizendo ao cliente como foi resolvido: X-Cep-Resolucao
+ * (exato|prefixo) e X-Cep-Precisao (cep|cep5|cep3|uf). Com prefixo as
+ * distâncias são até o centro da cidade/região, não até o endereço.
+ */
+async function coordsFromCep(res, cep) {
+  const coords = await resolveCep(onlyDigits(cep));
+  if (!coords) throw new HttpError(404, 'CEP não encontrado.', undefined, 'cep_nao_encontrado');
+  res.set('X-Cep-Resolucao', coords.nivel);
+  res.set('X-Cep-Precisao', coords.precisao);
+  return coords;
+}
+
+function setPagingHeaders(res, paging, total) {
+  res.set('X-Total-Count', String(total));
+  const cursor = nextCursor(paging, total);
+  if (cursor) res.set('X-Proximo-Cursor', cursor);
+}
+
+function availabilityFor(pdvId, productId, now) {
+  return describeAvailability(repository.availabilityOf(pdvId, productId), now, config.AVAILABILITY_MAX_AGE_MS);
+}
+
+/** distancia_rota_km/tempo_min de um item de rankByRoute (null = sem rota até o PDV). */
+function routeFields(rota) {
+  return {
+    distancia_rota_km: rota ? +rota.distanciaKm.toFixed(2) : null,
+    tempo_min: rota ? +rota.tempoMin.toFixed(1) : null
+  };
+}
+
+/**
+ * Com ?rota=, reordena a janela pelo tempo de rota e devolve só a página;
+ * X-Rota diz o perfil usado ou 'indisponivel' (ficou a linha reta).
+ */
+async function routedPage(res, origem, items, paging, rota, compare) {
+  if (!rota) return items;
+  const ranked = await rankByRoute(origem, items, { perfil: rota, paging, compare });
+  res.set('X-Rota', ranked.status);
+  return ranked.items;
+}
+
+/** Produtos da busca pelo id canônico (código antigo/EAN contam para o mesmo produto). */
+function canonicalIds(ids) {
+  const ds = repository.get();
+  return ids.map(id => repository.resolveProductId(id, ds));
+}
+
+/**
+ * Responde com a página de PDVs mais próximos de (lat, lon).
+ * O corpo é um array; total e próxima página vão nos headers
+ * X-Total-Count e X-Proximo-Cursor. Com produto, cada PDV leva a disponibilidade;
+ * com `rota`, a distância e o tempo de rota.
+ */
+async function sendNearest(res, lat, lon, paging, { productId, filtros, incluirIndisponiveis, rota }) {
+  const { total, items } = repository.nearestPdvs(lat, lon, {
+    ...candidateWindow(paging, rota), productId, filtros, incluirIndisponiveis
+  });
+  Object.assign(res.locals.busca, { lat, lon, resultados: total });
+  const page = await routedPage(res, { lat, lon }, items, paging, rota);
+  setPagingHeaders(res, paging, total);
+  const clock = clockAt(filtros.now);
+  res.json(page.map(({ item, distanceKm, rota: route }) => {
+    const out = toPdvResponse(item, clock, distanceKm);
+    if (rota) Object.assign(out, routeFields(route));
+    if (productId !== undefined) out.disponibilidade = availabilityFor(item.id, productId, filtros.now);
+    return out;
+  }));
+}
+
+// ======================== Rotas ========================
+get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// Catálogo: ?linha=mini premium&sabor=chocolate&volume_ml=1500&categoria=pote (&incluir_inativos=true)
+get('/produtos', (req, res) => {
+  const { linha, sabor, volume_ml, categoria, incluir_inativos } = req.parametros;
+  const paging = pagingFrom(req.parametros);
+  const products = repository.listProducts({ linha, sabor, volumeMl: volume_ml, categoria, incluirInativos: incluir_inativos });
+  setPagingHeaders(res, paging, products.length);
+  res.json(products.slice(paging.offset, paging.offset + paging.limit));
+});
+
+get('/produtos/destaque', (req, res) => {
+  res.json(repository.get().products.filter(p => p.em_destaque && p.ativo));
+});
+
+// ?q= sem acento, por prefixo e tolerante a erro de digitação; ?volume=150ml; sem q nem volume: []
+get('/produtos/buscar', (req, res) => {
+  const { q = '', volume = '', limite } = req.parametros;
+  if (!q && !volume) return res.json([]);
+  const found = repository.searchProducts(q, { volume: volume || undefined, limit: limite });
+  res.locals.busca = { tipo: 'texto', termo: [q, volume].filter(Boolean).join(' '), resultados: found.length };
+  res.json(found);
+});
+
+// Produto por id canônico, código antigo, EAN, slug ou URL do site
+get('/produtos/:id', (req, res) => {
+  const ds = repository.get();
+  const product = ds.productById.get(repository.resolveProductId(req.parametros.id, ds));
+  if (!product) throw new HttpError(404, 'Produto não encontrado.', undefined, 'produto_nao_encontrado');
+  res.json({ ...product, aliases: ds.aliases.aliasesOf(product.id), variantes: repository.productVariants(product.id, ds) });
+});
+
+// PDVs que vendem o produto, sem ordenação por distância
+get('/produtos/:id/pdvs', (req, res) => {
+  const ds = repository.get();
+  checkProductsKnown([req.parametros.id], ds);
+  const clock = clockAt();
+  res.json(repository.pdvsForProduct(req.parametros.id, ds).map(pdv => toPdvResponse(pdv, clock)));
+});
+
+// Quantos PDVs têm o produto, por UF e cidade (base para planejar distribuição)
+get('/produtos/:id/pdvs/contagem', (req, res) => {
+  const ds = repository.get();
+  checkProductsKnown([req.parametros.id], ds);
+  res.json(repository.productPdvCounts(req.parametros.id, {}, ds));
+});
+
+// Exportação para QGIS / Google My Maps
+// ?formato=geojson|kml|csv&produtos=91241,91242&cidade=Joinville&estado=SC&bbox=minLon,minLat,maxLon,maxLat
+// (com produtos, só os pares disponíveis, a menos de &incluir_indisponiveis=true)
+get('/pdvs/export', (req, res) => {
+  const { formato, produtos = [], cidade = [], estado = [] } = req.parametros;
+  let bbox;
+  if (req.parametros.bbox !== undefined) {
+    bbox = parseBbox(req.parametros.bbox);
+    if (!bbox) throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: 'bbox', mensagem: 'retângulo inválido (minLon,minLat,maxLon,maxLat)' }]);
+  }
+  const ds = repository.get();
+  checkProductsKnown(produtos, ds);
+
+  const pdvs = repository.filterPdvs({
+    productIds: produtos, cidades: cidade, estados: estado, bbox, incluirIndisponiveis: req.parametros.incluir_indisponiveis
+  }, ds);
+  const { body, contentType, extension } = exportPdvs(pdvs, formato, ds, { nome: `PDVs (versão ${ds.version})` });
+  res.set('X-Total-Count', String(pdvs.length));
+  res.attachment(`pdvs.${extension}`);
+  res.set('Content-Type', contentType);
+  res.send(body);
+});
+
+// PDVs no viewport do mapa: grupos com contagem/centroide no zoom afastado, PDVs um a um de perto
+// ?bbox=minLon,minLat,maxLon,maxLat&zoom=12&productId=91241
+get('/pdvs/mapa', (req, res) => {
+  const bbox = parseBbox(req.parametros.bbox);
+  if (!bbox) throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: 'bbox', mensagem: 'retângulo inválido (minLon,minLat,maxLon,maxLat)' }]);
+  const zoom = Math.floor(req.parametros.zoom);
+  const { productId } = req.parametros;
+  const ds = repository.get();
+  if (productId !== undefined) checkProductsKnown([productId], ds);
+
+  const pdvs = repository.pdvsInBox(bbox, { productId, incluirIndisponiveis: req.parametros.incluir_indisponiveis }, ds);
+  const { agrupado, clusters, itens } = clusterPoints(pdvs, zoom);
+  const clock = clockAt();
+  res.json({
+    zoom,
+    total: pdvs.length,
+    agrupado,
+    clusters,
+    pdvs: itens.map(pdv => toPdvResponse(pdv, clock))
+  });
+});
+
+// Todas as rotas de proximidade aceitam ?raio_km=&limite=&pagina= (ou &cursor=),
+// os filtros ?aberto_agora=true&rede=COMPER,FORT&tipo=supermercado e
+// ?rota=carro|a_pe (reordena os mais próximos pelo tempo de rota, lib/travel.js)
+
+// PDVs por CEP
+get('/pdvs/proximos', async (req, res) => {
+  const paging = pagingFrom(req.parametros);
+  res.locals.busca = { tipo: 'cep', cep: req.parametros.cep };
+  const coords = await coordsFromCep(res, req.parametros.cep);
+  await sendNearest(res, coords.lat, coords.lon, paging, { filtros: filtersFrom(req.parametros), rota: req.parametros.rota });
+});
+
+// PDVs por coords
+get('/pdvs/proximos/coords', async (req, res) => {
+  const { lat, lon, rota } = req.parametros;
+  res.locals.busca = { tipo: 'coords' };
+  await sendNearest(res, lat, lon, pagingFrom(req.parametros), { filtros: filtersFrom(req.parametros), rota });
+});
+
+// PDVs por produto + coords; sem ruptura/descontinuado/confirmação vencida,
+// a menos de &incluir_indisponiveis=true
+// ?productId=ID&lat=-26.30&lon=-48.84
+get('/pdvs/proximos/produto', async (req, res) => {
+  const { productId, lat, lon, rota } = req.parametros;
+  const paging = pagingFrom(req.parametros);
+  res.locals.busca = { tipo: 'produto', produtos: canonicalIds([productId]), lat, lon };
+  checkProductsKnown([productId], repository.get());
+  await sendNearest(res, lat, lon, paging, {
+    productId, filtros: filtersFrom(req.parametros), incluirIndisponiveis: req.parametros.incluir_indisponiveis, rota
+  });
+});
+
+// PDVs com vários produtos ao mesmo tempo
+// ?produtos=91801,91803&modo=all|any&lat=..&lon=.. (ou &cep=)
+get('/pdvs/proximos/produtos', async (req, res) => {
+  const { produtos, modo, cep, rota } = req.parametros;
+  const paging = pagingFrom(req.parametros);
+  const ds = repository.get();
+  let { lat, lon } = req.parametros;
+  res.locals.busca = { tipo: 'produtos', produtos: canonicalIds(produtos), cep, lat, lon };
+  checkProductsKnown(produtos, ds);
+
+  if (cep !== undefined) {
+    ({ lat, lon } = await coordsFromCep(res, cep));
+  } else if (lat === undefined || lon === undefined) {
+    throw new HttpError(400, 'Parâmetros inválidos.', [{ campo: lat === undefined ? 'lat' : 'lon', mensagem: 'informe lat e lon, ou cep' }]);
+  }
+
+  const filtros = filtersFrom(req.parametros);
+  const { total, items, raioKm } = repository.nearestPdvsForProducts(lat, lon, {
+    ...candidateWindow(paging, rota), productIds: produtos, mode: modo, filtros, incluirIndisponiveis: req.parametros.incluir_indisponiveis
+  }, ds);
+  Object.assign(res.locals.busca, { lat, lon, resultados: total });
+  if (raioKm !== null) res.set('X-Raio-Km', String(raioKm));
+  // any: a cobertura continua valendo antes do tempo de rota
+  const page = await routedPage(res, { lat, lon }, items, paging, rota, (a, b) => b.encontrados.length - a.encontrados.length);
+  setPagingHeaders(res, paging, total);
+  const clock = clockAt(filtros.now);
+  res.json(page.map(({ item, distanceKm, encontrados, faltantes, rota: route }) => ({
+    ...toPdvResponse(item, clock, distanceKm),
+    ...(rota ? routeFields(route) : {}),
+    cobertura: encontrados.length,
+    produtos_encontrados: encontrados,
+    produtos_faltantes: faltantes,
+    disponibilidade: Object.fromEntries(encontrados.map(pid => [pid, availabilityFor(item.id, pid, filtros.now)]))
+  })));
+});
+
+module.exports = router;
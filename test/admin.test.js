@@ -0,0 +1,237 @@
+// test/admin.test.js — /admin: autenticação, cadastro, vínculos, aliases, coordenada manual e recarga
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids, waitFor } = require('./helpers');
+
+const NOVO_PDV = {
+  id: 'P09', nome: 'MERCADO NOVO', rua: 'RUA NOVE DE MARCO, 650', bairro: 'CENTRO',
+  cidade: 'JOINVILLE', cep: '89201-400', estado: 'sc'
+};
+
+describe('admin', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  describe('autenticação', () => {
+    it('sem token: 401 no envelope', async () => {
+      const r = await api.request('GET', '/admin/pdvs/P01');
+      assert.equal(r.status, 401);
+      assert.equal(r.body.codigo, 'nao_autorizado');
+    });
+
+    it('token errado: 401', async () => {
+      const r = await api.request('GET', '/admin/pdvs/P01', { token: 'outro' });
+      assert.equal(r.status, 401);
+    });
+  });
+
+  describe('PDVs', () => {
+    it('cadastra, grava no CSV e geocodifica em segundo plano', async () => {
+      const r = await api.admin('POST', '/pdvs', NOVO_PDV);
+      assert.equal(r.status, 201);
+      assert.equal(r.body.estado, 'SC');
+      assert.match(fs.readFileSync(path.join(api.dataDir, 'pdvs_final.csv'), 'utf-8'), /^P09;MERCADO NOVO;/m);
+
+      await waitFor(() => api.repository.get().pdvById.get('P09').geocode?.provider === 'opencage');
+      const pdv = api.repository.get().pdvById.get('P09');
+      assert.deepEqual([pdv.latitude, pdv.longitude], [-26.3018, -48.8430]);
+      assert.equal(api.standIn.calls.opencage.filter(q => q.includes('NOVE DE MARCO')).length, 1);
+    });
+
+    it('id repetido: 409', async () => {
+      const r = await api.admin('POST', '/pdvs', NOVO_PDV);
+      assert.equal(r.status, 409);
+      assert.equal(r.body.codigo, 'conflito');
+      assert.equal(r.body.erro, r.body.mensagem);
+    });
+
+    it('campos inválidos: 400 dados_invalidos com detalhes', async () => {
+      const r = await api.admin('POST', '/pdvs', { ...NOVO_PDV, id: 'P10', estado: 'XX', cep: '123' });
+      assert.equal(r.status, 400);
+      assert.equal(r.body.codigo, 'dados_invalidos');
+      assert.deepEqual(r.body.detalhes.map(d => d.campo).sort(), ['cep', 'estado']);
+    });
+
+    it('PATCH altera só os campos enviados', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P09', { nome: 'MERCADO NOVO II' });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.nome, 'MERCADO NOVO II');
+      assert.equal(r.body.cidade, 'JOINVILLE');
+    });
+
+    it('PDV inexistente: 404', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P99', { nome: 'X' });
+      assert.equal(r.status, 404);
+      assert.equal(r.body.codigo, 'nao_encontrado');
+    });
+  });
+
+  describe('vínculos', () => {
+    it('vínculo por código antigo vale para o produto canônico', async () => {
+      const r = await api.admin('POST', '/pdvs/P09/produtos', { produto_id: '01801' });
+      assert.equal(r.status, 201);
+      const s = await api.get('/v1/pdvs/proximos/produto?productId=91801&lat=-26.3018&lon=-48.8430&limite=1');
+      assert.deepEqual(ids(s.body), ['P09']);
+    });
+
+    it('produto inexistente: 400', async () => {
+      const r = await api.admin('POST', '/pdvs/P09/produtos', { produtos: ['99999'] });
+      assert.equal(r.status, 400);
+      assert.deepEqual(r.body.detalhes, [{ campo: 'produtos', mensagem: '99999' }]);
+    });
+
+    it('PUT troca a lista inteira', async () => {
+      const r = await api.admin('PUT', '/pdvs/P09/produtos', { produtos: ['91242'] });
+      assert.equal(r.status, 200);
+      const s = await api.get('/v1/produtos/91242/pdvs');
+      assert.ok(ids(s.body).includes('P09'));
+      const t = await api.get('/v1/produtos/91801/pdvs');
+      assert.ok(!ids(t.body).includes('P09'));
+    });
+
+    it('DELETE pelo código antigo tira o vínculo', async () => {
+      await api.admin('POST', '/pdvs/P09/produtos', { produto_id: '91801' });
+      const r = await api.admin('DELETE', '/pdvs/P09/produtos/01801');
+      assert.equal(r.status, 204);
+      const s = await api.get('/v1/produtos/91801/pdvs');
+      assert.ok(!ids(s.body).includes('P09'));
+      assert.equal((await api.admin('DELETE', '/pdvs/P09/produtos/01801')).status, 404);
+    });
+  });
+
+  describe('produtos', () => {
+    it('linha informada e ativo vão para o CSV; o resto continua vindo do nome', async () => {
+      const r = await api.admin('PATCH', '/produtos/91242', { linha: 'Tradicional', ativo: false });
+      assert.equal(r.status, 200);
+      assert.deepEqual([r.body.linha, r.body.sabor, r.body.ativo], ['Tradicional', 'FLOCOS', false]);
+      const csv = fs.readFileSync(path.join(api.dataDir, 'produtos.csv'), 'utf-8');
+      assert.match(csv, /^91242;FLOCOS CLÁSSICOS;1,5 L;FALSE;;;Tradicional;;;FALSE$/m);
+      assert.match(csv, /^91801;PISTACHE MINI PREMIUM;150 ML;TRUE;[^;]*;[^;]*;;;;TRUE$/m);
+      const s = await api.admin('PATCH', '/produtos/91242', { linha: 'Clássicos', ativo: true, categoria: 'balde' });
+      assert.equal(s.status, 400);
+      const t = await api.admin('PATCH', '/produtos/91242', { linha: 'Clássicos', ativo: true });
+      assert.equal(t.body.linha, 'Clássicos');
+    });
+  });
+
+  describe('aliases', () => {
+    it('cadastra e resolve na API pública', async () => {
+      const r = await api.admin('POST', '/produtos/91242/aliases', { alias: '7890000000001', tipo: 'ean' });
+      assert.equal(r.status, 201);
+      const s = await api.get('/v1/produtos/7890000000001');
+      assert.equal(s.body.id, '91242');
+    });
+
+    it('alias de outro produto: 409', async () => {
+      const r = await api.admin('POST', '/produtos/91242/aliases', { alias: '01241' });
+      assert.equal(r.status, 409);
+      assert.match(r.body.mensagem, /91241/);
+    });
+
+    it('remove', async () => {
+      const r = await api.admin('DELETE', '/produtos/91242/aliases/7890000000001');
+      assert.equal(r.status, 204);
+      const s = await api.get('/v1/produtos/7890000000001');
+      assert.equal(s.status, 404);
+    });
+  });
+
+  describe('coordenada manual', () => {
+    it('fixa, aparece na API e avisa fora da UF', async () => {
+      const r = await api.admin('PUT', '/pdvs/P05/coordenadas', { latitude: -23.55, longitude: -46.63, motivo: 'teste' });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.avisos.length, 1);
+      const s = await api.get('/v1/produtos/91241/pdvs');
+      const p05 = s.body.find(p => p.id === 'P05');
+      assert.deepEqual([p05.latitude, p05.longitude], [-23.55, -46.63]);
+    });
+
+    it('lat/lon trocadas: 400', async () => {
+      const r = await api.admin('PUT', '/pdvs/P05/coordenadas', { latitude: -48.84, longitude: -26.3 });
+      assert.equal(r.status, 400);
+      assert.equal(r.body.codigo, 'dados_invalidos');
+    });
+
+    it('auditoria conta a coordenada manual e não alerta sobre ela', async () => {
+      const r = await api.admin('GET', '/geocode/auditoria?tipo=fora_da_uf');
+      assert.equal(r.status, 200);
+      assert.equal(r.body.resumo.manuais, 1);
+      assert.ok(!ids(r.body.pdvs).includes('P05'));
+    });
+
+    it('remover volta à geocodificação', async () => {
+      const r = await api.admin('DELETE', '/pdvs/P05/coordenadas');
+      assert.equal(r.status, 204);
+      const again = await api.admin('DELETE', '/pdvs/P05/coordenadas');
+      assert.equal(again.status, 404);
+    });
+  });
+
+  describe('atributos', () => {
+    it('PUT grava em pdvs_atributos.csv e aparece na API', async () => {
+      const r = await api.admin('PUT', '/pdvs/P07/atributos', {
+        horario: 'seg-sex 08:00-18:00; sab 08:00-12:00', telefone: '(47) 99999-0000', rede: 'Rede Local', tipo: 'mercado', freezer: false
+      });
+      assert.equal(r.status, 200);
+      assert.deepEqual(r.body.horario.sab, ['08:00-12:00']);
+      assert.equal(r.body.rede, 'REDE LOCAL');
+      const csv = fs.readFileSync(path.join(api.dataDir, 'pdvs_atributos.csv'), 'utf-8');
+      assert.match(csv, /^P07;seg-sex 08:00-18:00 \| sab 08:00-12:00;47999990000;REDE LOCAL;mercado;false$/m);
+      const s = await api.get('/v1/pdvs/proximos/coords?lat=-26.301&lon=-48.846&limite=1');
+      assert.equal(s.body[0].tipo, 'mercado');
+    });
+
+    it('PATCH mantém o que não veio; PUT sem rede volta à do nome', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P01/atributos', { freezer: 'nao' });
+      assert.equal(r.body.freezer, false);
+      assert.equal(r.body.telefone, '4734331000');
+      const s = await api.admin('PUT', '/pdvs/P05/atributos', { tipo: 'mercado' });
+      assert.equal(s.body.rede, null);
+      assert.equal(s.body.horario, null);
+    });
+
+    it('valores inválidos: 400 com detalhes', async () => {
+      const r = await api.admin('PUT', '/pdvs/P07/atributos', { horario: 'todo dia', telefone: '123', tipo: 'loja' });
+      assert.equal(r.status, 400);
+      assert.deepEqual(r.body.detalhes.map(d => d.campo), ['horario', 'telefone', 'tipo']);
+    });
+  });
+
+  describe('remoção e recarga', () => {
+    it('DELETE tira o PDV e os vínculos', async () => {
+      const r = await api.admin('DELETE', '/pdvs/P09');
+      assert.equal(r.status, 204);
+      const s = await api.get('/v1/produtos/91242/pdvs');
+      assert.ok(!ids(s.body).includes('P09'));
+    });
+
+    it('reload relê os arquivos do disco', async () => {
+      const file = path.join(api.dataDir, 'produtos.csv');
+      fs.appendFileSync(file, '\n91999;PRODUTO NOVO;500 ML;false;;\n');
+      const r = await api.admin('POST', '/reload');
+      assert.equal(r.status, 200);
+      assert.equal(r.body.counts.products, 10);
+      const s = await api.get('/v1/produtos/91999');
+      assert.equal(s.body.nome, 'PRODUTO NOVO');
+    });
+
+    it('import com dry_run não grava', async () => {
+      const csv = 'id;nome;rua;bairro;cidade;cep;estado\nP20;LOJA IMPORTADA;RUA A, 1;CENTRO;JOINVILLE;89201001;SC\n';
+      const r = await api.request('POST', '/admin/import?tipo=pdvs&dry_run=true', { body: csv, token: 'token-de-teste' });
+      assert.equal(r.status, 200);
+      assert.equal(api.repository.get().pdvById.has('P20'), false);
+    });
+
+    it('import: código antigo excluído não entra pelo id canônico', async () => {
+      const r = await api.admin('POST', '/import?dry_run=true', {
+        pdv_produtos: 'pdv_id;produto_id\nP07;01801\nP07;91803\n', excluir: ['01801']
+      });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.resumo.pdv_produtos.excluidos, 1);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// test/disponibilidade.test.js — status do produto no PDV: busca, admin e sell-out
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids } = require('./helpers');
+const { parseDate, isStale } = require('../lib/availability');
+
+const JOINVILLE = 'lat=-26.301&lon=-48.846';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SELL_OUT = [
+  'cod_loja;sku;data;qtd;estoque',
+  'P06;91803;2026-10-18;3;12',
+  'P01;91801;2026-10-05;1;',
+  'P07;91242;18/10/2026;0;0',
+  'P02;91242;;0;',
+  'P99;91801;2026-10-18;1;',
+  'P01;91241;2026-13-01;1;'
+].join('\n');
+
+describe('availability', () => {
+  it('aceita AAAA-MM-DD e DD/MM/AAAA, recusa data inexistente', () => {
+    assert.equal(parseDate('2026-10-19'), '2026-10-19');
+    assert.equal(parseDate('19/10/2026'), '2026-10-19');
+    assert.equal(parseDate('2026-02-30'), null);
+  });
+
+  it('sem data nunca fica desatualizado', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.equal(isStale({ confirmado_em: null }, now, 60 * DAY_MS), false);
+    assert.equal(isStale({ confirmado_em: '2026-08-01' }, now, 60 * DAY_MS), true);
+    assert.equal(isStale({ confirmado_em: '2026-09-01' }, now, 60 * DAY_MS), false);
+  });
+});
+
+describe('disponibilidade', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  describe('busca por produto', () => {
+    it('ruptura e confirmação vencida ficam de fora', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91803&${JOINVILLE}`);
+      assert.ok(!ids(r.body).includes('P06'));
+      const s = await api.get(`/v1/pdvs/proximos/produto?productId=04208&${JOINVILLE}`);
+      assert.deepEqual(s.body, []);
+    });
+
+    it('incluir_indisponiveis devolve todos com o status', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91803&${JOINVILLE}&incluir_indisponiveis=true`);
+      const p06 = r.body.find(p => p.id === 'P06');
+      assert.deepEqual(p06.disponibilidade, { status: 'ruptura', confirmado_em: '2026-10-01', fonte: 'visita', desatualizado: false });
+      const s = await api.get(`/v1/pdvs/proximos/produto?productId=04208&${JOINVILLE}&incluir_indisponiveis=true`);
+      assert.deepEqual(ids(s.body), ['P08']);
+      assert.equal(s.body[0].disponibilidade.desatualizado, true);
+    });
+
+    it('vínculo antigo, sem data, conta como disponível', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91801&${JOINVILLE}`);
+      assert.deepEqual(ids(r.body), ['P01', 'P02', 'P04']);
+      assert.deepEqual(r.body[1].disponibilidade, { status: 'disponivel', confirmado_em: null, fonte: null, desatualizado: false });
+    });
+
+    it('vários produtos: disponibilidade por produto encontrado', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&${JOINVILLE}`);
+      assert.deepEqual(ids(r.body), ['P01', 'P04']);
+      assert.equal(r.body[0].disponibilidade['91801'].fonte, 'sell_out');
+      assert.deepEqual(Object.keys(r.body[0].disponibilidade).sort(), ['91801', '91803']);
+    });
+  });
+
+  describe('admin', () => {
+    it('PATCH marca ruptura e tira o PDV da busca', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P04/produtos/91803', { status: 'ruptura' });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.status, 'ruptura');
+      assert.equal(r.body.fonte, 'visita');
+      assert.match(r.body.confirmado_em, /^\d{4}-\d{2}-\d{2}$/);
+      const s = await api.get(`/v1/pdvs/proximos/produto?productId=91803&${JOINVILLE}`);
+      assert.deepEqual(ids(s.body), ['P01']);
+    });
+
+    it('PATCH pelo código antigo acha o vínculo', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P05/produtos/91241', { status: 'descontinuado', fonte: 'consumidor', confirmado_em: '15/10/2026' });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.confirmado_em, '2026-10-15');
+      const s = await api.admin('GET', '/pdvs/P05/produtos');
+      assert.equal(s.body[0].disponibilidade.status, 'descontinuado');
+    });
+
+    it('status inválido: 400; par sem vínculo: 404', async () => {
+      const r = await api.admin('PATCH', '/pdvs/P04/produtos/91803', { status: 'esgotado', fonte: 'ligacao' });
+      assert.equal(r.status, 400);
+      assert.deepEqual(r.body.detalhes.map(d => d.campo), ['status', 'fonte']);
+      const s = await api.admin('PATCH', '/pdvs/P07/produtos/91801', { status: 'ruptura' });
+      assert.equal(s.status, 404);
+    });
+
+    it('vínculo novo pelo cadastro nasce disponível', async () => {
+      const r = await api.admin('POST', '/pdvs/P07/produtos', { produto_id: '91801' });
+      assert.equal(r.status, 201);
+      const s = await api.admin('GET', '/pdvs/P07/produtos');
+      assert.equal(s.body[0].disponibilidade.fonte, 'cadastro');
+      assert.equal(s.body[0].disponibilidade.status, 'disponivel');
+    });
+
+    it('POST/PUT por alias não duplicam o vínculo nem desfazem a ruptura', async () => {
+      const rupturaEm = async () => {
+        const r = await api.admin('GET', '/pdvs/P04/produtos');
+        const links = r.body.filter(p => p.id === '91803');
+        assert.equal(links.length, 1);
+        return links[0].disponibilidade.status;
+      };
+      assert.equal(await rupturaEm(), 'ruptura');
+      assert.equal((await api.admin('POST', '/pdvs/P04/produtos', { produto_id: '7891234567895' })).status, 201);
+      assert.equal(await rupturaEm(), 'ruptura');
+      const current = (await api.admin('GET', '/pdvs/P04/produtos')).body.map(p => p.id);
+      const produtos = current.map(id => (id === '91803' ? '7891234567895' : id)).concat('91803', '');
+      assert.equal((await api.admin('PUT', '/pdvs/P04/produtos', { produtos })).status, 200);
+      assert.equal(await rupturaEm(), 'ruptura');
+    });
+  });
+
+  describe('sell-out', () => {
+    const sellOut = (query = '') => api.request('POST', `/admin/sell-out${query}`, { body: SELL_OUT, token: 'token-de-teste' });
+
+    it('dry_run só devolve o relatório', async () => {
+      const file = path.join(api.dataDir, 'pdv_produtos_filtrado_final.csv');
+      const before = fs.readFileSync(file, 'utf-8');
+      const r = await sellOut('?dry_run=true');
+      assert.equal(r.status, 200);
+      assert.deepEqual(r.body.resumo, {
+        linhas: 6, criados: 1, atualizados: 1, inalterados: 0, mais_antigos: 1, sem_informacao: 1, com_erro: 2
+      });
+      assert.deepEqual(r.body.erros.map(e => [e.linha, e.erros[0].campo]), [[6, 'pdv_id'], [7, 'data']]);
+      assert.equal(fs.readFileSync(file, 'utf-8'), before);
+    });
+
+    it('grava: estoque volta o PDV à busca, data mais antiga não sobrescreve', async () => {
+      const r = await sellOut();
+      assert.equal(r.body.dry_run, false);
+      const csv = fs.readFileSync(path.join(api.dataDir, 'pdv_produtos_filtrado_final.csv'), 'utf-8');
+      assert.match(csv, /^P06;91803;disponivel;2026-10-18;sell_out$/m);
+      assert.match(csv, /^P07;91242;ruptura;2026-10-18;sell_out$/m);
+      assert.match(csv, /^P01;91801;disponivel;2026-10-10;sell_out$/m);
+      const s = await api.get(`/v1/pdvs/proximos/produto?productId=91803&${JOINVILLE}&raio_km=1000`);
+      assert.ok(ids(s.body).includes('P06'));
+      const t = await api.get(`/v1/pdvs/proximos/produto?productId=91242&${JOINVILLE}`);
+      assert.ok(!ids(t.body).includes('P07'));
+    });
+
+    it('reenvio do mesmo arquivo não muda nada', async () => {
+      const r = await sellOut();
+      assert.equal(r.body.resumo.inalterados, 2);
+      assert.equal(r.body.resumo.criados + r.body.resumo.atualizados, 0);
+    });
+
+    it('arquivo vazio ou data padrão inválida: 400', async () => {
+      const r = await api.admin('POST', '/sell-out', { arquivo: '' });
+      assert.equal(r.status, 400);
+      const s = await sellOut('?data=ontem');
+      assert.equal(s.status, 400);
+    });
+  });
+});
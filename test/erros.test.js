@@ -0,0 +1,110 @@
+// test/erros.test.js — envelope de erro, validação pelo OpenAPI e caminhos obsoletos sem /v1
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids } = require('./helpers');
+
+describe('erros e compatibilidade', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  describe('envelope', () => {
+    it('rota inexistente em /v1: só codigo, mensagem, detalhes', async () => {
+      const r = await api.get('/v1/nao-existe');
+      assert.equal(r.status, 404);
+      assert.equal(r.body.codigo, 'rota_nao_encontrada');
+      assert.equal(typeof r.body.mensagem, 'string');
+      assert.ok(!('erro' in r.body));
+    });
+
+    it('validação junta todos os parâmetros com problema', async () => {
+      const r = await api.get('/v1/pdvs/proximos/coords?lat=abc&limite=0');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.codigo, 'parametro_invalido');
+      const campos = r.body.detalhes.map(d => d.campo).sort();
+      assert.deepEqual(campos, ['lat', 'limite', 'lon']);
+      assert.equal(r.body.detalhes.find(d => d.campo === 'lon').mensagem, 'obrigatório');
+    });
+
+    it('latitude fora da faixa', async () => {
+      const r = await api.get('/v1/pdvs/proximos/coords?lat=-95&lon=-48');
+      assert.equal(r.status, 400);
+      assert.deepEqual(r.body.detalhes, [{ campo: 'lat', mensagem: 'deve estar entre -90 e 90' }]);
+    });
+
+    it('cursor adulterado', async () => {
+      const r = await api.get('/v1/pdvs/proximos/coords?lat=-26.3&lon=-48.8&cursor=xyz');
+      assert.equal(r.status, 400);
+      assert.deepEqual(r.body.detalhes, [{ campo: 'cursor', mensagem: 'inválido' }]);
+    });
+
+    it('JSON malformado no corpo: 400 json_invalido', async () => {
+      const r = await api.request('POST', '/admin/pdvs', {
+        body: '{"id": ', token: 'token-de-teste', headers: { 'Content-Type': 'application/json' }
+      });
+      assert.equal(r.status, 400);
+      assert.equal(r.body.codigo, 'json_invalido');
+    });
+  });
+
+  it('GET /v1/openapi.json descreve todas as rotas públicas', async () => {
+    const r = await api.get('/v1/openapi.json');
+    assert.equal(r.status, 200);
+    assert.match(r.body.openapi, /^3\./);
+    for (const p of ['/produtos/{id}', '/pdvs/proximos', '/pdvs/export', '/pdvs/mapa']) {
+      assert.ok(r.body.paths[p], p);
+    }
+  });
+
+  describe('caminhos sem versão', () => {
+    function assertDeprecated(r, successor) {
+      assert.match(r.headers.get('deprecation'), /^@\d+$/);
+      assert.equal(r.headers.get('link'), `</v1${successor}>; rel="successor-version"`);
+    }
+
+    it('respondem igual a /v1 com Deprecation e Link', async () => {
+      const [antigo, novo] = await Promise.all([
+        api.get('/pdvs/proximos/coords?lat=-26.3&lon=-48.85&limite=3'),
+        api.get('/v1/pdvs/proximos/coords?lat=-26.3&lon=-48.85&limite=3')
+      ]);
+      assert.equal(antigo.status, 200);
+      assert.deepEqual(antigo.body, novo.body);
+      assertDeprecated(antigo, '/pdvs/proximos/coords');
+      assert.equal(novo.headers.get('deprecation'), null);
+    });
+
+    it('/produto aponta para /pdvs/proximos/produto', async () => {
+      const r = await api.get('/produto?productId=91801&lat=-26.3&lon=-48.85');
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body), ['P01', 'P02', 'P04']);
+      assertDeprecated(r, '/pdvs/proximos/produto');
+    });
+
+    it('/stores-by-product aponta para /produtos/{id}/pdvs', async () => {
+      const r = await api.get('/stores-by-product?productId=91242');
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body).sort(), ['P02', 'P03']);
+      assertDeprecated(r, '/produtos/91242/pdvs');
+    });
+
+    it('erro leva também o campo antigo `erro`', async () => {
+      const r = await api.get('/stores-by-product');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.codigo, 'parametro_invalido');
+      assert.equal(r.body.erro, r.body.mensagem);
+      const s = await api.get('/produtos/99999');
+      assert.equal(s.status, 404);
+      assert.equal(s.body.erro, s.body.mensagem);
+      assertDeprecated(s, '/produtos/99999');
+    });
+  });
+
+  it('GET /health resume dataset e CEP', async () => {
+    const r = await api.get('/health');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.counts.stores, 8);
+    assert.equal(r.body.counts.stores_aproximados_por_cep, 1);
+    assert.ok(r.body.cep);
+  });
+});
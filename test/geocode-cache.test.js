@@ -0,0 +1,166 @@
+// test/geocode-cache.test.js — cache de geocodificação (JSONL) e uso dos provedores
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createGeocodeStore } = require('../lib/geocode-store');
+
+describe('geocode-store', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geocode-store-'));
+  let clock = 1_000_000;
+  const open = (name) => {
+    const store = createGeocodeStore({ file: path.join(dir, name), failureTtlMs: 60_000, now: () => clock });
+    store.load();
+    return store;
+  };
+
+  it('grava, relê do disco e a última linha vence', () => {
+    const a = open('a.jsonl');
+    a.put('RUA A, 1', { lat: 1, lon: 2, provider: 'opencage', precisao: 'endereco' });
+    a.put('RUA A, 1', { lat: 3, lon: 4, provider: 'opencage', precisao: 'endereco' });
+    a.flush();
+    const b = open('a.jsonl');
+    assert.equal(b.get('RUA A, 1').lat, 3);
+    assert.equal(b.stats().linhas, 2);
+  });
+
+  it('falha vale só até vencer o TTL', () => {
+    const s = open('b.jsonl');
+    s.putFailure('RUA B, 2');
+    assert.equal(s.failedRecently('RUA B, 2'), true);
+    assert.equal(s.get('RUA B, 2'), null);
+    clock += 61_000;
+    assert.equal(s.failedRecently('RUA B, 2'), false);
+  });
+
+  it('outro processo acrescenta: sync traz as linhas novas', () => {
+    const a = open('c.jsonl');
+    const b = open('c.jsonl');
+    a.put('RUA C, 3', { lat: 5, lon: 6, provider: 'opencage', precisao: 'endereco' });
+    a.flush();
+    assert.equal(b.get('RUA C, 3'), null);
+    b.sync();
+    assert.equal(b.get('RUA C, 3').lon, 6);
+  });
+
+  it('compactação deixa só os registros vivos', () => {
+    const s = open('d.jsonl');
+    for (let i = 0; i < 5; i++) s.put('RUA D, 4', { lat: i, lon: i, provider: 'opencage', precisao: 'endereco' });
+    s.put('RUA E, 5', { lat: 0, lon: 0, provider: 'opencage', precisao: 'endereco' });
+    s.remove('RUA E, 5');
+    s.putFailure('RUA F, 6');
+    clock += 61_000;
+    const out = s.compact();
+    assert.deepEqual(out, { linhas_antes: 8, linhas_depois: 1, registros: 1 });
+    assert.equal(open('d.jsonl').get('RUA D, 4').lat, 4);
+  });
+
+  it('com a trava de outro processo o lote espera e não se perde', () => {
+    const file = path.join(dir, 'f.jsonl');
+    const a = open('f.jsonl');
+    a.put('RUA H, 8', { lat: 1, lon: 1, provider: 'opencage', precisao: 'endereco' });
+    a.flush();
+    fs.writeFileSync(`${file}.lock`, '');
+    a.put('RUA I, 9', { lat: 2, lon: 2, provider: 'opencage', precisao: 'endereco' });
+    a.flush();
+    assert.doesNotMatch(fs.readFileSync(file, 'utf-8'), /RUA I, 9/);
+    assert.equal(a.stats().pendentes, 1);
+    fs.rmSync(`${file}.lock`);
+    a.flush();
+    assert.equal(open('f.jsonl').get('RUA I, 9').lat, 2);
+    a.close();
+  });
+
+  it('compactação copia o que outro processo já tinha acrescentado', () => {
+    const a = open('g.jsonl');
+    const b = open('g.jsonl');
+    a.put('RUA J, 10', { lat: 1, lon: 1, provider: 'opencage', precisao: 'endereco' });
+    a.flush();
+    b.put('RUA K, 11', { lat: 3, lon: 3, provider: 'opencage', precisao: 'endereco' });
+    b.flush();
+    a.compact();
+    assert.equal(open('g.jsonl').get('RUA K, 11').lat, 3);
+  });
+
+  it('um listener de saída só, qualquer que seja o número de stores', () => {
+    const before = process.listenerCount('exit');
+    const stores = ['h1.jsonl', 'h2.jsonl', 'h3.jsonl'].map(open);
+    assert.equal(process.listenerCount('exit'), before);
+    for (const s of stores) s.close();
+  });
+
+  it('linha inválida é ignorada', () => {
+    const file = path.join(dir, 'e.jsonl');
+    fs.writeFileSync(file, '{"k":"RUA G, 7","lat":1,"lon":1,"provider":"opencage","precisao":"endereco"}\n{quebrado\n');
+    const s = open('e.jsonl');
+    assert.equal(s.get('RUA G, 7').lat, 1);
+  });
+});
+
+describe('geocodificação dos PDVs', () => {
+  let api;
+  let geocode;
+  before(async () => {
+    api = await startApp();
+    geocode = require('../lib/geocode');
+  });
+  after(() => api.close());
+
+  it('PDVs do cache carregam sem chamar provedor', () => {
+    const ds = api.repository.get();
+    assert.equal(ds.pdvById.get('P04').geocode.provider, 'opencage');
+    assert.equal(api.standIn.calls.opencage.length, 0);
+  });
+
+  it('PDV sem cache: começa no centroide do CEP', () => {
+    const p05 = api.repository.get().pdvById.get('P05');
+    assert.equal(p05.geocode.provider, 'cep-centroid');
+    assert.equal(geocode.isApproximate(p05), true);
+  });
+
+  it('fillMissingCoords geocodifica uma vez e grava no cache', async () => {
+    const before = api.repository.get();
+    const filled = await api.repository.fillMissingCoords();
+    assert.equal(filled, 1);
+    // o dataset publicado não muda: as coordenadas vêm num dataset novo
+    assert.equal(before.pdvById.get('P05').geocode.provider, 'cep-centroid');
+    assert.notEqual(api.repository.get(), before);
+    assert.equal(api.repository.get().origin, 'geocodificacao');
+    const p05 = api.repository.get().pdvById.get('P05');
+    assert.deepEqual([p05.latitude, p05.longitude], [-26.3040, -48.8455]);
+    assert.equal(p05.geocode.precisao, 'endereco');
+    assert.equal(api.standIn.calls.opencage.length, 1);
+
+    geocode.saveGeocodeCache();
+    const lines = fs.readFileSync(path.join(api.dataDir, 'geocode_cache.jsonl'), 'utf-8').trim().split('\n');
+    assert.match(lines.at(-1), /RUA DO PRINCIPE, 100/);
+  });
+
+  it('segunda vez vem do cache', async () => {
+    const hit = await geocode.geocodePdv(api.repository.get().pdvById.get('P05'));
+    assert.equal(hit.provider, 'opencage');
+    assert.equal(api.standIn.calls.opencage.length, 1);
+  });
+
+  it('endereço que ninguém acha: falha registrada, não tenta de novo', async () => {
+    const pdv = { endereco: 'RUA INEXISTENTE, 1, CENTRO, JOINVILLE, SC, Brasil, 89201001', cep: '89201001', cidade: 'JOINVILLE', estado: 'SC' };
+    const first = await geocode.geocodePdv(pdv);
+    assert.equal(first.provider, 'cep-centroid');
+    assert.equal(geocode.failedRecently(pdv.endereco), true);
+    const calls = api.standIn.calls.opencage.length;
+    const again = await geocode.geocodePdv(pdv);
+    assert.equal(again.provider, 'cep-centroid');
+    assert.equal(api.standIn.calls.opencage.length, calls);
+  });
+
+  it('chamadas simultâneas ao mesmo endereço viram uma só', async () => {
+    const pdv = { endereco: 'RUA NOVE DE MARCO, 650, CENTRO, JOINVILLE, SC, Brasil, 89201400', cep: '89201400', cidade: 'JOINVILLE', estado: 'SC' };
+    const before = api.standIn.calls.opencage.length;
+    const [a, b] = await Promise.all([geocode.geocodePdv(pdv), geocode.geocodePdv(pdv)]);
+    assert.deepEqual(a, b);
+    assert.equal(api.standIn.calls.opencage.length, before + 1);
+  });
+});
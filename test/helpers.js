@@ -0,0 +1,176 @@
+// test/helpers.js — sobe a API contra os CSVs de test/fixtures e provedores locais
+//
+// Cada arquivo de teste roda num processo próprio (node --test): o require deste
+// helper copia as fixtures para um diretório temporário e aponta DATA_DIR para
+// ele antes de carregar lib/config.js. OpenCage, AwesomeAPI e OSRM são trocados por um
+// servidor HTTP local (standIn) que responde com as coordenadas de STAND_IN_ADDRESSES
+// e STAND_IN_CEPS, rotas com os desvios de STAND_IN_DETOURS, e conta as chamadas.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { haversineKm } = require('../lib/geo');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'localizador-test-'));
+for (const f of fs.readdirSync(FIXTURES_DIR)) fs.copyFileSync(path.join(FIXTURES_DIR, f), path.join(DATA_DIR, f));
+
+Object.assign(process.env, {
+  DATA_DIR,
+  NODE_ENV: 'test',
+  WATCH_DATA: '0',
+  ADMIN_TOKEN: 'token-de-teste',
+  CEP_TIMEOUT_MS: '300'
+});
+// o arquivo de teste pode definir antes do require (ex.: limite baixo para testar o 429)
+const TEST_DEFAULTS = { RATE_LIMIT_PER_MIN: '0', LOG_LEVEL: 'warn' };
+for (const [k, v] of Object.entries(TEST_DEFAULTS)) if (process.env[k] === undefined) process.env[k] = v;
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// trecho do endereço -> coordenadas do OpenCage falso
+const STAND_IN_ADDRESSES = {
+  'RUA DO PRINCIPE, 100': { lat: -26.3040, lon: -48.8455 },
+  'RUA NOVE DE MARCO, 650': { lat: -26.3018, lon: -48.8430 }
+};
+// CEP -> resposta do AwesomeAPI falso; `atrasoMs` passa do CEP_TIMEOUT_MS
+const STAND_IN_CEPS = {
+  '89220055': { lat: -26.2750, lon: -48.8600, city: 'Joinville', state: 'SC' },
+  '89223002': { lat: -26.2625, lon: -48.8535, city: 'Joinville', state: 'SC', atrasoMs: 800 }
+};
+
+// "lat,lon" do destino -> km a mais na rota do OSRM falso (o resto é linha reta × 1,3);
+// P07 fica do outro lado do rio: mais perto em linha reta, mais longe de carro
+const STAND_IN_DETOURS = { '-26.301,-48.846': 12 };
+const STAND_IN_SPEEDS_KMH = { driving: 30, foot: 5 };
+
+/** Resposta do serviço table do OSRM para "lon,lat;lon,lat..." (origem primeiro). */
+function osrmTable(profile, coords) {
+  const [origin, ...dests] = coords.split(';').map(c => c.split(',').map(Number));
+  const km = dests.map(([lon, lat]) => haversineKm(origin[1], origin[0], lat, lon) * 1.3 + (STAND_IN_DETOURS[`${lat},${lon}`] || 0));
+  return {
+    code: 'Ok',
+    distances: [km.map(k => k * 1000)],
+    durations: [km.map(k => (k / STAND_IN_SPEEDS_KMH[profile]) * 3600)]
+  };
+}
+
+/**
+ * Servidor local no lugar de OpenCage (/opencage), AwesomeAPI (/awesomeapi/<cep>)
+ * e OSRM (/osrm/table/v1/...; /osrm-fora responde 503).
+ */
+function startStandIn() {
+  const calls = { opencage: [], awesomeapi: [], osrm: [] };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (url.pathname === '/opencage') {
+      const q = url.searchParams.get('q') || '';
+      calls.opencage.push(q);
+      const hit = Object.entries(STAND_IN_ADDRESSES).find(([part]) => q.includes(part));
+      return send(200, { results: hit ? [{ geometry: { lat: hit[1].lat, lng: hit[1].lon }, confidence: 9 }] : [] });
+    }
+    const m = url.pathname.match(/^\/awesomeapi\/(\d{8})$/);
+    if (m) {
+      calls.awesomeapi.push(m[1]);
+      const hit = STAND_IN_CEPS[m[1]];
+      if (!hit) return send(404, { code: 'not_found' });
+      const reply = () => send(200, { cep: m[1], lat: String(hit.lat), lng: String(hit.lon), city: hit.city, state: hit.state });
+      return hit.atrasoMs ? setTimeout(reply, hit.atrasoMs) : reply();
+    }
+    const route = url.pathname.match(/^\/(osrm|osrm-fora)\/table\/v1\/(driving|foot)\/(.+)$/);
+    if (route) {
+      calls.osrm.push(route[3]);
+      if (route[1] === 'osrm-fora') return send(503, { code: 'Unavailable' });
+      return send(200, osrmTable(route[2], route[3]));
+    }
+    send(404, {});
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ base, calls, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+/**
+ * Sobe stand-in + app numa porta livre, com o dataset das fixtures carregado.
+ * @returns {Promise<{ request: Function, get: Function, standIn: object, repository: object, dataDir: string, close: Function }>}
+ */
+async function startApp() {
+  const standIn = await startStandIn();
+  const geocode = require('../lib/geocode');
+  const { createGeocoder } = require('../lib/geocoding');
+  const { createOpenCageProvider } = require('../lib/geocoding/providers/opencage');
+  const { createAwesomeApiProvider } = require('../lib/geocoding/providers/awesomeapi');
+  const { createCepCentroidProvider } = require('../lib/geocoding/providers/cep-centroid');
+  geocode.setGeocoder(createGeocoder({
+    providers: [
+      createOpenCageProvider({ key: 'chave-de-teste', baseUrl: `${standIn.base}/opencage` }),
+      createAwesomeApiProvider({ baseUrl: `${standIn.base}/awesomeapi` }),
+      createCepCentroidProvider()
+    ],
+    timeoutMs: 2000
+  }));
+  const { setRouter } = require('../lib/travel');
+  const { createRouter } = require('../lib/routing');
+  const { createOsrmProvider } = require('../lib/routing/providers/osrm');
+  setRouter(createRouter({ provider: createOsrmProvider({ baseUrl: `${standIn.base}/osrm` }), timeoutMs: 2000 }));
+
+  const repository = require('../lib/repository');
+  await require('../lib/lifecycle').bootstrap({ fillMissing: false });
+  const app = require('../app');
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /** Requisição HTTP; body JSON é convertido, o resto fica como texto. redirect: 'manual' para ver o 301. */
+  async function request(method, urlPath, { body, token, headers = {}, redirect } = {}) {
+    const h = { ...headers };
+    if (token) h.Authorization = `Bearer ${token}`;
+    let payload;
+    if (body !== undefined) {
+      payload = typeof body === 'string' ? body : JSON.stringify(body);
+      h['Content-Type'] = h['Content-Type'] || (typeof body === 'string' ? 'text/csv' : 'application/json');
+    }
+    const r = await fetch(base + urlPath, { method, headers: h, body: payload, redirect });
+    const text = await r.text();
+    const isJson = (r.headers.get('content-type') || '').includes('json');
+    return { status: r.status, headers: r.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  return {
+    request,
+    get: (urlPath, opts) => request('GET', urlPath, opts),
+    admin: (method, urlPath, body) => request(method, `/admin${urlPath}`, { body, token: ADMIN_TOKEN }),
+    standIn,
+    repository,
+    dataDir: DATA_DIR,
+    async close() {
+      repository.unwatch();
+      await new Promise(r => server.close(r));
+      await standIn.close();
+      geocode.saveGeocodeCache();
+    }
+  };
+}
+
+/** IDs na ordem da resposta. */
+const ids = (list) => list.map(x => x.id);
+
+/** Espera `check()` ficar verdadeiro (geocodificação em segundo plano etc.). */
+async function waitFor(check, { timeoutMs = 2000, stepMs = 20 } = {}) {
+  const end = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > end) throw new Error('Tempo esgotado esperando a condição.');
+    await new Promise(r => setTimeout(r, stepMs));
+  }
+}
+
+module.exports = { DATA_DIR, FIXTURES_DIR, ADMIN_TOKEN, STAND_IN_ADDRESSES, STAND_IN_CEPS, STAND_IN_DETOURS, startApp, startStandIn, ids, waitFor };
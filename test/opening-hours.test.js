@@ -0,0 +1,54 @@
+// test/opening-hours.test.js — horário de funcionamento: leitura, formatação e aberto/fechado
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOpeningHours, describeOpeningHours, formatOpeningHours, isOpenAt } = require('../lib/opening-hours');
+
+const TZ = 'America/Sao_Paulo';
+const week = (text) => parseOpeningHours(text).value;
+
+describe('opening-hours', () => {
+  it('lê dias, faixas e acentos; dia ausente é fechado', () => {
+    const w = week('Seg-Sex 08:00 - 12:00, 14:00-18:00 | Sáb 8h-13h');
+    assert.deepEqual(describeOpeningHours(w), {
+      seg: ['08:00-12:00', '14:00-18:00'], ter: ['08:00-12:00', '14:00-18:00'], qua: ['08:00-12:00', '14:00-18:00'],
+      qui: ['08:00-12:00', '14:00-18:00'], sex: ['08:00-12:00', '14:00-18:00'], sab: ['08:00-13:00'], dom: []
+    });
+  });
+
+  it('sem dias vale para a semana toda; vazio é "sem horário"', () => {
+    assert.equal(formatOpeningHours(week('24h')), 'seg-dom 24h');
+    assert.equal(formatOpeningHours(week('07:00-23:00')), 'seg-dom 07:00-23:00');
+    assert.deepEqual(parseOpeningHours('  '), { value: null });
+  });
+
+  it('formata juntando dias seguidos iguais', () => {
+    assert.equal(
+      formatOpeningHours(week('seg 08:00-22:00; ter 08:00-22:00; qua-sex 08:00-22:00; sab 08:00-20:00')),
+      'seg-sex 08:00-22:00 | sab 08:00-20:00'
+    );
+    assert.equal(formatOpeningHours(week('fechado')), 'fechado');
+  });
+
+  it('recusa dia ou faixa inválidos', () => {
+    assert.match(parseOpeningHours('sabado 08:00-12:00').erro, /dia inválido/);
+    assert.match(parseOpeningHours('seg 25:00-26:00').erro, /faixa inválida/);
+  });
+
+  it('aberto/fechado na hora de Brasília', () => {
+    const w = week('seg-sex 08:00-18:00');
+    assert.equal(isOpenAt(w, new Date('2026-10-19T11:30:00Z'), TZ), true);  // seg 08:30
+    assert.equal(isOpenAt(w, new Date('2026-10-19T10:30:00Z'), TZ), false); // seg 07:30
+    assert.equal(isOpenAt(w, new Date('2026-10-19T21:00:00Z'), TZ), false); // seg 18:00
+    assert.equal(isOpenAt(w, new Date('2026-10-18T14:00:00Z'), TZ), false); // dom 11:00
+    assert.equal(isOpenAt(null, new Date(), TZ), null);
+  });
+
+  it('faixa que vira a noite vale na madrugada seguinte', () => {
+    const w = week('sex-sab 18:00-02:00');
+    assert.equal(isOpenAt(w, new Date('2026-10-24T04:30:00Z'), TZ), true);  // sáb 01:30 (de sexta)
+    assert.equal(isOpenAt(w, new Date('2026-10-25T04:30:00Z'), TZ), true);  // dom 01:30 (de sábado)
+    assert.equal(isOpenAt(w, new Date('2026-10-25T05:30:00Z'), TZ), false); // dom 02:30
+    assert.equal(isOpenAt(w, new Date('2026-10-23T04:30:00Z'), TZ), false); // sex 01:30 (quinta fechada)
+  });
+});
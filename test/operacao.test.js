@@ -0,0 +1,167 @@
+// test/operacao.test.js — CORS, chave de API, limite por chave/IP, logs, /metrics e /health/*
+
+Object.assign(process.env, {
+  API_KEYS: 'parceiro:chave-parceiro:5, interno:chave-interna, malformada',
+  RATE_LIMIT_PER_MIN: '3',
+  CORS_ORIGINS: 'https://loja.example',
+  METRICS_TOKEN: 'token-metricas'
+});
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createLogger, setLogger } = require('../lib/logger');
+const { parseApiKeys, createApiAccess } = require('../lib/api-access');
+const { createRegistry } = require('../lib/metrics');
+const { geocodePdv } = require('../lib/geocode');
+
+const JOINVILLE = 'lat=-26.301&lon=-48.846';
+const PARCEIRO = { 'X-Api-Key': 'chave-parceiro' };
+const INTERNO = { 'X-Api-Key': 'chave-interna' };
+
+describe('unidades', () => {
+  it('API_KEYS: nome:chave[:limite], malformada fica de fora', () => {
+    const keys = parseApiKeys('a:x:10, b:y, c, d:z:muito');
+    assert.deepEqual(keys.map(k => [k.nome, k.limite]), [['a', 10], ['b', null]]);
+    assert.ok(!JSON.stringify(keys).includes('"x"'));
+  });
+
+  it('API_KEY_REQUIRED: sem chave é 401', () => {
+    const access = createApiAccess({ keys: [], required: true, anonymousPerMin: 0 });
+    let erro;
+    access({ get: () => '', ip: '10.0.0.1' }, { set() {} }, (e) => { erro = e; });
+    assert.equal(erro.status, 401);
+    assert.equal(erro.codigo, 'chave_ausente');
+  });
+
+  it('histograma acumula por faixa', () => {
+    const r = createRegistry();
+    const h = r.histogram('t_seconds', 'teste', [0.1, 1]);
+    h.observe({ rota: '/x' }, 0.05);
+    h.observe({ rota: '/x' }, 0.5);
+    const text = r.render();
+    assert.match(text, /^t_seconds_bucket\{rota="\/x",le="0.1"\} 1$/m);
+    assert.match(text, /^t_seconds_bucket\{rota="\/x",le="\+Inf"\} 2$/m);
+    assert.match(text, /^t_seconds_count\{rota="\/x"\} 2$/m);
+  });
+});
+
+describe('operação', () => {
+  let api;
+  const lines = [];
+  before(async () => {
+    setLogger(createLogger({ level: 'info', write: (line) => lines.push(JSON.parse(line)) }));
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  describe('request id e log', () => {
+    it('gera X-Request-Id ou repete o do cliente', async () => {
+      const r = await api.get('/health/live');
+      assert.match(r.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      const s = await api.get('/health/live', { headers: { 'X-Request-Id': 'lb-123' } });
+      assert.equal(s.headers.get('x-request-id'), 'lb-123');
+      const t = await api.get('/health/live', { headers: { 'X-Request-Id': 'com espaço' } });
+      assert.notEqual(t.headers.get('x-request-id'), 'com espaço');
+    });
+
+    it('uma linha JSON por requisição, sem a query string', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`, { headers: PARCEIRO });
+      const id = r.headers.get('x-request-id');
+      const rec = lines.find(l => l.id === id);
+      assert.equal(rec.msg, 'requisicao');
+      assert.equal(rec.nivel, 'info');
+      assert.equal(rec.caminho, '/v1/pdvs/proximos/coords');
+      assert.equal(rec.status, 200);
+      assert.equal(rec.cliente, 'parceiro');
+      assert.ok(Number.isFinite(rec.ms) && rec.ts);
+      assert.ok(!JSON.stringify(lines).includes('-26.301'));
+    });
+  });
+
+  describe('CORS', () => {
+    it('só as origens configuradas', async () => {
+      const r = await api.get('/health/live', { headers: { Origin: 'https://loja.example' } });
+      assert.equal(r.headers.get('access-control-allow-origin'), 'https://loja.example');
+      assert.match(r.headers.get('access-control-expose-headers'), /RateLimit-Remaining/);
+      const s = await api.get('/health/live', { headers: { Origin: 'https://outra.example' } });
+      assert.equal(s.headers.get('access-control-allow-origin'), null);
+    });
+
+    it('preflight com as mesmas regras e o header da chave', async () => {
+      const r = await api.request('OPTIONS', '/v1/produtos', {
+        headers: { Origin: 'https://loja.example', 'Access-Control-Request-Method': 'GET', 'Access-Control-Request-Headers': 'x-api-key' }
+      });
+      assert.equal(r.status, 204);
+      assert.match(r.headers.get('access-control-allow-headers'), /X-Api-Key/);
+      const s = await api.request('OPTIONS', '/v1/produtos', { headers: { Origin: 'https://outra.example', 'Access-Control-Request-Method': 'GET' } });
+      assert.equal(s.headers.get('access-control-allow-origin'), null);
+    });
+  });
+
+  describe('chave e limite', () => {
+    it('chave desconhecida: 401 mesmo com anônimo liberado', async () => {
+      const r = await api.get('/v1/produtos/destaque', { headers: { 'X-Api-Key': 'chave-errada' } });
+      assert.equal(r.status, 401);
+      assert.equal(r.body.codigo, 'chave_invalida');
+    });
+
+    it('cada chave tem o seu limite; acima dele, 429 com Retry-After', async () => {
+      const statuses = [];
+      for (let i = 0; i < 5; i++) statuses.push((await api.get('/v1/produtos/destaque', { headers: PARCEIRO })).status);
+      // 1 ficha já foi no teste de log
+      assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+      const r = await api.get('/v1/produtos/destaque', { headers: PARCEIRO });
+      assert.equal(r.headers.get('ratelimit-limit'), '5');
+      assert.equal(r.body.codigo, 'limite_excedido');
+      assert.ok(Number(r.headers.get('retry-after')) >= 1);
+      const s = await api.get('/v1/produtos/destaque', { headers: INTERNO });
+      assert.equal(s.status, 200);
+      assert.equal(s.headers.get('ratelimit-limit'), '600');
+    });
+
+    it('sem chave: limite por IP, também nos caminhos sem versão; saúde fica de fora', async () => {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) statuses.push((await api.get('/v1/produtos/destaque')).status);
+      assert.deepEqual(statuses, [200, 200, 200]);
+      const r = await api.get('/produtos/destaque');
+      assert.equal(r.status, 429);
+      assert.equal(r.body.erro, r.body.mensagem);
+      assert.equal((await api.get('/health')).status, 200);
+      assert.equal((await api.get('/health/ready')).status, 200);
+    });
+  });
+
+  describe('saúde', () => {
+    it('live e ready: bootstrap terminou', async () => {
+      const r = await api.get('/health/ready');
+      assert.equal(r.body.pronto, true);
+      assert.ok(r.body.pronto_em);
+      assert.deepEqual((await api.get('/health/live')).body, { ok: true });
+      assert.equal((await api.get('/health')).body.pronto, true);
+    });
+  });
+
+  describe('/metrics', () => {
+    it('pede o METRICS_TOKEN', async () => {
+      assert.equal((await api.get('/metrics')).status, 401);
+    });
+
+    it('latência por rota, cache de geocodificação e chamadas externas', async () => {
+      await api.get('/v1/pdvs/proximos?cep=89220055', { headers: INTERNO });
+      await geocodePdv(api.repository.get().pdvById.get('P01'));
+      const r = await api.get('/metrics', { token: 'token-metricas' });
+      assert.equal(r.status, 200);
+      assert.match(r.headers.get('content-type'), /^text\/plain;.*version=0.0.4/);
+      assert.match(r.body, /^http_requests_total\{metodo="GET",rota="\/v1\/pdvs\/proximos\/coords",status="200"\} 1$/m);
+      assert.match(r.body, /^http_requests_total\{metodo="GET",rota="sem_rota",status="429"\} \d+$/m);
+      assert.match(r.body, /^http_request_duration_seconds_bucket\{metodo="GET",rota="\/v1\/pdvs\/proximos",le="\+Inf"\} 1$/m);
+      // carga do dataset não conta: só a consulta de geocodePdv
+      assert.match(r.body, /^localizador_geocode_cache_total\{resultado="acerto"\} 1$/m);
+      assert.doesNotMatch(r.body, /^localizador_geocode_cache_total\{resultado="falta"\}/m);
+      assert.match(r.body, /^localizador_upstream_requests_total\{servico="geocode",provedor="awesomeapi",resultado="ok"\} 1$/m);
+      assert.match(r.body, /^localizador_pronto 1$/m);
+      assert.match(r.body, /^localizador_dataset_pdvs 8$/m);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// test/paginas.test.js — widget "onde comprar" e páginas por cidade
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { html, raw } = require('../lib/html');
+const { widgetOptions } = require('../lib/pages');
+
+/** Nomes de `list` presentes no HTML, na ordem em que aparecem. */
+const names = (text, list) => list.filter(n => text.includes(n)).sort((a, b) => text.indexOf(a) - text.indexOf(b));
+
+describe('unidades', () => {
+  it('html`` escapa interpolação, mas não o que já é HTML', () => {
+    const nome = '<b>"A&B"</b>';
+    assert.equal(String(html`<p title="${nome}">${nome}${raw('<br>')}${[html`<i>${'<x>'}</i>`, null, false]}</p>`),
+      '<p title="&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;">&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;<br><i>&lt;x&gt;</i></p>');
+  });
+
+  it('tema: valor inválido volta ao padrão', () => {
+    const o = widgetOptions({ cor: '0A0', fundo: 'red;}', tema: 'escuro', raio: '99', limite: '3', fonte: 'comic' });
+    assert.equal(o.cor, '#0a0');
+    assert.equal(o.fundo, '#1d1d1f');
+    assert.equal(o.texto, '#f2f2f2');
+    assert.equal(o.raio, 8);
+    assert.equal(o.limite, 3);
+    assert.equal(o.fonte, 'sistema');
+    assert.equal(widgetOptions({ titulo: 'x'.repeat(200) }).titulo.length, 80);
+  });
+
+  it('tema: chaves do protótipo não valem como tema ou fonte', () => {
+    for (const key of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+      const o = widgetOptions({ tema: key, fonte: key });
+      assert.equal(o.tema, 'claro');
+      assert.equal(o.fonte, 'sistema');
+      assert.equal(o.fundo, '#ffffff');
+      assert.equal(o.texto, '#222222');
+    }
+  });
+});
+
+describe('páginas', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  describe('widget', () => {
+    it('/widget.js cria o iframe', async () => {
+      const r = await api.get('/widget.js');
+      assert.equal(r.status, 200);
+      assert.match(r.headers.get('content-type'), /javascript/);
+      assert.match(r.body, /\/widget\/onde-comprar\?/);
+      assert.match(r.body, /onde-comprar:altura/);
+      assert.equal((await api.get('/widget/onde-comprar.js')).status, 200);
+    });
+
+    it('página do iframe: formulário, tema e CSP com nonce', async () => {
+      const r = await api.get('/widget/onde-comprar?produto=91801&cor=%23123abc&titulo=Compre%20j%C3%A1&chave=abc');
+      assert.equal(r.status, 200);
+      assert.match(r.headers.get('content-type'), /^text\/html/);
+      assert.match(r.body, /<h1>Compre já<\/h1>/);
+      assert.match(r.body, /PISTACHE MINI PREMIUM/);
+      assert.match(r.body, /--cor: #123abc;/);
+      assert.match(r.body, /data-chave="abc"/);
+      assert.match(r.body, /<input type="hidden" name="cor" value="#123abc">/);
+      assert.match(r.body, /<script src="\/widget\/onde-comprar.js" defer><\/script>/);
+      const csp = r.headers.get('content-security-policy');
+      const nonce = csp.match(/'nonce-([^']+)'/)[1];
+      assert.ok(r.body.includes(`<style nonce="${nonce}">`));
+      assert.match(csp, /script-src 'self'/);
+      assert.match(csp, /frame-ancestors \*/);
+      assert.equal(r.headers.get('cache-control'), 'public, max-age=300');
+    });
+
+    it('tema não injeta HTML nem CSS', async () => {
+      const r = await api.get('/widget/onde-comprar?produto=91801&cor=red%3B%7D%3C%2Fstyle%3E&titulo=%3Cscript%3Ealert(1)%3C%2Fscript%3E');
+      assert.match(r.body, /--cor: #c8102e;/);
+      assert.ok(!r.body.includes('<script>alert'));
+      assert.match(r.body, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+      const s = await api.get('/widget/onde-comprar?produto=91801&fonte=constructor&tema=__proto__');
+      assert.ok(!s.body.includes('native code') && !s.body.includes('undefined'));
+      assert.match(s.body, /--fundo: #ffffff;/);
+    });
+
+    it('com ?cep= a lista vem do servidor (funciona sem JavaScript)', async () => {
+      const r = await api.get('/widget/onde-comprar?produto=91801&cep=89220-055&limite=2');
+      assert.equal(r.status, 200);
+      assert.deepEqual(names(r.body, ['FORT C.SILVA 405', 'KOMPRAO JLLE', 'PAO DE ACUCAR ITAIM']), ['FORT C.SILVA 405', 'KOMPRAO JLLE']);
+      assert.match(r.body, /<span class="pdv-dist">[\d,]+ km<\/span>/);
+      assert.match(r.body, /<input name="cep" value="89220-055"/);
+      assert.match(r.body, /google\.com\/maps\/dir\/\?api=1&amp;destination=/);
+    });
+
+    it('CEP desconhecido vira aviso na página', async () => {
+      const r = await api.get('/widget/onde-comprar?produto=91801&cep=00000000');
+      assert.equal(r.status, 200);
+      assert.match(r.body, /CEP não encontrado\./);
+    });
+
+    it('sem produto: 400; produto desconhecido: 404 (HTML)', async () => {
+      const r = await api.get('/widget/onde-comprar');
+      assert.equal(r.status, 400);
+      assert.match(r.headers.get('content-type'), /^text\/html/);
+      const s = await api.get('/widget/onde-comprar?produto=99999');
+      assert.equal(s.status, 404);
+      assert.match(s.body, /Produto 99999 não encontrado/);
+      assert.equal(s.headers.get('cache-control'), 'no-store');
+    });
+  });
+
+  describe('por cidade', () => {
+    it('cidade: PDVs, produtos disponíveis e JSON-LD', async () => {
+      const r = await api.get('/onde-comprar/sc/itajai');
+      assert.equal(r.status, 200);
+      assert.match(r.body, /<h1>Onde comprar em Itajai - SC<\/h1>/);
+      assert.match(r.body, /COMPER ITAJAI/);
+      assert.match(r.body, /NAPOLITANO CLÁSSICOS 1,5 L/);
+      assert.match(r.body, /Horário: seg-sab 08:00-21:00/);
+      assert.match(r.body, /<link rel="canonical" href="http:\/\/127\.0\.0\.1:\d+\/onde-comprar\/sc\/itajai">/);
+      assert.match(r.headers.get('content-security-policy'), /frame-ancestors 'self'/);
+      const ld = JSON.parse(r.body.match(/<script type="application\/ld\+json">(.*?)<\/script>/s)[1]);
+      assert.equal(ld['@type'], 'ItemList');
+      assert.equal(ld.itemListElement[0].item.name, 'COMPER ITAJAI');
+      assert.equal(ld.itemListElement[0].item.address.addressRegion, 'SC');
+    });
+
+    it('caixa ou acento diferente: 301 para o endereço canônico', async () => {
+      const r = await api.get('/onde-comprar/SC/Itaja%C3%AD', { redirect: 'manual' });
+      assert.equal(r.status, 301);
+      assert.equal(r.headers.get('location'), '/onde-comprar/sc/itajai');
+    });
+
+    it('estado e índice listam as cidades', async () => {
+      const uf = await api.get('/onde-comprar/sc');
+      assert.equal(uf.status, 200);
+      assert.deepEqual(names(uf.body, ['Blumenau', 'Itajai', 'Joinville']), ['Blumenau', 'Itajai', 'Joinville']);
+      assert.match(uf.body, /href="\/onde-comprar\/sc\/joinville">Joinville<\/a> \(4 pontos de venda\)/);
+      const index = await api.get('/onde-comprar');
+      assert.match(index.body, /href="\/onde-comprar\/sp\/sao-paulo">Sao Paulo<\/a>/);
+    });
+
+    it('cidade ou UF sem PDV: 404 em HTML', async () => {
+      const r = await api.get('/onde-comprar/sc/florianopolis');
+      assert.equal(r.status, 404);
+      assert.match(r.headers.get('content-type'), /^text\/html/);
+      assert.match(r.body, /Nenhum ponto de venda nesta cidade/);
+      assert.equal((await api.get('/onde-comprar/am')).status, 404);
+    });
+
+    it('sitemap.xml', async () => {
+      const r = await api.get('/sitemap.xml');
+      assert.match(r.headers.get('content-type'), /^application\/xml/);
+      assert.match(r.body, /<loc>http:\/\/127\.0\.0\.1:\d+\/onde-comprar\/rs\/porto-alegre<\/loc>/);
+      assert.equal((r.body.match(/<url>/g) || []).length, 1 + 3 + 5);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// test/produtos.test.js — catálogo: destaque, listagem, busca, resolução de id (aliases) e PDVs do produto
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids } = require('./helpers');
+const { parseProductName } = require('../lib/product-catalog');
+
+describe('product-catalog', () => {
+  it('tira linha e sabor do nome, volume em ml ou peso em g', () => {
+    assert.deepEqual(parseProductName('DOCE DE LEITE ZERO AÇÚCAR', '500 ML'), {
+      linha: 'Zero Açúcar', sabor: 'DOCE DE LEITE', categoria: 'pote', volume_ml: 500, peso_g: null
+    });
+    assert.deepEqual(parseProductName('PIC. MINI PAVISSIMO TRUFA', '60G'), {
+      linha: 'Pavíssimo', sabor: 'TRUFA', categoria: 'picole', volume_ml: null, peso_g: 60
+    });
+    assert.equal(parseProductName('EDIÇÃO ESPECIAL', '').linha, null);
+  });
+});
+
+describe('produtos', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('lê o CSV com BOM e campos com espaços sobrando', async () => {
+    const r = await api.get('/v1/produtos/91242');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.id, '91242');
+    assert.equal(r.body.nome, 'FLOCOS CLÁSSICOS');
+    assert.equal(r.body.em_destaque, false);
+  });
+
+  it('GET /v1/produtos/destaque aceita TRUE/true', async () => {
+    const r = await api.get('/v1/produtos/destaque');
+    assert.equal(r.status, 200);
+    assert.deepEqual(ids(r.body), ['91801', '91803']);
+    assert.equal(r.body[0].nome, 'PISTACHE MINI PREMIUM');
+  });
+
+  describe('listagem', () => {
+    it('campos de catálogo deduzidos do nome ou informados na planilha', async () => {
+      const r = await api.get('/v1/produtos/91803');
+      assert.equal(r.body.linha, 'Mini Premium');
+      assert.equal(r.body.sabor, 'DOCE DE LEITE');
+      assert.equal(r.body.volume_ml, 150);
+      assert.equal(r.body.ativo, true);
+      const s = await api.get('/v1/produtos/91420');
+      assert.deepEqual([s.body.linha, s.body.sabor, s.body.categoria, s.body.peso_g], ['Light', 'COCO LIGHT', 'picole', 60]);
+    });
+
+    it('filtra por linha, sabor e volume sem acento nem caixa', async () => {
+      const r = await api.get('/v1/produtos?linha=classicos');
+      assert.deepEqual(ids(r.body), ['91241', '91242']);
+      const s = await api.get('/v1/produtos?sabor=Doce%20de%20Leite');
+      assert.deepEqual(ids(s.body), ['91803', '01622']);
+      const t = await api.get('/v1/produtos?volume_ml=1500&categoria=pote');
+      assert.deepEqual(ids(t.body), ['91241', '91242']);
+    });
+
+    it('inativo só com incluir_inativos; fica fora da busca e do destaque', async () => {
+      const r = await api.get('/v1/produtos?sabor=doce%20de%20leite&incluir_inativos=true');
+      assert.deepEqual(ids(r.body), ['91803', '01622', '91710']);
+      assert.equal(r.body[2].ativo, false);
+      const s = await api.get('/v1/produtos/buscar?q=doce%20de%20leite%20premium');
+      assert.ok(!ids(s.body).includes('91710'));
+    });
+
+    it('booleano da query aceita o mesmo que o CSV (s/n, sim/não)', async () => {
+      for (const v of ['s', 'SIM', 'Yes']) {
+        assert.ok(ids((await api.get(`/v1/produtos?sabor=doce%20de%20leite&incluir_inativos=${v}`)).body).includes('91710'));
+      }
+      assert.ok(!ids((await api.get('/v1/produtos?sabor=doce%20de%20leite&incluir_inativos=n%C3%A3o')).body).includes('91710'));
+    });
+
+    it('pagina com X-Total-Count e cursor', async () => {
+      const r = await api.get('/v1/produtos?limite=3');
+      assert.equal(r.headers.get('x-total-count'), '8');
+      const s = await api.get(`/v1/produtos?limite=3&cursor=${r.headers.get('x-proximo-cursor')}`);
+      assert.deepEqual(ids(s.body), ['91242', '04208', '01622']);
+    });
+
+    it('categoria desconhecida: 400', async () => {
+      const r = await api.get('/v1/produtos?categoria=pote2');
+      assert.equal(r.status, 400);
+    });
+
+    it('variantes: mesmo sabor em outra linha, sem os inativos', async () => {
+      const r = await api.get('/v1/produtos/91803');
+      assert.deepEqual(ids(r.body.variantes), ['01622']);
+      const s = await api.get('/v1/produtos/91242');
+      assert.deepEqual(s.body.variantes, []);
+    });
+  });
+
+  describe('busca', () => {
+    it('ignora acento e caixa', async () => {
+      const r = await api.get('/v1/produtos/buscar?q=classicos');
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body).sort(), ['91241', '91242']);
+    });
+
+    it('tolera erro de digitação', async () => {
+      const r = await api.get('/v1/produtos/buscar?q=pistaxe');
+      assert.equal(ids(r.body)[0], '91801');
+    });
+
+    it('filtra por volume com grafias diferentes', async () => {
+      const r = await api.get('/v1/produtos/buscar?volume=1.5l');
+      assert.deepEqual(ids(r.body).sort(), ['91241', '91242']);
+      const s = await api.get(`/v1/produtos/buscar?q=flocos&volume=${encodeURIComponent('1,5 L')}`);
+      assert.deepEqual(ids(s.body), ['91242']);
+    });
+
+    it('sem q nem volume devolve lista vazia', async () => {
+      const r = await api.get('/v1/produtos/buscar?q=');
+      assert.equal(r.status, 200);
+      assert.deepEqual(r.body, []);
+    });
+
+    it('respeita limite', async () => {
+      const r = await api.get('/v1/produtos/buscar?q=mini&limite=1');
+      assert.equal(r.body.length, 1);
+    });
+  });
+
+  describe('resolução de id', () => {
+    for (const [caso, id] of [
+      ['id canônico', '91801'],
+      ['código antigo (erp)', '01801'],
+      ['slug do site', 'mini-premium-pistache'],
+      ['URL do site', 'https://paviloche.com.br/produtos/mini-premium-pistache/']
+    ]) {
+      it(caso, async () => {
+        const r = await api.get(`/v1/produtos/${encodeURIComponent(id)}`);
+        assert.equal(r.status, 200);
+        assert.equal(r.body.id, '91801');
+      });
+    }
+
+    it('EAN resolve e aparece nos aliases do produto', async () => {
+      const r = await api.get('/v1/produtos/7891234567895');
+      assert.equal(r.status, 200);
+      assert.equal(r.body.id, '91803');
+      assert.ok(r.body.aliases.some(a => a.alias === '7891234567895' && a.tipo === 'ean'));
+    });
+
+    it('id com zero à esquerda é outro produto', async () => {
+      const r = await api.get('/v1/produtos/04208');
+      assert.equal(r.body.nome, 'IOGURTE GREGO GELATO');
+    });
+
+    it('desconhecido: 404 produto_nao_encontrado', async () => {
+      const r = await api.get('/v1/produtos/99999');
+      assert.equal(r.status, 404);
+      assert.equal(r.body.codigo, 'produto_nao_encontrado');
+    });
+  });
+
+  describe('PDVs do produto', () => {
+    it('junta vínculos gravados com o código antigo e com espaço no CSV', async () => {
+      const r = await api.get('/v1/produtos/91241/pdvs');
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body).sort(), ['P01', 'P03', 'P05', 'P08']);
+      const s = await api.get('/v1/produtos/91801/pdvs');
+      assert.deepEqual(ids(s.body).sort(), ['P01', 'P02', 'P04']);
+    });
+
+    it('aceita alias no caminho', async () => {
+      const r = await api.get('/v1/produtos/01241/pdvs');
+      assert.deepEqual(ids(r.body).sort(), ['P01', 'P03', 'P05', 'P08']);
+    });
+
+    it('normaliza UF minúscula e realinha rua com ";"', async () => {
+      const r = await api.get('/v1/produtos/91803/pdvs');
+      const byId = Object.fromEntries(r.body.map(p => [p.id, p]));
+      assert.equal(byId.P04.estado, 'SP');
+      assert.equal(byId.P04.precisao_localizacao, 'endereco');
+      assert.match(byId.P06.endereco, /^RUA DAS FLORES, SALA 2/);
+    });
+
+    it('contagem por UF e cidade, com os disponíveis', async () => {
+      const r = await api.get('/v1/produtos/01241/pdvs/contagem');
+      assert.equal(r.status, 200);
+      assert.equal(r.body.produto_id, '91241');
+      assert.equal(r.body.total, 4);
+      assert.deepEqual(r.body.estados.map(e => [e.estado, e.total]), [['SC', 3], ['RS', 1]]);
+      assert.deepEqual(r.body.estados[0].cidades, [
+        { cidade: 'JOINVILLE', total: 2, disponiveis: 2 },
+        { cidade: 'ITAJAI', total: 1, disponiveis: 1 }
+      ]);
+      const s = await api.get('/v1/produtos/04208/pdvs/contagem');
+      assert.deepEqual([s.body.total, s.body.disponiveis], [1, 0]);
+      const t = await api.get('/v1/produtos/99999/pdvs/contagem');
+      assert.equal(t.status, 404);
+    });
+
+    it('produto desconhecido: 404', async () => {
+      const r = await api.get('/v1/produtos/99999/pdvs');
+      assert.equal(r.status, 404);
+      assert.equal(r.body.codigo, 'produto_nao_encontrado');
+    });
+  });
+});
@@ -0,0 +1,319 @@
+// test/proximos.test.js — busca por proximidade (coords, CEP, produtos), mapa e exportação
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids } = require('./helpers');
+
+const JOINVILLE = 'lat=-26.301&lon=-48.846';
+
+function assertAscending(list) {
+  for (let i = 1; i < list.length; i++) {
+    assert.ok(list[i - 1].distancia_km <= list[i].distancia_km, `${list[i - 1].id} antes de ${list[i].id}`);
+  }
+}
+
+describe('proximidade', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  describe('por coordenadas', () => {
+    it('ordena por distância e informa o total', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`);
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-total-count'), '8');
+      assert.equal(r.body[0].id, 'P07');
+      assert.equal(r.body[0].distancia_km, 0);
+      assert.deepEqual(ids(r.body).slice(1, 4).sort(), ['P01', 'P02', 'P05']);
+      assert.equal(r.body.at(-1).id, 'P08');
+      assertAscending(r.body);
+    });
+
+    it('raio_km corta os distantes', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&raio_km=10`);
+      assert.equal(r.headers.get('x-total-count'), '4');
+      assert.deepEqual(ids(r.body).sort(), ['P01', 'P02', 'P05', 'P07']);
+    });
+
+    it('pagina por cursor sem repetir nem pular', async () => {
+      const todos = (await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`)).body;
+      const seen = [];
+      let url = `/v1/pdvs/proximos/coords?${JOINVILLE}&limite=3`;
+      for (let i = 0; i < 5 && url; i++) {
+        const r = await api.get(url);
+        seen.push(...ids(r.body));
+        const cursor = r.headers.get('x-proximo-cursor');
+        url = cursor && `/v1/pdvs/proximos/coords?${JOINVILLE}&limite=3&cursor=${encodeURIComponent(cursor)}`;
+      }
+      assert.deepEqual(seen, ids(todos));
+    });
+
+    it('pagina=2 equivale ao offset', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&limite=2&pagina=2`);
+      const todos = (await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`)).body;
+      assert.deepEqual(ids(r.body), ids(todos).slice(2, 4));
+    });
+
+    it('aceita vírgula decimal', async () => {
+      const r = await api.get('/v1/pdvs/proximos/coords?lat=-26,301&lon=-48,846&limite=1');
+      assert.equal(r.body[0].id, 'P07');
+    });
+  });
+
+  describe('por produto', () => {
+    it('só PDVs que vendem o produto, do mais perto ao mais longe', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91801&${JOINVILLE}`);
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body), ['P01', 'P02', 'P04']);
+      assertAscending(r.body);
+    });
+
+    it('vínculo pelo código antigo conta para o produto canônico', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91241&${JOINVILLE}`);
+      assert.deepEqual(ids(r.body), ['P05', 'P01', 'P03', 'P08']);
+    });
+
+    it('produto desconhecido: 404', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=99999&${JOINVILLE}`);
+      assert.equal(r.status, 404);
+      assert.equal(r.body.codigo, 'produto_nao_encontrado');
+    });
+  });
+
+  describe('vários produtos', () => {
+    it('modo all: só quem tem todos', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&${JOINVILLE}`);
+      assert.equal(r.status, 200);
+      assert.deepEqual(ids(r.body), ['P01', 'P04']);
+      assert.equal(r.body[0].cobertura, 2);
+      assert.deepEqual(r.body[0].produtos_faltantes, []);
+    });
+
+    it('modo any: cobertura maior primeiro, faltantes informados', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&modo=any&raio_km=500&${JOINVILLE}`);
+      assert.equal(r.body[0].id, 'P01');
+      const p02 = r.body.find(p => p.id === 'P02');
+      assert.equal(p02.cobertura, 1);
+      assert.deepEqual(p02.produtos_faltantes, ['91803']);
+      assert.ok(!ids(r.body).includes('P07'));
+      assert.equal(r.headers.get('x-raio-km'), '500');
+    });
+
+    it('modo any sem raio_km: aplica o raio padrão e avisa em X-Raio-Km', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&modo=any&${JOINVILLE}`);
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-raio-km'), '50');
+      assert.ok(r.body.every(p => p.distancia_km <= 50));
+      const all = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&${JOINVILLE}`);
+      assert.equal(all.headers.get('x-raio-km'), null);
+    });
+
+    it('aceita cep no lugar de lat/lon', async () => {
+      const r = await api.get('/v1/pdvs/proximos/produtos?produtos=91801&cep=89010000');
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-cep-resolucao'), 'exato');
+    });
+
+    it('sem coordenada nem cep: 400', async () => {
+      const r = await api.get('/v1/pdvs/proximos/produtos?produtos=91801&lat=-26.3');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.detalhes[0].campo, 'lon');
+    });
+  });
+
+  describe('por CEP', () => {
+    it('CEP da base local: exato, sem chamar provedor', async () => {
+      const before = api.standIn.calls.awesomeapi.length;
+      const r = await api.get('/v1/pdvs/proximos?cep=89010-000&limite=1');
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-cep-resolucao'), 'exato');
+      assert.equal(r.body[0].id, 'P06');
+      assert.equal(api.standIn.calls.awesomeapi.length, before);
+    });
+
+    it('CEP remoto: exato e depois servido do cache', async () => {
+      const r = await api.get('/v1/pdvs/proximos?cep=89220055&limite=1');
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-cep-resolucao'), 'exato');
+      assert.equal(r.headers.get('x-cep-precisao'), 'cep');
+      assert.equal(r.body[0].id, 'P01');
+      await api.get('/v1/pdvs/proximos?cep=89220-055&limite=1');
+      assert.deepEqual(api.standIn.calls.awesomeapi.filter(c => c === '89220055'), ['89220055']);
+    });
+
+    it('provedor lento: responde pelo prefixo e melhora na próxima', async () => {
+      const r = await api.get('/v1/pdvs/proximos?cep=89223002&limite=1');
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-cep-resolucao'), 'prefixo');
+      assert.equal(r.headers.get('x-cep-precisao'), 'cep5');
+      await new Promise(resolve => setTimeout(resolve, 700));
+      const s = await api.get('/v1/pdvs/proximos?cep=89223002&limite=1');
+      assert.equal(s.headers.get('x-cep-resolucao'), 'exato');
+      assert.equal(s.body[0].id, 'P02');
+    });
+
+    it('CEP que o provedor não conhece: prefixo', async () => {
+      const r = await api.get('/v1/pdvs/proximos?cep=04533-999&limite=1');
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-cep-resolucao'), 'prefixo');
+      assert.equal(r.body[0].id, 'P04');
+    });
+
+    it('CEP não passa pelo limite dos provedores de endereço', async () => {
+      const { createGeocoder } = require('../lib/geocoding');
+      const called = [];
+      const geocoder = createGeocoder({
+        providers: [
+          { name: 'opencage', remote: true, enabled: true, fields: ['endereco'], async geocode() { called.push('opencage'); return null; } },
+          { name: 'cep', remote: false, enabled: true, fields: ['cep'], async geocode() { return { lat: -26.3, lon: -48.8, precisao: 'cep' }; } }
+        ],
+        rates: { opencage: 1 }
+      });
+      const start = Date.now();
+      const hits = await Promise.all(['89220055', '89223002', '89201001', '89201600'].map(cep => geocoder.geocode({ cep })));
+      assert.ok(hits.every(h => h.provider === 'cep'));
+      assert.ok(Date.now() - start < 500);
+      assert.deepEqual(called, []);
+    });
+
+    it('CEP malformado: 400', async () => {
+      const r = await api.get('/v1/pdvs/proximos?cep=123');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.detalhes[0].campo, 'cep');
+    });
+  });
+
+  describe('atributos do PDV', () => {
+    it('devolve horário, rede (do nome ou informada), tipo, telefone e freezer', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`);
+      const byId = Object.fromEntries(r.body.map(p => [p.id, p]));
+      assert.equal(byId.P01.rede, 'FORT');
+      assert.equal(byId.P01.telefone, '4734331000');
+      assert.equal(byId.P01.tipo, 'supermercado');
+      assert.equal(byId.P01.freezer, true);
+      assert.deepEqual(byId.P01.horario.dom, ['00:00-24:00']);
+      assert.equal(byId.P01.aberto_agora, true);
+      assert.equal(byId.P04.rede, 'PAO DE ACUCAR');
+      assert.equal(byId.P04.telefone, '1130710000');
+      assert.equal(byId.P05.rede, 'REDE LOCAL');
+      assert.equal(byId.P05.aberto_agora, false);
+      assert.equal(byId.P02.rede, 'KOMPRAO');
+      assert.equal(byId.P02.horario, null);
+      assert.equal(byId.P02.aberto_agora, null);
+      assert.equal(byId.P07.rede, null);
+    });
+
+    it('aberto_agora=true deixa de fora fechados e sem horário', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&aberto_agora=true`);
+      const got = ids(r.body);
+      for (const id of ['P01', 'P08']) assert.ok(got.includes(id), id);
+      for (const id of ['P02', 'P05', 'P06', 'P07']) assert.ok(!got.includes(id), id);
+      assert.ok(r.body.every(p => p.aberto_agora === true));
+      assert.equal(r.headers.get('x-total-count'), String(got.length));
+    });
+
+    it('filtra por rede e tipo, sem acento/caixa', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rede=fort,Bistek`);
+      assert.deepEqual(ids(r.body), ['P01', 'P08']);
+      const s = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&tipo=supermercado`);
+      assert.deepEqual(ids(s.body).sort(), ['P01', 'P03', 'P04']);
+      const t = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rede=${encodeURIComponent('Pão de Açúcar')}`);
+      assert.deepEqual(ids(t.body), ['P04']);
+    });
+
+    it('filtros valem também por produto e por CEP', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/produto?productId=91241&${JOINVILLE}&tipo=hipermercado`);
+      assert.deepEqual(ids(r.body), ['P08']);
+      const s = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&modo=any&raio_km=1000&${JOINVILLE}&rede=komprao`);
+      assert.deepEqual(ids(s.body), ['P02']);
+      const t = await api.get('/v1/pdvs/proximos?cep=89010000&tipo=conveniencia');
+      assert.deepEqual(ids(t.body), ['P06']);
+    });
+
+    it('tipo desconhecido: 400', async () => {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&tipo=shopping`);
+      assert.equal(r.status, 400);
+      assert.equal(r.body.detalhes[0].campo, 'tipo');
+    });
+  });
+
+  describe('mapa', () => {
+    const SC = 'bbox=-49.2,-27.0,-48.6,-26.2';
+
+    it('de perto: PDVs um a um', async () => {
+      const r = await api.get(`/v1/pdvs/mapa?${SC}&zoom=15`);
+      assert.equal(r.status, 200);
+      assert.equal(r.body.agrupado, false);
+      assert.deepEqual(ids(r.body.pdvs).sort(), ['P01', 'P02', 'P03', 'P05', 'P06', 'P07']);
+    });
+
+    it('de longe: grupos com contagem', async () => {
+      const r = await api.get('/v1/pdvs/mapa?bbox=-74,-34,-34,6&zoom=3');
+      assert.equal(r.body.agrupado, true);
+      assert.equal(r.body.total, 8);
+      const soma = r.body.clusters.reduce((s, c) => s + c.quantidade, 0) + r.body.pdvs.length;
+      assert.equal(soma, 8);
+    });
+
+    it('filtra por produto', async () => {
+      const r = await api.get(`/v1/pdvs/mapa?${SC}&zoom=15&productId=91242`);
+      assert.deepEqual(ids(r.body.pdvs).sort(), ['P02', 'P03']);
+    });
+
+    it('com produto, PDV em ruptura só com incluir_indisponiveis', async () => {
+      const r = await api.get(`/v1/pdvs/mapa?${SC}&zoom=15&productId=91803`);
+      assert.ok(!ids(r.body.pdvs).includes('P06'));
+      const s = await api.get(`/v1/pdvs/mapa?${SC}&zoom=15&productId=91803&incluir_indisponiveis=true`);
+      assert.ok(ids(s.body.pdvs).includes('P06'));
+    });
+
+    it('bbox invertido: 400', async () => {
+      const r = await api.get('/v1/pdvs/mapa?bbox=-48.6,-26.2,-49.2,-27.0&zoom=10');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.detalhes[0].campo, 'bbox');
+    });
+  });
+
+  describe('exportação', () => {
+    it('GeoJSON com produtos e procedência da coordenada', async () => {
+      const r = await api.get('/v1/pdvs/export?produtos=91241&estado=sc');
+      assert.equal(r.status, 200);
+      assert.match(r.headers.get('content-type'), /geo\+json/);
+      assert.match(r.headers.get('content-disposition'), /pdvs\.geojson/);
+      const byId = Object.fromEntries(r.body.features.map(f => [f.properties.id, f]));
+      assert.deepEqual(Object.keys(byId).sort(), ['P01', 'P03', 'P05']);
+      assert.deepEqual(byId.P05.geometry.coordinates, [-48.8487, -26.3045]);
+      assert.equal(byId.P05.properties.geocode_precisao, 'cep5');
+      assert.ok(byId.P01.properties.produtos.includes('91241'));
+    });
+
+    it('por produto: só quem tem disponível, a menos de incluir_indisponiveis', async () => {
+      const r = await api.get('/v1/pdvs/export?produtos=91803');
+      assert.equal(r.headers.get('x-total-count'), String(r.body.features.length));
+      assert.ok(!r.body.features.some(f => f.properties.id === 'P06'));
+      const s = await api.get('/v1/pdvs/export?produtos=91803&incluir_indisponiveis=true');
+      assert.ok(s.body.features.some(f => f.properties.id === 'P06'));
+    });
+
+    it('CSV com cabeçalho e uma linha por PDV', async () => {
+      const r = await api.get('/v1/pdvs/export?formato=csv&cidade=joinville');
+      assert.equal(r.status, 200);
+      const lines = r.body.trim().split(/\r?\n/);
+      assert.match(lines[0], /^id[;,]/);
+      assert.equal(lines.length, 1 + 4);
+    });
+
+    it('KML com um Placemark por PDV', async () => {
+      const r = await api.get('/v1/pdvs/export?formato=KML&bbox=-49.2,-27.0,-48.6,-26.2');
+      assert.equal(r.status, 200);
+      assert.match(r.headers.get('content-type'), /kml/);
+      assert.equal((r.body.match(/<Placemark /g) || []).length, 6);
+    });
+
+    it('formato desconhecido: 400', async () => {
+      const r = await api.get('/v1/pdvs/export?formato=xls');
+      assert.equal(r.status, 400);
+      assert.equal(r.body.detalhes[0].campo, 'formato');
+    });
+  });
+});
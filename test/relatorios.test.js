@@ -0,0 +1,82 @@
+// test/relatorios.test.js — registro de buscas e relatórios de demanda (/admin/relatorios)
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { encodeGeohash, decodeGeohash } = require('../lib/geo');
+
+const JOINVILLE = 'lat=-26.301&lon=-48.846';
+const SAO_PAULO = 'lat=-23.5874&lon=-46.6576';
+
+describe('geohash', () => {
+  it('codifica e volta ao centro da célula', () => {
+    assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    const c = decodeGeohash(encodeGeohash(-26.301, -48.846, 5));
+    assert.ok(Math.abs(c.lat + 26.301) < 0.03 && Math.abs(c.lon + 48.846) < 0.03);
+    assert.equal(decodeGeohash('6gm6a'), null);
+  });
+});
+
+describe('relatórios de busca', () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+    await api.get('/v1/produtos/buscar?q=Pistache');
+    await api.get('/v1/produtos/buscar?q=pistache');
+    await api.get('/v1/produtos/buscar?q=A%C3%A7a%C3%AD');
+    await api.get('/v1/produtos/buscar?q=acai');
+    await api.get(`/v1/pdvs/proximos/produto?productId=91242&${SAO_PAULO}`);
+    await api.get(`/v1/pdvs/proximos/produto?productId=91242&${SAO_PAULO}`);
+    await api.get(`/v1/pdvs/proximos/produto?productId=01241&${JOINVILLE}`);
+    await api.get(`/v1/pdvs/proximos/produto?productId=77777&${JOINVILLE}`);
+    await api.get('/v1/pdvs/proximos?cep=89220-055');
+    await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&raio_km=abc`); // 400: não conta
+    await api.get('/produto?productId=91801&lat=-26.301&lon=-48.846'); // caminho obsoleto conta
+  });
+  after(() => api.close());
+
+  it('mais buscados: termo sem acento/caixa, produto pelo id canônico', async () => {
+    const r = await api.admin('GET', '/relatorios/buscas');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.total, 10);
+    assert.deepEqual(r.body.termos.map(t => [t.termo, t.buscas, t.sem_resultado]).sort(), [['acai', 2, 2], ['pistache', 2, 0]]);
+    const byId = Object.fromEntries(r.body.produtos.map(p => [p.produto_id, p.buscas]));
+    assert.deepEqual(byId, { 91242: 2, 91241: 1, 77777: 1, 91801: 1 });
+    assert.deepEqual(r.body.ceps.map(c => c.cep), ['89220']);
+  });
+
+  it('sem resultado: termos e produto fora do catálogo', async () => {
+    const r = await api.admin('GET', '/relatorios/sem-resultado?limite=5');
+    assert.deepEqual(r.body.termos.map(t => t.termo), ['acai']);
+    assert.deepEqual(r.body.produtos.map(p => [p.produto_id, p.cadastrado]), [['77777', false]]);
+    assert.equal(r.body.total, 3);
+  });
+
+  it('demanda descoberta: região sem PDV com o produto no raio', async () => {
+    const r = await api.admin('GET', '/relatorios/demanda-descoberta?raio_km=50');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.raio_km, 50);
+    assert.deepEqual(r.body.regioes.map(g => [g.geohash, g.produto_id, g.buscas]), [[encodeGeohash(-23.5874, -46.6576), '91242', 2]]);
+    assert.ok(r.body.regioes[0].pdv_mais_proximo_km > 300);
+    const s = await api.admin('GET', '/relatorios/demanda-descoberta?raio_km=1000');
+    assert.deepEqual(s.body.regioes, []);
+    const t = await api.admin('GET', '/relatorios/demanda-descoberta?produto=91801&raio_km=50');
+    assert.deepEqual(t.body.regioes, []);
+  });
+
+  it('parâmetros inválidos: 400; produto desconhecido: 404', async () => {
+    assert.equal((await api.admin('GET', '/relatorios/buscas?dias=0')).status, 400);
+    assert.equal((await api.admin('GET', '/relatorios/demanda-descoberta?produto=99999')).status, 404);
+  });
+
+  it('o arquivo não guarda coordenada exata, CEP completo nem dados de quem buscou', async () => {
+    await api.admin('GET', '/relatorios/buscas'); // grava o que estava pendente
+    const lines = fs.readFileSync(path.join(api.dataDir, 'buscas.jsonl'), 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    const allowed = ['ts', 'tipo', 'termo', 'produtos', 'cep', 'geohash', 'resultados', 'status', 'ms'];
+    for (const rec of lines) assert.deepEqual(Object.keys(rec).filter(k => !allowed.includes(k)), []);
+    const text = JSON.stringify(lines);
+    assert.ok(!text.includes('-23.5874') && !text.includes('89220055') && !text.includes('127.0.0.1'));
+  });
+});
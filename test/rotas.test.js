@@ -0,0 +1,152 @@
+// test/rotas.test.js — reordenação por tempo de rota (?rota=carro|a_pe) e fallback em linha reta
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ids } = require('./helpers');
+const { createRouter } = require('../lib/routing');
+const { createStubProvider } = require('../lib/routing/providers/stub');
+const { createOsrmProvider } = require('../lib/routing/providers/osrm');
+const travel = require('../lib/travel');
+
+const JOINVILLE = 'lat=-26.301&lon=-48.846';
+
+describe('roteador', () => {
+  const origem = { lat: -26.301, lon: -48.846 };
+  const destinos = [{ lat: -26.2745, lon: -48.8605 }, { lat: -26.301, lon: -48.846 }];
+
+  it('stub: linha reta × fator, desvio e velocidade por perfil', async () => {
+    const router = createRouter({ provider: createStubProvider({ desvios: { '-26.301,-48.846': 10 } }) });
+    const [a, b] = await router.matrix(origem, destinos, 'carro');
+    assert.ok(a.distanciaKm > 4 && a.distanciaKm < 5);
+    assert.equal(b.distanciaKm, 10);
+    assert.equal(b.tempoMin, 20);
+    const [, pe] = await router.matrix(origem, destinos, 'a_pe');
+    assert.equal(pe.tempoMin, 120);
+  });
+
+  it('falha ou timeout: null, e o provedor fica em pausa', async () => {
+    let chamadas = 0;
+    const lento = {
+      name: 'lento', remote: true, enabled: true,
+      matrix: (o, d, { signal }) => {
+        chamadas++;
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(Object.assign(new Error('abortado'), { name: 'AbortError' }))));
+      }
+    };
+    let t = 0;
+    const router = createRouter({ provider: lento, timeoutMs: 20, pauseMs: 1000, now: () => t });
+    assert.equal(await router.matrix(origem, destinos, 'carro'), null);
+    assert.equal(router.paused(), true);
+    assert.equal(await router.matrix(origem, destinos, 'carro'), null);
+    assert.equal(chamadas, 1);
+    t = 1000;
+    assert.equal(router.paused(), false);
+  });
+
+  it('sem provedor: desligado', async () => {
+    const router = createRouter();
+    assert.equal(router.enabled, false);
+    assert.equal(await router.matrix(origem, destinos, 'carro'), null);
+  });
+
+  it('pares já consultados vêm do cache', async () => {
+    let chamadas = 0;
+    const stub = createStubProvider();
+    const router = createRouter({ provider: { ...stub, matrix: (...args) => { chamadas++; return stub.matrix(...args); } } });
+    await router.matrix(origem, destinos, 'carro');
+    const again = await router.matrix(origem, destinos.slice(0, 1), 'carro');
+    assert.equal(chamadas, 1);
+    assert.equal(again.length, 1);
+  });
+});
+
+describe('busca com rota', () => {
+  let api;
+  before(async () => { api = await startApp(); });
+  after(() => api.close());
+
+  it('sem ?rota= nada muda', async () => {
+    const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}`);
+    assert.equal(r.body[0].id, 'P07');
+    assert.equal(r.headers.get('x-rota'), null);
+    assert.ok(!('tempo_min' in r.body[0]));
+    assert.equal(api.standIn.calls.osrm.length, 0);
+  });
+
+  it('carro: o PDV do outro lado do rio cai para depois dos que se chega antes', async () => {
+    const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rota=carro`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('x-rota'), 'carro');
+    assert.equal(r.headers.get('x-total-count'), '8');
+    assert.deepEqual(ids(r.body).slice(0, 4), ['P05', 'P01', 'P02', 'P07']);
+    const p07 = r.body[3];
+    assert.equal(p07.distancia_km, 0);
+    assert.equal(p07.distancia_rota_km, 12);
+    assert.equal(p07.tempo_min, 24);
+    const tempos = r.body.map(p => p.tempo_min);
+    assert.deepEqual(tempos, [...tempos].sort((a, b) => a - b));
+  });
+
+  it('a pé: mesmo trajeto, tempo maior', async () => {
+    const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rota=a_pe&limite=4`);
+    assert.equal(r.headers.get('x-rota'), 'a_pe');
+    assert.equal(r.body[3].tempo_min, 144);
+    assert.match(api.standIn.calls.osrm.at(-1), /^-48.846,-26.301;/);
+  });
+
+  it('pagina por cursor sobre a ordem da rota, sem repetir nem pular', async () => {
+    const todos = (await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rota=carro`)).body;
+    const seen = [];
+    let url = `/v1/pdvs/proximos/coords?${JOINVILLE}&rota=carro&limite=3`;
+    for (;;) {
+      const r = await api.get(url);
+      seen.push(...ids(r.body));
+      const cursor = r.headers.get('x-proximo-cursor');
+      if (!cursor) break;
+      url = `/v1/pdvs/proximos/coords?${JOINVILLE}&rota=carro&limite=3&cursor=${cursor}`;
+    }
+    assert.deepEqual(seen, ids(todos));
+  });
+
+  it('só os `candidates` primeiros são reordenados; o resto segue em linha reta, sem rota', async () => {
+    const ds = api.repository.get();
+    const { items } = api.repository.nearestPdvs(-26.301, -48.846, { limit: 8 }, ds);
+    const antes = api.standIn.calls.osrm.length;
+    const ranked = await travel.rankByRoute({ lat: -26.2, lon: -48.9 }, items, { perfil: 'carro', paging: { offset: 0, limit: 8 }, candidates: 2 });
+    assert.equal(api.standIn.calls.osrm.length, antes + 1);
+    assert.equal(api.standIn.calls.osrm.at(-1).split(';').length, 1 + 2);
+    assert.deepEqual(ids(ranked.items.map(h => h.item)).slice(0, 2).sort(), ids(items.map(h => h.item)).slice(0, 2).sort());
+    assert.deepEqual(ranked.items.slice(2).map(h => h.rota), Array(6).fill(null));
+  });
+
+  it('por produto e vários produtos levam distância e tempo de rota', async () => {
+    const r = await api.get(`/v1/pdvs/proximos/produto?productId=91801&${JOINVILLE}&rota=carro`);
+    assert.equal(r.headers.get('x-rota'), 'carro');
+    assert.deepEqual(ids(r.body), ['P01', 'P02', 'P04']);
+    assert.ok(r.body.every(p => p.distancia_rota_km > p.distancia_km));
+    const s = await api.get(`/v1/pdvs/proximos/produtos?produtos=91801,91803&modo=any&${JOINVILLE}&raio_km=1000&rota=carro`);
+    assert.equal(s.status, 200);
+    assert.deepEqual(s.body.map(p => p.cobertura), [...s.body.map(p => p.cobertura)].sort((a, b) => b - a));
+    assert.ok(s.body.every(p => Number.isFinite(p.tempo_min)));
+  });
+
+  it('roteador fora do ar: ordem em linha reta, campos nulos e X-Rota indisponivel', async () => {
+    const anterior = travel.getRouter();
+    travel.setRouter(createRouter({ provider: createOsrmProvider({ baseUrl: `${api.standIn.base}/osrm-fora` }), timeoutMs: 500 }));
+    try {
+      const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rota=carro&limite=3`);
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('x-rota'), 'indisponivel');
+      assert.equal(r.body[0].id, 'P07');
+      assert.deepEqual(r.body.map(p => [p.distancia_rota_km, p.tempo_min]), [[null, null], [null, null], [null, null]]);
+    } finally {
+      travel.setRouter(anterior);
+    }
+  });
+
+  it('perfil desconhecido: 400', async () => {
+    const r = await api.get(`/v1/pdvs/proximos/coords?${JOINVILLE}&rota=bicicleta`);
+    assert.equal(r.status, 400);
+    assert.deepEqual(r.body.detalhes.map(d => d.campo), ['rota']);
+  });
+});
@@ -1,75 +1,121 @@
-const path = require('path');
-const fs = require('fs');
-const csv = require('csv-parser');
-const fetch = require('node-fetch');
-
-const CSV_SEP = ';';
-const PDVS_FILE = path.join(__dirname, 'pdvs_final.csv');
-const GEOCODE_CACHE_FILE = path.join(__dirname, 'geocode_cache.json');
-const OPENCAGE_KEY = process.env.OPENCAGE_KEY || '';
-
-let cache = Object.create(null);
-try {
-  if (fs.existsSync(GEOCODE_CACHE_FILE)) {
-    cache = JSON.parse(fs.readFileSync(GEOCODE_CACHE_FILE,'utf-8'));
-  }
-} catch {}
-
-function norm(s){ return String(s??'').trim(); }
-function onlyDigits(s, max){ const d = String(s??'').replace(/\D/g,''); return max? d.slice(0,max) : d; }
-function buildAddress(row){
-  const rua = norm(row.rua), bairro=norm(row.bairro), cidade=norm(row.cidade), uf=norm(row.estado), cep=onlyDigits(row.cep,8);
-  const parts=[];
-  if(rua) parts.push(rua); if(bairro) parts.push(bairro); if(cidade) parts.push(cidade);
-  if(uf) parts.push(`${uf}, Brasil`); else parts.push('Brasil');
-  if(cep) parts.push(cep);
-  return parts.join(', ');
-}
-
-async function geocode(address){
-  if (!OPENCAGE_KEY) return null;
-  if (cache[address]) return cache[address];
-  const url = `https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(address)}&key=${OPENCAGE_KEY}&limit=1&no_annotations=1&language=pt-BR`;
-  const r = await fetch(url);
-  if (!r.ok) return null;
-  const j = await r.json();
-  const first = j?.results?.[0];
-  if (!first?.geometry) return null;
-  cache[address] = { lat:+first.geometry.lat, lon:+first.geometry.lng };
-  return cache[address];
-}
-
-(async () => {
-  if (!OPENCAGE_KEY) {
-    console.log('OPENCAGE_KEY não definido — encerrando.');
-    process.exit(0);
-  }
-  const addrs = [];
-  await new Promise((resolve,reject)=>{
-    fs.createReadStream(PDVS_FILE)
-      .pipe(csv({ separator: CSV_SEP, mapHeaders: ({header}) => header.trim().toLowerCase() }))
-      .on('data',(row)=> addrs.push(buildAddress(row)))
-      .on('end', resolve)
-      .on('error', reject);
-  });
-
-  console.log(`Geocodificando ${addrs.length} endereços...`);
-  // limite de concorrência simples
-  const queue = [...new Set(addrs)]; // sem duplicadas
-  const CONC = 3;
-  let running = 0, i = 0;
-
-  await new Promise((resolve) => {
-    const tick = () => {
-      if (i >= queue.length && running === 0) return resolve();
-      while (running < CONC && i < queue.length) {
-        const addr = queue[i++]; running++;
-        geocode(addr).finally(()=>{ running--; setTimeout(tick, 150); });
-      }
-    };
-    tick();
-  });
-
-  fs.writeFileSync(GEOCODE_CACHE_FILE, JSON.stringify(cache,null,2), 'utf-8');
-  console.log('Cache salvo em geocode_cache.json');
-})();
+// warm_geocode.js — pré-aquece geocode_cache.jsonl com os endereços de pdvs_final.csv
+// Usa a mesma cadeia de provedores do servidor (GEOCODER_CHAIN, ver lib/geocoding).
+// Pode rodar com o servidor no ar: os dois acrescentam no mesmo log (lib/geocode-store.js).
+//
+//   node warm_geocode.js [--cidade JOINVILLE,ITAJAI] [--estado SC] [--only-missing | --older-than 90d]
+//                        [--concorrencia 3] [--rps 1] [--retries 3] [--confianca-minima 5]
+//                        [--limite 500] [--retomar] [--relatorio relatorio.json]
+//
+// Sem filtros: só os endereços sem coordenada do provedor (centroide do CEP).
+// --older-than também regeocodifica o que está no cache há mais tempo que isso.
+// Checkpoint em DATA_DIR/warm_geocode.checkpoint.json a cada 25 endereços;
+// Ctrl+C grava o checkpoint e --retomar continua dali com os mesmos filtros.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./lib/config');
+const geocode = require('./lib/geocode');
+const repository = require('./lib/repository');
+const { geocoderFromEnv } = require('./lib/geocoding');
+const { DEFAULT_MIN_CONFIDENCE, parseAge, runGeocodeJob } = require('./lib/geocode-job');
+
+const CHECKPOINT_FILE = path.join(config.DATA_DIR, 'warm_geocode.checkpoint.json');
+const PROGRESS_INTERVAL_MS = 5000;
+
+const { values: args } = parseArgs({
+  options: {
+    cidade: { type: 'string', multiple: true },
+    estado: { type: 'string', multiple: true },
+    'only-missing': { type: 'boolean', default: false },
+    'older-than': { type: 'string' },
+    concorrencia: { type: 'string', default: '3' },
+    rps: { type: 'string' },
+    retries: { type: 'string', default: '3' },
+    'confianca-minima': { type: 'string', default: String(DEFAULT_MIN_CONFIDENCE) },
+    limite: { type: 'string' },
+    retomar: { type: 'boolean', default: false },
+    relatorio: { type: 'string' }
+  }
+});
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function positiveInt(name, value) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) fail(`--${name} deve ser um inteiro positivo.`);
+  return n;
+}
+
+const olderThanMs = args['older-than'] !== undefined ? parseAge(args['older-than']) : null;
+if (args['older-than'] !== undefined && !olderThanMs) fail('--older-than aceita "90d", "12h" ou dias ("30").');
+if (olderThanMs && args['only-missing']) fail('Use --only-missing ou --older-than, não os dois.');
+const rps = args.rps !== undefined ? Number(args.rps) : undefined;
+if (rps !== undefined && !(rps > 0)) fail('--rps deve ser um número positivo.');
+
+(async () => {
+  // o job espera a vez no balde (sem pular provedor) e insiste com backoff
+  const overrides = { retries: Number(args.retries) || 0, maxWaitMs: Infinity };
+  if (rps) overrides.rates = Object.fromEntries(geocode.getGeocoder().providers.filter(p => p.remote).map(p => [p.name, rps]));
+  geocode.setGeocoder(geocoderFromEnv(process.env, overrides));
+
+  if (!geocode.getGeocoder().hasRemote) {
+    console.log('Nenhum provedor de rede habilitado (OPENCAGE_KEY / GEOCODER_CHAIN) — encerrando.');
+    process.exit(0);
+  }
+  if (args.retomar && !fs.existsSync(CHECKPOINT_FILE)) fail(`Nada para retomar: ${CHECKPOINT_FILE} não existe.`);
+  if (!args.retomar && fs.existsSync(CHECKPOINT_FILE)) {
+    console.warn(`[WARN] Há um checkpoint de execução anterior (${CHECKPOINT_FILE}); use --retomar para continuar. Começando do zero.`);
+  }
+
+  const ds = await repository.loadDataset();
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log('\nInterrompendo: terminando as requisições em andamento e gravando o checkpoint...');
+  });
+
+  let lastLog = 0;
+  const startedAt = Date.now();
+  const report = await runGeocodeJob({
+    pdvs: ds.pdvs,
+    filtros: {
+      cidade: args.cidade,
+      estado: args.estado,
+      onlyMissing: args['only-missing'],
+      olderThanMs
+    },
+    concurrency: positiveInt('concorrencia', args.concorrencia),
+    minConfidence: Number(args['confianca-minima']),
+    limit: positiveInt('limite', args.limite),
+    checkpointFile: CHECKPOINT_FILE,
+    resume: args.retomar,
+    shouldStop: () => stopping,
+    onProgress: (p) => {
+      if (Date.now() - lastLog < PROGRESS_INTERVAL_MS && p.processados !== p.total) return;
+      lastLog = Date.now();
+      const rate = p.processados / Math.max(1, (Date.now() - startedAt) / 1000);
+      const eta = rate > 0 ? Math.round((p.total - p.processados) / rate) : '?';
+      console.log(`[${p.processados}/${p.total}] ok=${p.ok} baixa=${p.baixa_confianca} falhas=${p.falhas} ` +
+        `(${rate.toFixed(2)}/s, faltam ~${eta}s)`);
+    }
+  });
+
+  console.log(report.concluido ? '== Concluído ==' : `== Parado: ${report.motivo_parada} (use --retomar) ==`);
+  console.log('Resumo:', report.resumo);
+  for (const f of report.falhas) console.log(`  [falha] ${f.endereco} (PDV ${f.pdv_ids.join(', ')}) — ${f.motivo}`);
+  for (const b of report.baixa_confianca) {
+    console.log(`  [baixa] ${b.endereco} (PDV ${b.pdv_ids.join(', ')}) — ${b.provider}, precisão ${b.precisao}, confiança ${b.confianca ?? '-'}`);
+  }
+  if (args.relatorio) {
+    fs.writeFileSync(args.relatorio, JSON.stringify(report, null, 2), 'utf-8');
+    console.log(`Relatório em ${args.relatorio}`);
+  }
+  process.exit(report.concluido ? 0 : 2);
+})().catch((err) => fail(`Falha no warm_geocode: ${err.message}`));